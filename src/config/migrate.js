@@ -40,7 +40,8 @@ const migrate = async () => {
         duration INTEGER,
         year INTEGER,
         genre VARCHAR(100),
-        file_url VARCHAR(500) NOT NULL,
+        file_url VARCHAR(500),
+        file_key VARCHAR(500),
         file_size BIGINT NOT NULL,
         format VARCHAR(20),
         artwork_url VARCHAR(500),
@@ -117,19 +118,478 @@ const migrate = async () => {
     `);
     console.log('✅ Active_sessions table created');
 
+    // Private storage: songs reference an object key, download URLs are presigned on read
+    await pool.query(`
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS file_key VARCHAR(500);
+      ALTER TABLE songs ALTER COLUMN file_url DROP NOT NULL;
+    `);
+
+    // Convert legacy public file URLs into object keys
+    const keyResult = await pool.query(`
+      UPDATE songs
+      SET file_key = CASE
+        WHEN $1::text <> '' AND file_url LIKE $1::text || '/%' THEN substring(file_url FROM length($1::text) + 2)
+        ELSE regexp_replace(file_url, '^https?://[^/]+/', '')
+      END
+      WHERE file_key IS NULL AND file_url IS NOT NULL
+    `, [process.env.R2_PUBLIC_URL || '']);
+    console.log(`✅ Song file keys migrated (${keyResult.rowCount} converted)`);
+
+    // Play history: identical (song, played_at) submissions are replays of the same play (offline sync)
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_play_history_unique_play ON play_history(user_id, song_id, played_at);
+    `);
+
+    // Scrobble queue (listens waiting for delivery to the user's scrobbling service)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS scrobble_queue (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'failed')),
+        attempts INTEGER DEFAULT 0,
+        last_error VARCHAR(255),
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Scrobble_queue table created');
+
+    // Artwork table (one row per distinct image; resized variants live in R2)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS artwork (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        content_hash VARCHAR(64) NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, content_hash)
+      );
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS artwork_id UUID REFERENCES artwork(id) ON DELETE SET NULL;
+    `);
+    console.log('✅ Artwork table created');
+
+    // Content hash (SHA-256 of the audio payload) for duplicate detection
+    await pool.query(`
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+    `);
+
+    // Extended tags: album artist, composer, compilation, BPM, sort names, MusicBrainz ids
+    await pool.query(`
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS album_artist VARCHAR(255);
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS composer VARCHAR(255);
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS compilation BOOLEAN DEFAULT false;
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS bpm INTEGER;
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS title_sort VARCHAR(255);
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS artist_sort VARCHAR(255);
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS album_sort VARCHAR(255);
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS album_artist_sort VARCHAR(255);
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS musicbrainz_track_id VARCHAR(36);
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS musicbrainz_recording_id VARCHAR(36);
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS musicbrainz_album_id VARCHAR(36);
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS musicbrainz_artist_id VARCHAR(36);
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS musicbrainz_album_artist_id VARCHAR(36);
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS tags_scanned_at TIMESTAMP;
+    `);
+    console.log('✅ Extended tag columns created');
+
+    // Loudness (EBU R128) and ReplayGain values, filled by the background analysis
+    await pool.query(`
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS loudness_lufs REAL;
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS true_peak REAL;
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS track_gain REAL;
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS track_peak REAL;
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS album_gain REAL;
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS album_peak REAL;
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS gain_source VARCHAR(10) CHECK (gain_source IN ('tags', 'analysis'));
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS loudness_status VARCHAR(10) CHECK (loudness_status IN ('pending', 'analyzing', 'done', 'failed'));
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS loudness_analyzed_at TIMESTAMP;
+    `);
+    console.log('✅ Loudness columns created');
+
+    // Lyrics: plain text and time-synced lines ([{ time (ms), text }]) per song
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS song_lyrics (
+        song_id UUID PRIMARY KEY REFERENCES songs(id) ON DELETE CASCADE,
+        plain TEXT,
+        synced JSONB,
+        language VARCHAR(3),
+        source VARCHAR(10) NOT NULL CHECK (source IN ('embedded', 'user')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Song_lyrics table created');
+
+    // Waveform peaks (min/max pairs, signed 8-bit) per song and resolution
+    await pool.query(`
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS waveform_status VARCHAR(10) CHECK (waveform_status IN ('pending', 'generating', 'done', 'failed'));
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS waveform_generated_at TIMESTAMP;
+      CREATE TABLE IF NOT EXISTS song_waveforms (
+        song_id UUID REFERENCES songs(id) ON DELETE CASCADE,
+        resolution VARCHAR(10) NOT NULL,
+        length INTEGER NOT NULL,
+        samples_per_pixel INTEGER NOT NULL,
+        sample_rate INTEGER NOT NULL,
+        data BYTEA NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (song_id, resolution)
+      );
+    `);
+    console.log('✅ Song_waveforms table created');
+
+    // Transcoded renditions (low/high) cached in R2, not counted against storage quota
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS song_renditions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        song_id UUID REFERENCES songs(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        quality VARCHAR(10) NOT NULL CHECK (quality IN ('low', 'high')),
+        codec VARCHAR(10) NOT NULL,
+        bitrate INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'transcoding', 'ready', 'failed')),
+        file_key VARCHAR(500),
+        file_size BIGINT,
+        error VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(song_id, quality, codec)
+      );
+    `);
+    console.log('✅ Song_renditions table created');
+
+    // Album identity (songs.album_id) and disc numbers for multi-disc sets
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS albums (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(255) NOT NULL,
+        artist VARCHAR(255) NOT NULL DEFAULT '',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, title, artist)
+      );
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS album_id UUID REFERENCES albums(id) ON DELETE SET NULL;
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS disc_number INTEGER;
+    `);
+
+    // Backfill albums for songs uploaded before album identity existed
+    await pool.query(`
+      INSERT INTO albums (user_id, title, artist)
+      SELECT DISTINCT user_id, album,
+             COALESCE(NULLIF(album_artist, ''), CASE WHEN compilation THEN 'Various Artists' END, artist, '')
+      FROM songs
+      WHERE album_id IS NULL AND album IS NOT NULL AND album != ''
+      ON CONFLICT (user_id, title, artist) DO NOTHING;
+
+      UPDATE songs s
+      SET album_id = a.id
+      FROM albums a
+      WHERE s.album_id IS NULL
+        AND a.user_id = s.user_id AND a.title = s.album
+        AND a.artist = COALESCE(NULLIF(s.album_artist, ''), CASE WHEN s.compilation THEN 'Various Artists' END, s.artist, '');
+    `);
+    console.log('✅ Albums table created');
+
+    // Ratings, loved flag and free-form tags on songs
+    await pool.query(`
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS rating SMALLINT CHECK (rating BETWEEN 1 AND 5);
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS loved BOOLEAN DEFAULT false;
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS loved_at TIMESTAMP;
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+    `);
+
+    // Favorite albums and artists (identified by name, album favorites are per album + artist)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS favorites (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(10) NOT NULL CHECK (type IN ('album', 'artist')),
+        artist VARCHAR(255) NOT NULL DEFAULT '',
+        album VARCHAR(255) NOT NULL DEFAULT '',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, type, artist, album)
+      );
+    `);
+    console.log('✅ Ratings, tags and favorites created');
+
+    // Smart playlists: rules (JSONB) evaluated on read instead of playlist_songs
+    await pool.query(`
+      ALTER TABLE playlists ADD COLUMN IF NOT EXISTS type VARCHAR(10) DEFAULT 'manual' CHECK (type IN ('manual', 'smart'));
+      ALTER TABLE playlists ADD COLUMN IF NOT EXISTS rules JSONB;
+    `);
+    console.log('✅ Smart playlist columns created');
+
+    // Library search: full-text vector (title > artist > album) + trigram fuzzy matching
+    await pool.query(`
+      CREATE EXTENSION IF NOT EXISTS pg_trgm;
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (
+          setweight(to_tsvector('simple', COALESCE(title, '')), 'A') ||
+          setweight(to_tsvector('simple', COALESCE(artist, '')), 'B') ||
+          setweight(to_tsvector('simple', COALESCE(album, '')), 'C')
+        ) STORED;
+    `);
+    console.log('✅ Song search columns created');
+
+    // Trash: soft-deleted songs and playlists, purged after TRASH_RETENTION_DAYS
+    await pool.query(`
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE playlists ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+    `);
+    console.log('✅ Trash columns created');
+
+    // Delta sync: one row per changed entity, seq is the client's sync token.
+    // Triggers log every write that clients see; the per-user lock makes seq follow commit
+    // order, so a client never skips a change committed after it read a higher token.
+    // The triggers are deferred to commit: the lock is taken once the transaction holds all
+    // its row locks, so two transactions updating the same songs can't deadlock on it.
+    await pool.query(`
+      CREATE SEQUENCE IF NOT EXISTS sync_change_seq;
+
+      CREATE TABLE IF NOT EXISTS sync_changes (
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        entity VARCHAR(20) NOT NULL CHECK (entity IN ('song', 'playlist', 'playlist_song', 'settings')),
+        entity_id UUID NOT NULL,
+        seq BIGINT NOT NULL DEFAULT nextval('sync_change_seq'),
+        PRIMARY KEY (user_id, entity, entity_id)
+      );
+
+      CREATE OR REPLACE FUNCTION log_sync_changes(uid UUID, change_entity VARCHAR, ids UUID[]) RETURNS void AS $$
+      BEGIN
+        -- Rows cascading from a deleted user have nobody left to sync to
+        IF uid IS NULL OR NOT EXISTS (SELECT 1 FROM users WHERE id = uid) THEN
+          RETURN;
+        END IF;
+        PERFORM pg_advisory_xact_lock(hashtext('sync_changes:' || uid::text));
+        INSERT INTO sync_changes (user_id, entity, entity_id, seq)
+        SELECT uid, change_entity, id, nextval('sync_change_seq') FROM unnest(ids) AS id
+        ON CONFLICT (user_id, entity, entity_id) DO UPDATE SET seq = EXCLUDED.seq;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE OR REPLACE FUNCTION record_sync_change() RETURNS trigger AS $$
+      DECLARE
+        changed RECORD;
+      BEGIN
+        IF TG_OP = 'DELETE' THEN
+          changed := OLD;
+        ELSE
+          changed := NEW;
+        END IF;
+
+        IF TG_TABLE_NAME = 'songs' THEN
+          PERFORM log_sync_changes(changed.user_id, 'song', ARRAY[changed.id]);
+          -- Trashing or restoring a song hides or shows its playlist entries
+          IF TG_OP = 'UPDATE' AND OLD.deleted_at IS DISTINCT FROM NEW.deleted_at THEN
+            PERFORM log_sync_changes(changed.user_id, 'playlist_song',
+              ARRAY(SELECT id FROM playlist_songs WHERE song_id = changed.id));
+          END IF;
+        ELSIF TG_TABLE_NAME = 'playlists' THEN
+          PERFORM log_sync_changes(changed.user_id, 'playlist', ARRAY[changed.id]);
+          IF TG_OP = 'UPDATE' AND OLD.deleted_at IS DISTINCT FROM NEW.deleted_at THEN
+            PERFORM log_sync_changes(changed.user_id, 'playlist_song',
+              ARRAY(SELECT id FROM playlist_songs WHERE playlist_id = changed.id));
+          END IF;
+        ELSIF TG_TABLE_NAME = 'playlist_songs' THEN
+          -- Entries deleted along with their playlist: its owner is still in the log
+          PERFORM log_sync_changes(COALESCE(
+            (SELECT user_id FROM playlists WHERE id = changed.playlist_id),
+            (SELECT user_id FROM sync_changes WHERE entity = 'playlist' AND entity_id = changed.playlist_id LIMIT 1)
+          ), 'playlist_song', ARRAY[changed.id]);
+        ELSIF TG_TABLE_NAME = 'user_settings' THEN
+          PERFORM log_sync_changes(changed.user_id, 'settings', ARRAY[changed.user_id]);
+        END IF;
+
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS songs_sync_insert_delete ON songs;
+      CREATE CONSTRAINT TRIGGER songs_sync_insert_delete AFTER INSERT OR DELETE ON songs
+        DEFERRABLE INITIALLY DEFERRED
+        FOR EACH ROW EXECUTE FUNCTION record_sync_change();
+      -- songs_sync_update is created below, once every synced column exists
+
+      DROP TRIGGER IF EXISTS playlists_sync_insert_delete ON playlists;
+      CREATE CONSTRAINT TRIGGER playlists_sync_insert_delete AFTER INSERT OR DELETE ON playlists
+        DEFERRABLE INITIALLY DEFERRED
+        FOR EACH ROW EXECUTE FUNCTION record_sync_change();
+      DROP TRIGGER IF EXISTS playlists_sync_update ON playlists;
+      CREATE CONSTRAINT TRIGGER playlists_sync_update AFTER UPDATE ON playlists
+        DEFERRABLE INITIALLY DEFERRED
+        FOR EACH ROW WHEN (OLD.* IS DISTINCT FROM NEW.*) EXECUTE FUNCTION record_sync_change();
+
+      DROP TRIGGER IF EXISTS playlist_songs_sync ON playlist_songs;
+      CREATE CONSTRAINT TRIGGER playlist_songs_sync AFTER INSERT OR UPDATE OR DELETE ON playlist_songs
+        DEFERRABLE INITIALLY DEFERRED
+        FOR EACH ROW EXECUTE FUNCTION record_sync_change();
+
+      -- Rows that existed before the change log (no-op on later runs)
+      INSERT INTO sync_changes (user_id, entity, entity_id)
+      SELECT user_id, 'song', id FROM songs WHERE user_id IS NOT NULL
+      ON CONFLICT DO NOTHING;
+      INSERT INTO sync_changes (user_id, entity, entity_id)
+      SELECT user_id, 'playlist', id FROM playlists WHERE user_id IS NOT NULL
+      ON CONFLICT DO NOTHING;
+      INSERT INTO sync_changes (user_id, entity, entity_id)
+      SELECT p.user_id, 'playlist_song', ps.id FROM playlist_songs ps JOIN playlists p ON ps.playlist_id = p.id
+      WHERE p.user_id IS NOT NULL
+      ON CONFLICT DO NOTHING;
+    `);
+    console.log('✅ Sync change log created');
+
+    // Direct-to-R2 uploads: quota is reserved (storage_reserved) until the session completes or expires
+    await pool.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS storage_reserved BIGINT DEFAULT 0;
+
+      CREATE TABLE IF NOT EXISTS upload_sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        file_key VARCHAR(500) NOT NULL,
+        filename VARCHAR(255),
+        content_type VARCHAR(100) NOT NULL,
+        size BIGINT NOT NULL,
+        multipart_upload_id VARCHAR(1024),
+        part_size INTEGER,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completing', 'completed', 'failed', 'aborted', 'expired')),
+        error VARCHAR(255),
+        song_id UUID REFERENCES songs(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Upload sessions table created');
+
+    // Resumable (tus) uploads are upload sessions too: received bytes go to R2 as they arrive (multipart
+    // parts plus a tail object), upload_offset counts them and receiving_at locks the PATCH appending them
+    await pool.query(`
+      ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS protocol VARCHAR(10) DEFAULT 'presigned' CHECK (protocol IN ('presigned', 'tus'));
+      ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS upload_offset BIGINT DEFAULT 0;
+      ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS duplicate_policy VARCHAR(10);
+      ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS receiving_at TIMESTAMP;
+    `);
+    console.log('✅ Resumable upload columns added');
+
+    // Upload jobs: files are received (and stored in R2) by the request, songs are created by a worker.
+    // Queued and failed files hold storage_reserved until they are done, skipped or discarded
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS upload_jobs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'done', 'failed')),
+        duplicate_policy VARCHAR(10) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS upload_job_files (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        job_id UUID REFERENCES upload_jobs(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        filename VARCHAR(255),
+        content_type VARCHAR(100) NOT NULL,
+        file_key VARCHAR(500) NOT NULL,
+        file_size BIGINT NOT NULL,
+        content_hash VARCHAR(64),
+        status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'done', 'skipped', 'failed')),
+        error VARCHAR(255),
+        song_id UUID REFERENCES songs(id) ON DELETE SET NULL,
+        duplicate_of UUID REFERENCES songs(id) ON DELETE SET NULL,
+        attempts INTEGER DEFAULT 0,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP
+      );
+    `);
+    console.log('✅ Upload jobs tables created');
+
+    // Content type detected at upload (format keeps the extension; ALAC and AAC share m4a)
+    await pool.query(`
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS content_type VARCHAR(100);
+
+      UPDATE songs SET content_type = CASE format
+        WHEN 'mp3' THEN 'audio/mpeg'
+        WHEN 'm4a' THEN 'audio/mp4'
+        WHEN 'aac' THEN 'audio/aac'
+        WHEN 'flac' THEN 'audio/flac'
+        WHEN 'wav' THEN 'audio/wav'
+        WHEN 'ogg' THEN 'audio/ogg'
+      END
+      WHERE content_type IS NULL;
+    `);
+    console.log('✅ Song content types added');
+
+    // Content hashes that leave tags out are stamped; older ones covered the whole file
+    // (npm run hashes:backfill recomputes them)
+    await pool.query(`
+      ALTER TABLE songs ADD COLUMN IF NOT EXISTS audio_hashed_at TIMESTAMP;
+    `);
+    console.log('✅ Audio hash column added');
+
+    // Sync log for song updates: only the columns clients sync count (worker bookkeeping such
+    // as loudness_status or audio_hashed_at doesn't), deferred like the other sync triggers
+    await pool.query(`
+      DROP TRIGGER IF EXISTS songs_sync_update ON songs;
+      CREATE CONSTRAINT TRIGGER songs_sync_update AFTER UPDATE ON songs
+        DEFERRABLE INITIALLY DEFERRED
+        FOR EACH ROW WHEN (
+          (OLD.title, OLD.artist, OLD.album, OLD.album_artist, OLD.album_id, OLD.disc_number, OLD.track_number,
+           OLD.duration, OLD.year, OLD.genre, OLD.composer, OLD.compilation, OLD.bpm,
+           OLD.loudness_lufs, OLD.true_peak, OLD.track_gain, OLD.track_peak, OLD.album_gain, OLD.album_peak,
+           OLD.file_url, OLD.file_key, OLD.file_size, OLD.format, OLD.content_type, OLD.artwork_url,
+           OLD.rating, OLD.loved, OLD.tags, OLD.deleted_at)
+          IS DISTINCT FROM
+          (NEW.title, NEW.artist, NEW.album, NEW.album_artist, NEW.album_id, NEW.disc_number, NEW.track_number,
+           NEW.duration, NEW.year, NEW.genre, NEW.composer, NEW.compilation, NEW.bpm,
+           NEW.loudness_lufs, NEW.true_peak, NEW.track_gain, NEW.track_peak, NEW.album_gain, NEW.album_peak,
+           NEW.file_url, NEW.file_key, NEW.file_size, NEW.format, NEW.content_type, NEW.artwork_url,
+           NEW.rating, NEW.loved, NEW.tags, NEW.deleted_at)
+        ) EXECUTE FUNCTION record_sync_change();
+    `);
+    console.log('✅ Song sync trigger updated');
+
     // Create indexes for performance
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_songs_user_id ON songs(user_id);
       CREATE INDEX IF NOT EXISTS idx_songs_artist ON songs(artist);
       CREATE INDEX IF NOT EXISTS idx_songs_album ON songs(album);
+      CREATE INDEX IF NOT EXISTS idx_songs_artwork_id ON songs(artwork_id);
+      CREATE INDEX IF NOT EXISTS idx_songs_album_id ON songs(album_id);
+      CREATE INDEX IF NOT EXISTS idx_songs_album_artist ON songs(album_artist);
+      CREATE INDEX IF NOT EXISTS idx_songs_loudness_pending ON songs(created_at) WHERE loudness_status IN ('pending', 'analyzing');
+      CREATE INDEX IF NOT EXISTS idx_songs_waveform_pending ON songs(created_at) WHERE waveform_status IN ('pending', 'generating');
+      CREATE INDEX IF NOT EXISTS idx_songs_content_hash ON songs(user_id, content_hash);
+      CREATE INDEX IF NOT EXISTS idx_songs_search_vector ON songs USING GIN (search_vector);
+      CREATE INDEX IF NOT EXISTS idx_songs_title_trgm ON songs USING GIN (title gin_trgm_ops);
+      CREATE INDEX IF NOT EXISTS idx_songs_artist_trgm ON songs USING GIN (artist gin_trgm_ops);
+      CREATE INDEX IF NOT EXISTS idx_songs_album_trgm ON songs USING GIN (album gin_trgm_ops);
+      CREATE INDEX IF NOT EXISTS idx_songs_tags ON songs USING GIN (tags);
+      CREATE INDEX IF NOT EXISTS idx_songs_loved ON songs(user_id, loved_at) WHERE loved;
+      CREATE INDEX IF NOT EXISTS idx_songs_deleted_at ON songs(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
       CREATE INDEX IF NOT EXISTS idx_playlists_user_id ON playlists(user_id);
       CREATE INDEX IF NOT EXISTS idx_playlists_share_code ON playlists(share_code);
+      CREATE INDEX IF NOT EXISTS idx_playlists_deleted_at ON playlists(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
       CREATE INDEX IF NOT EXISTS idx_playlist_songs_playlist_id ON playlist_songs(playlist_id);
       CREATE INDEX IF NOT EXISTS idx_play_history_user_id ON play_history(user_id);
+      CREATE INDEX IF NOT EXISTS idx_play_history_user_played_at ON play_history(user_id, played_at);
+      CREATE INDEX IF NOT EXISTS idx_song_renditions_pending ON song_renditions(created_at) WHERE status IN ('pending', 'transcoding');
+      CREATE INDEX IF NOT EXISTS idx_song_renditions_user_id ON song_renditions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_scrobble_queue_due ON scrobble_queue(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_scrobble_queue_user_id ON scrobble_queue(user_id);
       CREATE INDEX IF NOT EXISTS idx_friendships_requester ON friendships(requester_id);
       CREATE INDEX IF NOT EXISTS idx_friendships_addressee ON friendships(addressee_id);
       CREATE INDEX IF NOT EXISTS idx_friendships_status ON friendships(status);
       CREATE INDEX IF NOT EXISTS idx_active_sessions_host ON active_sessions(host_id);
+      CREATE INDEX IF NOT EXISTS idx_sync_changes_user_seq ON sync_changes(user_id, seq);
+      CREATE INDEX IF NOT EXISTS idx_sync_changes_entity_id ON sync_changes(entity_id);
+      CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON upload_sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_upload_sessions_open ON upload_sessions(expires_at) WHERE status IN ('pending', 'completing');
+      CREATE INDEX IF NOT EXISTS idx_upload_jobs_user_id ON upload_jobs(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_upload_job_files_job_id ON upload_job_files(job_id, position);
+      CREATE INDEX IF NOT EXISTS idx_upload_job_files_queued ON upload_job_files(started_at) WHERE status IN ('queued', 'processing');
     `);
     console.log('✅ Indexes created');
 
@@ -32,12 +32,38 @@ const migrate = async () => {
         profile_public BOOLEAN DEFAULT false,
         show_listening_activity BOOLEAN DEFAULT false,
         playlist_default_public BOOLEAN DEFAULT false,
+        duplicate_policy VARCHAR(20) DEFAULT 'skip',
+        scrobbling_enabled BOOLEAN DEFAULT false,
+        scrobbler_token VARCHAR(255),
+        scrobbler_username VARCHAR(100),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
     console.log('✅ user_settings table created');
 
+    // Columns added after the initial release
+    await pool.query(`
+      ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS duplicate_policy VARCHAR(20) DEFAULT 'skip';
+      ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS scrobbling_enabled BOOLEAN DEFAULT false;
+      ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS scrobbler_token VARCHAR(255);
+      ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS scrobbler_username VARCHAR(100);
+    `);
+    console.log('✅ user_settings columns updated');
+
+    // Delta sync (record_sync_change comes from migrate.js, which runs first)
+    await pool.query(`
+      DROP TRIGGER IF EXISTS user_settings_sync ON user_settings;
+      CREATE CONSTRAINT TRIGGER user_settings_sync AFTER INSERT OR UPDATE ON user_settings
+        DEFERRABLE INITIALLY DEFERRED
+        FOR EACH ROW EXECUTE FUNCTION record_sync_change();
+
+      INSERT INTO sync_changes (user_id, entity, entity_id)
+      SELECT user_id, 'settings', user_id FROM user_settings
+      ON CONFLICT DO NOTHING;
+    `);
+    console.log('✅ user_settings sync trigger created');
+
     // User RSS Feeds table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS user_rss_feeds (
@@ -0,0 +1,267 @@
+/**
+ * Storage Configuration
+ * Cloudflare R2 connection (S3-compatible API)
+ */
+
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const r2Client = new S3Client({
+  region: 'auto',
+  endpoint: `https://${process.env.R2_ACCOUNT_ID}.r2.cloudflarestorage.com`,
+  credentials: {
+    accessKeyId: process.env.R2_ACCESS_KEY_ID,
+    secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
+  },
+  // Default checksums would be baked into presigned upload URLs (as the empty body's CRC)
+  requestChecksumCalculation: 'WHEN_REQUIRED',
+});
+
+const BUCKET = process.env.R2_BUCKET_NAME;
+
+// Presigned download URL lifetime (seconds)
+const SIGNED_URL_TTL = parseInt(process.env.R2_SIGNED_URL_TTL) || 3600;
+
+// Object key from a stored file_url (e.g. https://bucket.r2.dev/<userId>/<fileId>.mp3 -> <userId>/<fileId>.mp3)
+const getObjectKey = (fileUrl) => {
+  if (!fileUrl) return null;
+
+  const publicUrl = process.env.R2_PUBLIC_URL;
+  if (publicUrl && fileUrl.startsWith(`${publicUrl}/`)) {
+    return fileUrl.substring(publicUrl.length + 1);
+  }
+
+  try {
+    return decodeURIComponent(new URL(fileUrl).pathname.replace(/^\/+/, ''));
+  } catch {
+    return fileUrl; // Already a key
+  }
+};
+
+// Object key for a song row (falls back to legacy file_url for unmigrated rows)
+const getSongKey = (song) => song.file_key || getObjectKey(song.file_url);
+
+// Short-lived presigned GET URL for an object
+const getSignedFileUrl = (key, expiresIn = SIGNED_URL_TTL) => {
+  return getSignedUrl(r2Client, new GetObjectCommand({ Bucket: BUCKET, Key: key }), { expiresIn });
+};
+
+// Presigned PUT for a whole object, or one part of a multipart upload (partNumber).
+// Content-Length is signed, so the client can't send more than it reserved.
+const getSignedUploadUrl = ({ key, contentType, size, uploadId, partNumber }, expiresIn = SIGNED_URL_TTL) => {
+  const command = uploadId
+    ? new UploadPartCommand({ Bucket: BUCKET, Key: key, UploadId: uploadId, PartNumber: partNumber, ContentLength: size })
+    : new PutObjectCommand({ Bucket: BUCKET, Key: key, ContentType: contentType, ContentLength: size });
+  return getSignedUrl(r2Client, command, {
+    expiresIn,
+    signableHeaders: new Set(uploadId ? ['content-length'] : ['content-length', 'content-type'])
+  });
+};
+
+// Song columns that never leave the server
+const PRIVATE_SONG_COLUMNS = ['file_key', 'search_vector'];
+
+// Replace file_url on song rows with a fresh presigned URL (storage keys and index columns stay server-side)
+const signSongUrls = async (songs) => {
+  return Promise.all(songs.map(async (song) => {
+    const rest = { ...song };
+    PRIVATE_SONG_COLUMNS.forEach(column => delete rest[column]);
+    const key = getSongKey(song);
+    return {
+      ...rest,
+      file_url: key ? await getSignedFileUrl(key) : null
+    };
+  }));
+};
+
+// Delete a single object
+const deleteObject = async (key) => {
+  await r2Client.send(new DeleteObjectCommand({ Bucket: BUCKET, Key: key }));
+};
+
+// Delete many objects (DeleteObjects accepts up to 1000 keys per call), returns keys that failed
+const deleteObjects = async (keys) => {
+  const failed = [];
+
+  for (let i = 0; i < keys.length; i += 1000) {
+    const batch = keys.slice(i, i + 1000);
+    const result = await r2Client.send(new DeleteObjectsCommand({
+      Bucket: BUCKET,
+      Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true }
+    }));
+    (result.Errors || []).forEach(err => failed.push(err.Key));
+  }
+
+  return failed;
+};
+
+// List all objects under a prefix: [{ key, size, lastModified }]
+const listObjects = async (prefix) => {
+  const objects = [];
+  let ContinuationToken;
+
+  do {
+    const page = await r2Client.send(new ListObjectsV2Command({
+      Bucket: BUCKET,
+      Prefix: prefix,
+      ContinuationToken
+    }));
+    (page.Contents || []).forEach(obj => objects.push({
+      key: obj.Key,
+      size: obj.Size,
+      lastModified: obj.LastModified
+    }));
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+
+  return objects;
+};
+
+// List top-level "folders" in the bucket (one per user id)
+const listPrefixes = async () => {
+  const prefixes = [];
+  let ContinuationToken;
+
+  do {
+    const page = await r2Client.send(new ListObjectsV2Command({
+      Bucket: BUCKET,
+      Delimiter: '/',
+      ContinuationToken
+    }));
+    (page.CommonPrefixes || []).forEach(p => prefixes.push(p.Prefix));
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+
+  return prefixes;
+};
+
+// Multipart part size (R2 wants equal parts of at least 5MB, only the last may be smaller)
+const PART_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Write an object chunk by chunk without holding it in memory: full parts go to R2 as they
+ * fill up (multipart upload) but nothing exists under the key until commit(). Objects smaller
+ * than one part are sent with a single PutObject on commit. abort() drops what was sent
+ * (R2 also expires multipart uploads that are never completed).
+ */
+const createObjectWriter = (key, contentType) => {
+  let uploadId = null;
+  let pending = [];
+  let pendingSize = 0;
+  let size = 0;
+  let committed = false;
+  const parts = [];
+
+  const sendPart = async (body) => {
+    if (!uploadId) {
+      const created = await r2Client.send(new CreateMultipartUploadCommand({
+        Bucket: BUCKET,
+        Key: key,
+        ContentType: contentType
+      }));
+      uploadId = created.UploadId;
+    }
+
+    const PartNumber = parts.length + 1;
+    const result = await r2Client.send(new UploadPartCommand({
+      Bucket: BUCKET,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber,
+      Body: body
+    }));
+    parts.push({ ETag: result.ETag, PartNumber });
+  };
+
+  return {
+    key,
+    get size() {
+      return size;
+    },
+
+    // Resolves once the chunk is buffered or its part stored (wait before writing more)
+    write: async (chunk) => {
+      pending.push(chunk);
+      pendingSize += chunk.length;
+      size += chunk.length;
+
+      while (pendingSize >= PART_SIZE) {
+        const buffered = Buffer.concat(pending);
+        pending = [buffered.subarray(PART_SIZE)];
+        pendingSize = buffered.length - PART_SIZE;
+        await sendPart(buffered.subarray(0, PART_SIZE));
+      }
+    },
+
+    commit: async () => {
+      const body = Buffer.concat(pending);
+      pending = [];
+      pendingSize = 0;
+
+      if (!uploadId) {
+        await r2Client.send(new PutObjectCommand({
+          Bucket: BUCKET,
+          Key: key,
+          Body: body,
+          ContentType: contentType
+        }));
+      } else {
+        if (body.length > 0) await sendPart(body);
+        await r2Client.send(new CompleteMultipartUploadCommand({
+          Bucket: BUCKET,
+          Key: key,
+          UploadId: uploadId,
+          MultipartUpload: { Parts: parts }
+        }));
+      }
+      committed = true;
+    },
+
+    abort: async () => {
+      pending = [];
+      pendingSize = 0;
+      if (uploadId && !committed) {
+        await r2Client.send(new AbortMultipartUploadCommand({
+          Bucket: BUCKET,
+          Key: key,
+          UploadId: uploadId
+        }));
+      }
+    }
+  };
+};
+
+// Delete everything a user has stored (account deletion)
+const deleteUserObjects = async (userId) => {
+  const objects = await listObjects(`${userId}/`);
+  return deleteObjects(objects.map(obj => obj.key));
+};
+
+module.exports = {
+  r2Client,
+  BUCKET,
+  SIGNED_URL_TTL,
+  getObjectKey,
+  getSongKey,
+  getSignedFileUrl,
+  getSignedUploadUrl,
+  signSongUrls,
+  deleteObject,
+  deleteObjects,
+  listObjects,
+  listPrefixes,
+  deleteUserObjects,
+  PART_SIZE,
+  createObjectWriter
+};
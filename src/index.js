@@ -8,16 +8,32 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const http = require('http');
+const jwt = require('jsonwebtoken');
 const { Server } = require('socket.io');
+const { query } = require('./config/database');
+const { getSignedFileUrl } = require('./config/storage');
+const { isScrobblable, submitNowPlaying, queueListens, startScrobbleWorker } = require('./services/scrobbler');
+const { startLoudnessWorker } = require('./services/loudness');
+const { getPlaybackQuality, getPlaybackSource, startTranscodeWorker } = require('./services/transcoder');
+const { startWaveformWorker } = require('./services/waveform');
+const { startTrashPurgeWorker } = require('./services/trash');
+const { startUploadSessionWorker } = require('./services/upload_sessions');
+const { startUploadJobWorker } = require('./services/upload_jobs');
+const { getLineIndexAt } = require('./services/lyrics');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const libraryRoutes = require('./routes/library');
 const playlistRoutes = require('./routes/playlists');
 const uploadRoutes = require('./routes/upload');
+const tusRoutes = require('./routes/tus');
 const settingsRoutes = require('./routes/settings');
 const feedsRoutes = require('./routes/feeds');
 const friendsRoutes = require('./routes/friends');
+const artworkRoutes = require('./routes/artwork');
+const statsRoutes = require('./routes/stats');
+const trashRoutes = require('./routes/trash');
+const syncRoutes = require('./routes/sync');
 
 // Initialize Express
 const app = express();
@@ -35,9 +51,17 @@ const io = new Server(server, {
 });
 
 // Middleware
+// cors() answers OPTIONS itself: tus clients discover the server's capabilities with it
+app.use('/api/upload/tus', tusRoutes.tusHeaders);
 app.use(cors({
   origin: ['https://moshcast.com', 'https://www.moshcast.com', 'http://localhost:5173', 'http://localhost:3000'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: [
+    'X-Playback-Quality',
+    // tus resumable uploads
+    'Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires',
+    'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size'
+  ]
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -49,7 +73,7 @@ app.get('/', (req, res) => {
     version: '1.3.0',
     status: 'running',
     message: 'Your Music. Your Library. Everywhere.',
-    features: ['library', 'playlists', 'upload', 'settings', 'rss-feeds', 'golive', 'friends', 'stream-discovery']
+    features: ['library', 'playlists', 'upload', 'settings', 'rss-feeds', 'golive', 'friends', 'stream-discovery', 'artwork', 'stats', 'trash', 'sync', 'tus', 'archives']
   });
 });
 
@@ -57,18 +81,227 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/library', libraryRoutes);
 app.use('/api/playlists', playlistRoutes);
+app.use('/api/upload/tus', tusRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/feeds', feedsRoutes);
 app.use('/api/friends', friendsRoutes);
+app.use('/api/artwork', artworkRoutes);
+app.use('/api/stats', statsRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/sync', syncRoutes);
 
 // ============================================
 // GO LIVE - Socket.IO Implementation
 // ============================================
 
-// Active streaming sessions: { username: { hostSocketId, song, isPlaying, position, startedAt, listeners: Set } }
+// Active streaming sessions: { username: { hostSocketId, hostUserId, song, isPlaying, position, startedAt, listeners: Set, listening: Map } }
+// (hosts sign in with their JWT: the session belongs to the token's user, whose songs it signs)
 const sessions = {};
 
+// Give listeners a fresh presigned URL for the host's current song
+// (looked up by id and scoped to the host's user id, so listeners never need a permanent link;
+// the rendition follows the host's playback_quality setting)
+const withSignedSong = async (hostUserId, song) => {
+  if (!song || !song.id) return song;
+
+  try {
+    const result = await query(`
+      SELECT s.id, s.user_id, s.duration, s.file_size, s.file_url, s.file_key
+      FROM songs s
+      WHERE s.id = $1 AND s.user_id = $2 AND s.deleted_at IS NULL
+    `, [song.id, hostUserId]);
+
+    if (result.rows.length === 0) return song;
+
+    const { quality } = await getPlaybackQuality(result.rows[0].user_id);
+    const source = await getPlaybackSource(result.rows[0], quality);
+
+    return { ...song, file_url: await getSignedFileUrl(source.key), playback_quality: source.quality };
+  } catch (error) {
+    console.error('Go Live song signing error:', error.message);
+    return song;
+  }
+};
+
+// Listener fields for the host's current song (presigned URL, rendition), signed once per song
+// so play/pause/seek updates don't wait on R2. { songId, fields, ready }
+const signSessionSong = (session) => {
+  const songId = session.song && session.song.id;
+  if (session.signing && session.signing.songId === songId) return session.signing;
+
+  const signing = { songId, fields: null };
+  signing.ready = withSignedSong(session.hostUserId, session.song).then((signed) => {
+    signing.fields = signed && signed.file_url ? { file_url: signed.file_url, playback_quality: signed.playback_quality } : {};
+  });
+  session.signing = signing;
+  return signing;
+};
+
+// Scrobble metadata of one of the host's songs (null when it isn't theirs or is in the trash)
+const getHostSong = async (hostUserId, songId) => {
+  const result = await query(`
+    SELECT s.user_id, s.title, s.artist, s.album, s.duration, s.track_number
+    FROM songs s
+    WHERE s.id = $1 AND s.user_id = $2 AND s.deleted_at IS NULL
+  `, [songId, hostUserId]);
+  return result.rows[0] || null;
+};
+
+// Report the host's current song as "now playing" (best effort) to the scrobbler of the session's
+// verified host (hostUserId from their token) and to those of signed-in listeners (user ids)
+const scrobbleHostNowPlaying = async (session, song, { host = true, listeners = [] } = {}) => {
+  if (!song || !song.id || !session.hostUserId) return;
+
+  try {
+    const hostSong = await getHostSong(session.hostUserId, song.id);
+    if (!hostSong) return;
+
+    if (host) await submitNowPlaying(hostSong.user_id, hostSong);
+    for (const userId of listeners) {
+      await submitNowPlaying(userId, hostSong);
+    }
+  } catch (error) {
+    console.error('Go Live now playing error:', error.message);
+  }
+};
+
+// Signed-in listeners' time with the host's current song, scrobbled to their own accounts:
+// session.listening = Map socketId -> { userId, songId, startedAt, heard (seconds), since (ms, while playing) }
+
+// Start counting a listener's time with the host's current song
+const startListening = (session, listening) => {
+  listening.songId = session.song ? session.song.id : null;
+  listening.startedAt = new Date();
+  listening.heard = 0;
+  listening.since = session.isPlaying && listening.songId ? Date.now() : null;
+};
+
+// Count what was heard so far and stop the clock (before the host changes state)
+const pauseListening = (session) => {
+  const now = Date.now();
+  for (const listening of session.listening.values()) {
+    if (listening.since !== null) listening.heard += (now - listening.since) / 1000;
+    listening.since = null;
+  }
+};
+
+// Restart the clock if the host is playing (after the host changed state)
+const resumeListening = (session) => {
+  for (const listening of session.listening.values()) {
+    listening.since = session.isPlaying && listening.songId ? Date.now() : null;
+  }
+};
+
+// Queue a listen for a listener who heard enough of a song (half or 4 minutes, like any play)
+const scrobbleListening = async (session, listening) => {
+  if (!listening.songId || listening.heard <= 0) return;
+
+  try {
+    const song = await getHostSong(session.hostUserId, listening.songId);
+    if (song && isScrobblable(song, Math.round(listening.heard))) {
+      await queueListens(listening.userId, [{ song, listenedAt: listening.startedAt }]);
+    }
+  } catch (error) {
+    console.error('Go Live listen error:', error.message);
+  }
+};
+
+// A listener stops hearing the current song (song change, leaving, stream end)
+const finishListening = (session, socketId) => {
+  const listening = session.listening.get(socketId);
+  if (!listening) return;
+
+  if (listening.since !== null) listening.heard += (Date.now() - listening.since) / 1000;
+  listening.since = null;
+  scrobbleListening(session, { ...listening });
+};
+
+const finishAllListening = (session) => {
+  for (const socketId of session.listening.keys()) finishListening(session, socketId);
+  session.listening.clear();
+};
+
+// Host's playback position in seconds (advances with the clock while playing)
+const getSessionPosition = (session) => {
+  if (!session.isPlaying || !session.song) return session.position;
+  return session.position + (Date.now() - session.startedAt) / 1000;
+};
+
+// Synced lyrics of the host's current song (cached on the session per song)
+const loadSessionLyrics = async (username, session) => {
+  const songId = session.song && session.song.id;
+  if (!songId) return null;
+  if (session.lyrics && session.lyrics.songId === songId) return session.lyrics.synced;
+
+  const result = await query(`
+    SELECT l.synced
+    FROM song_lyrics l
+    JOIN songs s ON s.id = l.song_id
+    JOIN users u ON s.user_id = u.id
+    WHERE l.song_id = $1 AND u.username = $2 AND s.deleted_at IS NULL
+  `, [songId, username]);
+
+  session.lyrics = { songId, synced: result.rows[0]?.synced || null, index: null };
+  return session.lyrics.synced;
+};
+
+// stream:lyric payload (index -1 / text null: before the first line or no synced lyrics)
+const toLyricLine = (session) => {
+  const { songId, synced, index } = session.lyrics;
+  const line = synced && index >= 0 ? synced[index] : null;
+  const next = synced && synced[index + 1];
+  return {
+    songId,
+    index,
+    time: line ? line.time : null,
+    text: line ? line.text : null,
+    next: next ? next.text : null
+  };
+};
+
+const clearLyricTimer = (session) => {
+  clearTimeout(session.lyricTimer);
+  session.lyricTimer = null;
+};
+
+// Broadcast the host's current lyric line and schedule the next one (stream:lyric)
+const scheduleLyrics = async (username) => {
+  const session = sessions[username];
+  if (!session) return;
+  clearLyricTimer(session);
+
+  try {
+    const synced = await loadSessionLyrics(username, session);
+    if (sessions[username] !== session || !session.lyrics || session.lyrics.songId !== (session.song && session.song.id)) return;
+
+    // Song without synced lyrics: clear the previous song's line once
+    if (!synced || synced.length === 0) {
+      if (session.lyrics.index === null) {
+        session.lyrics.index = -1;
+        io.to(`stream:${username}`).emit('stream:lyric', toLyricLine(session));
+      }
+      return;
+    }
+    if (!session.isPlaying) return;
+
+    const positionMs = getSessionPosition(session) * 1000;
+    const index = getLineIndexAt(synced, positionMs);
+    if (index !== session.lyrics.index) {
+      session.lyrics.index = index;
+      io.to(`stream:${username}`).emit('stream:lyric', toLyricLine(session));
+    }
+
+    // Another update may have rescheduled while lyrics were loading
+    clearLyricTimer(session);
+    if (index + 1 < synced.length) {
+      session.lyricTimer = setTimeout(() => scheduleLyrics(username), synced[index + 1].time - positionMs + 20);
+    }
+  } catch (error) {
+    console.error('Go Live lyrics error:', error.message);
+  }
+};
+
 // ============================================
 // ACTIVE STREAMS API ENDPOINT
 // Returns list of all live streams for discovery
@@ -98,31 +331,55 @@ app.get('/api/streams/active', (req, res) => {
 io.on('connection', (socket) => {
   console.log(`🔌 Socket connected: ${socket.id}`);
 
-  // Host starts a stream
-  socket.on('host:start', ({ username, song }) => {
-    username = username.toLowerCase(); // Normalize to lowercase
+  // Open (or take over) the token user's stream
+  const startStream = (user, song) => {
+    const username = user.username.toLowerCase(); // Normalize to lowercase
     console.log(`📻 Host starting stream: ${username}`);
+
+    if (sessions[username]) {
+      clearLyricTimer(sessions[username]);
+      finishAllListening(sessions[username]);
+    }
     
     // Create or update session
     sessions[username] = {
       hostSocketId: socket.id,
+      hostUserId: user.id,
       song: song,
       isPlaying: true,
       position: 0,
       startedAt: Date.now(),
-      listeners: new Set()
+      listeners: new Set(),
+      listening: new Map()
     };
 
     // Join host to their room
     socket.join(`stream:${username}`);
+
+    scrobbleHostNowPlaying(sessions[username], song);
+    signSessionSong(sessions[username]);
+    scheduleLyrics(username);
     
     // Confirm to host
     socket.emit('host:started', { 
       success: true, 
+      username,
       listenerCount: 0 
     });
 
     console.log(`✅ Stream started for ${username}`);
+  };
+
+  // Host starts a stream (token: JWT; the stream goes out under the token's username)
+  socket.on('host:start', ({ song, token } = {}) => {
+    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+      if (err) {
+        socket.emit('stream:error', { error: 'Invalid or expired token', code: 'UNAUTHORIZED' });
+        return;
+      }
+
+      startStream(user, song);
+    });
   });
 
   // Host updates stream state (song change, play/pause, seek)
@@ -133,21 +390,54 @@ io.on('connection', (socket) => {
       return;
     }
 
+    const session = sessions[username];
+    pauseListening(session);
+
     // Update session
-    if (song !== undefined) sessions[username].song = song;
-    if (isPlaying !== undefined) sessions[username].isPlaying = isPlaying;
+    if (song !== undefined) {
+      const previousId = session.song && session.song.id;
+      session.song = song;
+      if ((song && song.id) !== previousId) {
+        // Listeners finish the previous song (scrobbled if they heard enough) and start this one
+        for (const [socketId, listening] of session.listening) {
+          finishListening(session, socketId);
+          startListening(session, listening);
+        }
+      }
+      if (song && song.id !== previousId) {
+        const listeners = [...session.listening.values()].map(listening => listening.userId);
+        scrobbleHostNowPlaying(session, song, { listeners });
+      }
+    }
+    if (isPlaying !== undefined) session.isPlaying = isPlaying;
     if (position !== undefined) {
-      sessions[username].position = position;
-      sessions[username].startedAt = Date.now(); // Reset timer on seek
+      session.position = position;
+      session.startedAt = Date.now(); // Reset timer on seek
     }
 
-    // Broadcast to all listeners in the room
-    socket.to(`stream:${username}`).emit('stream:update', {
-      song: sessions[username].song,
-      isPlaying: sessions[username].isPlaying,
-      position: sessions[username].position
+    resumeListening(session);
+
+    // Broadcast to all listeners in the room. Updates go out in the order the host sent them:
+    // right away once the song is signed, otherwise after signing and any update still queued.
+    const signing = signSessionSong(session);
+    const update = { song: session.song, isPlaying: session.isPlaying, position: session.position };
+    const broadcast = () => socket.to(`stream:${username}`).emit('stream:update', {
+      ...update,
+      song: update.song && { ...update.song, ...signing.fields }
     });
 
+    if (signing.fields && !session.updates) {
+      broadcast();
+    } else {
+      const queued = (session.updates || Promise.resolve()).then(() => signing.ready).then(broadcast);
+      session.updates = queued;
+      queued.finally(() => {
+        if (session.updates === queued) session.updates = null;
+      });
+    }
+
+    scheduleLyrics(username);
+
     console.log(`📡 Stream update for ${username}: playing=${isPlaying}, pos=${position}`);
   });
 
@@ -158,6 +448,9 @@ io.on('connection', (socket) => {
       return;
     }
 
+    clearLyricTimer(sessions[username]);
+    finishAllListening(sessions[username]);
+
     // Notify all listeners
     io.to(`stream:${username}`).emit('stream:ended', { 
       message: 'The host ended the stream' 
@@ -168,8 +461,8 @@ io.on('connection', (socket) => {
     console.log(`🛑 Stream ended: ${username}`);
   });
 
-  // Listener joins a stream
-  socket.on('listener:join', ({ username, listenerName }) => {
+  // Listener joins a stream (token: optional JWT, so a signed-in listener's listens are scrobbled)
+  socket.on('listener:join', async ({ username, listenerName, token }) => {
     username = username.toLowerCase(); // Normalize
     console.log(`👂 Listener joining ${username}: ${listenerName}`);
 
@@ -193,21 +486,37 @@ io.on('connection', (socket) => {
     socket.streamUsername = username;
     socket.listenerName = listenerName;
 
-    // Calculate current position based on elapsed time
-    let currentPosition = session.position;
-    if (session.isPlaying && session.song) {
-      const elapsed = (Date.now() - session.startedAt) / 1000;
-      currentPosition = session.position + elapsed;
+    if (token) {
+      jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+        if (err || sessions[username] !== session || !session.listeners.has(socket.id)) return;
+        finishListening(session, socket.id);
+
+        const listening = { userId: user.id };
+        startListening(session, listening);
+        session.listening.set(socket.id, listening);
+        if (session.isPlaying) scrobbleHostNowPlaying(session, session.song, { host: false, listeners: [user.id] });
+      });
     }
 
+    // Calculate current position based on elapsed time
+    const currentPosition = getSessionPosition(session);
+
     // Send current stream state to new listener
+    const { song } = session;
+    const signing = signSessionSong(session);
+    await signing.ready;
     socket.emit('stream:state', {
-      song: session.song,
+      song: song && { ...song, ...signing.fields },
       isPlaying: session.isPlaying,
       position: currentPosition,
       listenerCount: session.listeners.size
     });
 
+    // Current lyric line, if the host's song has synced lyrics
+    if (session.lyrics && session.lyrics.synced && session.lyrics.index !== null && session.lyrics.songId === (session.song && session.song.id)) {
+      socket.emit('stream:lyric', toLyricLine(session));
+    }
+
     // Broadcast updated listener count
     io.to(`stream:${username}`).emit('stream:listeners', { 
       count: session.listeners.size 
@@ -241,6 +550,19 @@ io.on('connection', (socket) => {
     console.log(`💬 Chat in ${username}'s stream: ${senderName}: ${message}`);
   });
 
+  // Uploader follows their upload jobs ('upload:progress' events)
+  socket.on('uploads:subscribe', ({ token } = {}) => {
+    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+      if (err) {
+        socket.emit('uploads:error', { error: 'Invalid or expired token' });
+        return;
+      }
+
+      socket.join(`uploads:${user.id}`);
+      socket.emit('uploads:subscribed', { success: true });
+    });
+  });
+
   // Handle disconnection
   socket.on('disconnect', () => {
     console.log(`🔌 Socket disconnected: ${socket.id}`);
@@ -249,6 +571,8 @@ io.on('connection', (socket) => {
     for (const [username, session] of Object.entries(sessions)) {
       if (session.hostSocketId === socket.id) {
         // Host disconnected - end the stream
+        clearLyricTimer(session);
+        finishAllListening(session);
         io.to(`stream:${username}`).emit('stream:ended', { 
           message: 'The host disconnected' 
         });
@@ -260,6 +584,8 @@ io.on('connection', (socket) => {
       // Check if this was a listener
       if (session.listeners.has(socket.id)) {
         session.listeners.delete(socket.id);
+        finishListening(session, socket.id);
+        session.listening.delete(socket.id);
         
         // Broadcast updated count
         io.to(`stream:${username}`).emit('stream:listeners', { 
@@ -298,6 +624,14 @@ app.use((req, res) => {
 });
 
 // Start server (use 'server' not 'app' for Socket.IO)
+startScrobbleWorker();
+startLoudnessWorker();
+startTranscodeWorker();
+startWaveformWorker();
+startTrashPurgeWorker();
+startUploadSessionWorker();
+startUploadJobWorker(io);
+
 server.listen(PORT, () => {
   console.log(`
   🎵 Moshcast API Server
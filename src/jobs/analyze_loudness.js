@@ -0,0 +1,62 @@
+/**
+ * Loudness Backfill Job
+ * Queues songs for loudness analysis and runs it to completion (needs ffmpeg, see FFMPEG_PATH)
+ *
+ * Run with: npm run loudness:backfill -- [--all] [--failed] [--user <id>]
+ *
+ *   (no flags)    Songs never analyzed (uploaded before loudness analysis existed)
+ *   --failed      Also retry songs whose analysis failed
+ *   --all         Re-analyze every song
+ *   --user <id>   Limit to one user
+ */
+
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { processPending } = require('../services/loudness');
+
+const args = process.argv.slice(2);
+const ALL = args.includes('--all');
+const FAILED = args.includes('--failed');
+const ONLY_USER = args.includes('--user') ? args[args.indexOf('--user') + 1] : null;
+
+const backfill = async () => {
+  console.log(`🔄 Analyzing loudness${ALL ? ' (all songs)' : ''}...\n`);
+
+  try {
+    const params = [];
+    let filters = ALL
+      ? "loudness_status IS DISTINCT FROM 'analyzing'"
+      : `(loudness_status IS NULL${FAILED ? " OR loudness_status = 'failed'" : ''})`;
+    if (ONLY_USER) {
+      params.push(ONLY_USER);
+      filters += ` AND user_id = $${params.length}`;
+    }
+
+    const queued = await pool.query(`
+      UPDATE songs SET loudness_status = 'pending'
+      WHERE ${filters}
+    `, params);
+    console.log(`   ${queued.rowCount} songs queued`);
+
+    const processed = await processPending();
+
+    const remaining = await pool.query(`
+      SELECT loudness_status as status, COUNT(*) as count
+      FROM songs
+      WHERE loudness_status IN ('pending', 'failed')
+      GROUP BY loudness_status
+    `);
+    const stats = { analyzed: processed, pending: 0, failed: 0 };
+    remaining.rows.forEach(row => { stats[row.status] = parseInt(row.count); });
+
+    console.log('\n🎉 Loudness backfill complete:', JSON.stringify(stats));
+
+  } catch (error) {
+    console.error('❌ Loudness backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+backfill();
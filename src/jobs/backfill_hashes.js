@@ -0,0 +1,95 @@
+/**
+ * Content Hash Backfill Job
+ * Recomputes content hashes of songs uploaded while the hash covered the whole file, so they
+ * match new uploads (whose hash leaves tags out) in duplicate checks and GET /api/library/duplicates
+ *
+ * Run with: npm run hashes:backfill -- [--all] [--user <id>] [--limit <n>]
+ *
+ *   (no flags)    Songs hashed before tags were left out
+ *   --all         Rehash every song
+ *   --user <id>   Limit to one user
+ *   --limit <n>   Stop after n songs
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { pool } = require('../config/database');
+const { getSongKey } = require('../config/storage');
+const { downloadToTemp } = require('../services/upload_storage');
+const { sniffAudioFile, hashAudioFile } = require('../services/audio_formats');
+
+const args = process.argv.slice(2);
+const ALL = args.includes('--all');
+const ONLY_USER = args.includes('--user') ? args[args.indexOf('--user') + 1] : null;
+const LIMIT = args.includes('--limit') ? parseInt(args[args.indexOf('--limit') + 1]) || null : null;
+
+const BATCH_SIZE = 100;
+
+const rehashSong = async (song) => {
+  const local = await downloadToTemp(getSongKey(song));
+
+  try {
+    const contentHash = await hashAudioFile(local.path, await sniffAudioFile(local.path));
+    await pool.query(
+      'UPDATE songs SET content_hash = $1, audio_hashed_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [contentHash, song.id]
+    );
+    return contentHash !== song.content_hash;
+  } finally {
+    await fs.promises.unlink(local.path).catch(() => {});
+  }
+};
+
+const backfill = async () => {
+  console.log(`🔄 Backfilling content hashes${ALL ? ' (all songs)' : ' (whole-file hashes)'}...\n`);
+
+  const stats = { hashed: 0, changed: 0, failed: 0 };
+
+  try {
+    let lastId = '00000000-0000-0000-0000-000000000000';
+
+    while (!LIMIT || stats.hashed + stats.failed < LIMIT) {
+      const params = [lastId, BATCH_SIZE];
+      let filters = ALL ? '' : 'AND audio_hashed_at IS NULL';
+      if (ONLY_USER) {
+        params.push(ONLY_USER);
+        filters += ` AND user_id = $${params.length}`;
+      }
+
+      const batch = await pool.query(`
+        SELECT id, title, file_url, file_key, content_hash
+        FROM songs
+        WHERE id > $1 ${filters}
+        ORDER BY id ASC
+        LIMIT $2
+      `, params);
+
+      if (batch.rows.length === 0) break;
+
+      for (const song of batch.rows) {
+        if (LIMIT && stats.hashed + stats.failed >= LIMIT) break;
+        lastId = song.id;
+
+        try {
+          if (await rehashSong(song)) stats.changed++;
+          stats.hashed++;
+        } catch (songError) {
+          stats.failed++;
+          console.error(`⚠️  ${song.id} (${song.title}):`, songError.message);
+        }
+      }
+
+      console.log(`   ${stats.hashed} hashed, ${stats.changed} changed, ${stats.failed} failed`);
+    }
+
+    console.log('\n🎉 Content hash backfill complete:', JSON.stringify(stats));
+
+  } catch (error) {
+    console.error('❌ Content hash backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+backfill();
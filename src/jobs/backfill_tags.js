@@ -0,0 +1,136 @@
+/**
+ * Tag Backfill Job
+ * Re-reads tags from stored files to fill extended tag columns (album artist, composer,
+ * compilation, BPM, sort names, MusicBrainz ids, disc number) and regroup albums
+ *
+ * Run with: npm run tags:backfill -- [--all] [--user <id>] [--limit <n>]
+ *
+ *   (no flags)    Songs never scanned (uploaded before extended tags were read)
+ *   --all         Re-scan every song
+ *   --user <id>   Limit to one user
+ *   --limit <n>   Stop after n songs
+ *
+ * Only empty columns are filled: title, artist, album and tags that are already set
+ * (e.g. edited through PUT /api/library/:id) are never overwritten.
+ */
+
+require('dotenv').config();
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const mm = require('music-metadata');
+const { pool } = require('../config/database');
+const { r2Client, BUCKET, getSongKey } = require('../config/storage');
+const { resolveAlbumId, pruneEmptyAlbums } = require('../services/albums');
+const { EXTENDED_TAG_COLUMNS, readExtendedTags, getAlbumArtist } = require('../services/tags');
+
+const args = process.argv.slice(2);
+const ALL = args.includes('--all');
+const ONLY_USER = args.includes('--user') ? args[args.indexOf('--user') + 1] : null;
+const LIMIT = args.includes('--limit') ? parseInt(args[args.indexOf('--limit') + 1]) || null : null;
+
+const BATCH_SIZE = 100;
+
+// Parse tags straight from the R2 stream (covers skipped, no full-file duration scan)
+const readTags = async (song) => {
+  const object = await r2Client.send(new GetObjectCommand({
+    Bucket: BUCKET,
+    Key: getSongKey(song),
+  }));
+
+  try {
+    const parsed = await mm.parseStream(object.Body, {
+      mimeType: song.content_type || object.ContentType,
+      size: object.ContentLength
+    }, { skipCovers: true, duration: false });
+    return parsed.common;
+  } finally {
+    object.Body.destroy();
+  }
+};
+
+const backfillSong = async (song) => {
+  const common = await readTags(song);
+  const tags = readExtendedTags(common);
+
+  const values = EXTENDED_TAG_COLUMNS.map(column => tags[column]);
+  const sets = EXTENDED_TAG_COLUMNS.map((column, i) => column === 'compilation'
+    ? `compilation = COALESCE(compilation, false) OR $${i + 3}`
+    : `${column} = COALESCE(${column}, $${i + 3})`);
+
+  const result = await pool.query(`
+    UPDATE songs
+    SET ${sets.join(', ')},
+        disc_number = COALESCE(disc_number, $${values.length + 3}),
+        tags_scanned_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, [song.id, song.user_id, ...values, common.disk?.no || null]);
+
+  // Album artist may have changed the album this song belongs to
+  const updated = result.rows[0];
+  const albumId = await resolveAlbumId(updated.user_id, updated.album, getAlbumArtist(updated));
+  if (albumId !== updated.album_id) {
+    await pool.query('UPDATE songs SET album_id = $1 WHERE id = $2', [albumId, updated.id]);
+    return true;
+  }
+  return false;
+};
+
+const backfill = async () => {
+  console.log(`🔄 Backfilling tags${ALL ? ' (all songs)' : ' (unscanned songs)'}...\n`);
+
+  const stats = { scanned: 0, regrouped: 0, failed: 0 };
+  const touchedUsers = new Set();
+
+  try {
+    let lastId = '00000000-0000-0000-0000-000000000000';
+
+    while (!LIMIT || stats.scanned + stats.failed < LIMIT) {
+      const params = [lastId, BATCH_SIZE];
+      let filters = ALL ? '' : 'AND tags_scanned_at IS NULL';
+      if (ONLY_USER) {
+        params.push(ONLY_USER);
+        filters += ` AND user_id = $${params.length}`;
+      }
+
+      const batch = await pool.query(`
+        SELECT id, user_id, title, file_url, file_key, content_type
+        FROM songs
+        WHERE id > $1 ${filters}
+        ORDER BY id ASC
+        LIMIT $2
+      `, params);
+
+      if (batch.rows.length === 0) break;
+
+      for (const song of batch.rows) {
+        if (LIMIT && stats.scanned + stats.failed >= LIMIT) break;
+        lastId = song.id;
+
+        try {
+          if (await backfillSong(song)) stats.regrouped++;
+          stats.scanned++;
+          touchedUsers.add(song.user_id);
+        } catch (songError) {
+          stats.failed++;
+          console.error(`⚠️  ${song.id} (${song.title}):`, songError.message);
+        }
+      }
+
+      console.log(`   ${stats.scanned} scanned, ${stats.regrouped} regrouped, ${stats.failed} failed`);
+    }
+
+    for (const userId of touchedUsers) {
+      await pruneEmptyAlbums(userId);
+    }
+
+    console.log('\n🎉 Tag backfill complete:', JSON.stringify(stats));
+
+  } catch (error) {
+    console.error('❌ Tag backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+backfill();
@@ -0,0 +1,114 @@
+/**
+ * Rendition Build Job
+ * Transcodes songs ahead of time so low/high quality playback never falls back to the original
+ * (needs ffmpeg, see FFMPEG_PATH / TRANSCODE_CODEC)
+ *
+ * Run with: npm run renditions:build -- [--quality <low|high>] [--failed] [--user <id>]
+ *
+ *   (no flags)          Build missing low and high renditions for every song
+ *   --quality <q>       Only one quality
+ *   --failed            Also retry renditions that failed before
+ *   --user <id>         Limit to one user
+ */
+
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { RENDITION_BITRATES, CODEC, needsRendition, processPending } = require('../services/transcoder');
+
+const args = process.argv.slice(2);
+const ONLY_QUALITY = args.includes('--quality') ? args[args.indexOf('--quality') + 1] : null;
+const FAILED = args.includes('--failed');
+const ONLY_USER = args.includes('--user') ? args[args.indexOf('--user') + 1] : null;
+
+const BATCH_SIZE = 500;
+
+// Queue a rendition row for every song (and quality) that doesn't have one yet
+const queueMissing = async (qualities) => {
+  let queued = 0;
+  let lastId = '00000000-0000-0000-0000-000000000000';
+
+  while (true) {
+    const params = [lastId, BATCH_SIZE];
+    let filters = '';
+    if (ONLY_USER) {
+      params.push(ONLY_USER);
+      filters = `AND user_id = $${params.length}`;
+    }
+
+    const batch = await pool.query(`
+      SELECT id, user_id, duration, file_size
+      FROM songs
+      WHERE id > $1 ${filters}
+      ORDER BY id ASC
+      LIMIT $2
+    `, params);
+
+    if (batch.rows.length === 0) break;
+    lastId = batch.rows[batch.rows.length - 1].id;
+
+    for (const quality of qualities) {
+      const songs = batch.rows.filter(song => needsRendition(song, quality));
+      if (songs.length === 0) continue;
+
+      const result = await pool.query(`
+        INSERT INTO song_renditions (song_id, user_id, quality, codec, bitrate)
+        SELECT id, user_id, $2, $3, $4
+        FROM songs
+        WHERE id = ANY($1::uuid[])
+        ON CONFLICT (song_id, quality, codec) DO NOTHING
+      `, [songs.map(song => song.id), quality, CODEC, RENDITION_BITRATES[quality]]);
+      queued += result.rowCount;
+    }
+  }
+
+  return queued;
+};
+
+const build = async () => {
+  console.log(`🔄 Building ${CODEC} renditions${ONLY_QUALITY ? ` (${ONLY_QUALITY})` : ''}...\n`);
+
+  try {
+    if (ONLY_QUALITY && !RENDITION_BITRATES[ONLY_QUALITY]) {
+      throw new Error(`Invalid quality. Use: ${Object.keys(RENDITION_BITRATES).join(', ')}`);
+    }
+    const qualities = ONLY_QUALITY ? [ONLY_QUALITY] : Object.keys(RENDITION_BITRATES);
+
+    if (FAILED) {
+      const params = [qualities, CODEC];
+      let filters = '';
+      if (ONLY_USER) {
+        params.push(ONLY_USER);
+        filters = `AND user_id = $${params.length}`;
+      }
+      const retried = await pool.query(`
+        UPDATE song_renditions SET status = 'pending', error = NULL
+        WHERE status = 'failed' AND quality = ANY($1) AND codec = $2 ${filters}
+      `, params);
+      console.log(`   ${retried.rowCount} failed renditions requeued`);
+    }
+
+    const queued = await queueMissing(qualities);
+    console.log(`   ${queued} renditions queued`);
+
+    const built = await processPending();
+
+    const remaining = await pool.query(`
+      SELECT status, COUNT(*) as count
+      FROM song_renditions
+      WHERE status IN ('pending', 'failed') AND codec = $1
+      GROUP BY status
+    `, [CODEC]);
+    const stats = { built, pending: 0, failed: 0 };
+    remaining.rows.forEach(row => { stats[row.status] = parseInt(row.count); });
+
+    console.log('\n🎉 Rendition build complete:', JSON.stringify(stats));
+
+  } catch (error) {
+    console.error('❌ Rendition build failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+build();
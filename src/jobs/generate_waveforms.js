@@ -0,0 +1,62 @@
+/**
+ * Waveform Backfill Job
+ * Queues songs for waveform generation and runs it to completion (needs ffmpeg, see FFMPEG_PATH)
+ *
+ * Run with: npm run waveform:backfill -- [--all] [--failed] [--user <id>]
+ *
+ *   (no flags)    Songs without a waveform (uploaded before waveforms existed)
+ *   --failed      Also retry songs whose generation failed
+ *   --all         Regenerate every song
+ *   --user <id>   Limit to one user
+ */
+
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { processPending } = require('../services/waveform');
+
+const args = process.argv.slice(2);
+const ALL = args.includes('--all');
+const FAILED = args.includes('--failed');
+const ONLY_USER = args.includes('--user') ? args[args.indexOf('--user') + 1] : null;
+
+const backfill = async () => {
+  console.log(`🔄 Generating waveforms${ALL ? ' (all songs)' : ''}...\n`);
+
+  try {
+    const params = [];
+    let filters = ALL
+      ? "waveform_status IS DISTINCT FROM 'generating'"
+      : `(waveform_status IS NULL${FAILED ? " OR waveform_status = 'failed'" : ''})`;
+    if (ONLY_USER) {
+      params.push(ONLY_USER);
+      filters += ` AND user_id = $${params.length}`;
+    }
+
+    const queued = await pool.query(`
+      UPDATE songs SET waveform_status = 'pending'
+      WHERE ${filters}
+    `, params);
+    console.log(`   ${queued.rowCount} songs queued`);
+
+    const processed = await processPending();
+
+    const remaining = await pool.query(`
+      SELECT waveform_status as status, COUNT(*) as count
+      FROM songs
+      WHERE waveform_status IN ('pending', 'failed')
+      GROUP BY waveform_status
+    `);
+    const stats = { generated: processed, pending: 0, failed: 0 };
+    remaining.rows.forEach(row => { stats[row.status] = parseInt(row.count); });
+
+    console.log('\n🎉 Waveform backfill complete:', JSON.stringify(stats));
+
+  } catch (error) {
+    console.error('❌ Waveform backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+backfill();
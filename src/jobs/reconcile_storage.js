@@ -0,0 +1,201 @@
+/**
+ * Storage Reconciliation Job
+ * Compares R2 objects against songs rows and fixes storage_used drift
+ * (transcoded renditions are tracked but never count towards storage_used)
+ *
+ * Run with: npm run storage:reconcile -- [--repair] [--prune-missing] [--user <id>] [--grace <hours>]
+ *
+ *   (no flags)       Report only
+ *   --repair         Delete orphaned objects and unused artwork, recompute users.storage_used
+ *                    and users.storage_reserved (open upload sessions, unfinished upload job files)
+ *   --prune-missing  Also delete songs rows whose object no longer exists
+ *                    (rendition rows with a missing object are always dropped on --repair)
+ *   --user <id>      Limit to one user
+ *   --grace <hours>  Unreferenced objects newer than this are left alone, they may belong to
+ *                    an upload that hasn't created its row yet (default 24)
+ */
+
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { getSongKey, listObjects, listPrefixes, deleteObjects } = require('../config/storage');
+const { ARTWORK_SIZES, getArtworkKey } = require('../services/artwork');
+const { getTusTailKey } = require('../services/upload_sessions');
+
+const args = process.argv.slice(2);
+const REPAIR = args.includes('--repair');
+const PRUNE_MISSING = args.includes('--prune-missing');
+const ONLY_USER = args.includes('--user') ? args[args.indexOf('--user') + 1] : null;
+const GRACE_HOURS = args.includes('--grace') ? parseFloat(args[args.indexOf('--grace') + 1]) : 24;
+
+// Objects written within the grace period are never treated as leftovers
+const isPastGrace = (obj) => !obj.lastModified || obj.lastModified.getTime() < Date.now() - GRACE_HOURS * 60 * 60 * 1000;
+
+// Every object key the database still references for a user
+const getReferencedKeys = async (userId) => {
+  const songs = await pool.query(
+    'SELECT id, file_url, file_key FROM songs WHERE user_id = $1',
+    [userId]
+  );
+  const artwork = await pool.query(
+    'SELECT id FROM artwork WHERE user_id = $1',
+    [userId]
+  );
+  const renditions = await pool.query(
+    'SELECT id, file_key FROM song_renditions WHERE user_id = $1 AND file_key IS NOT NULL',
+    [userId]
+  );
+  // Direct uploads still in progress (their object may not exist yet, tus ones also have a tail)
+  const sessions = await pool.query(
+    "SELECT id, user_id, protocol, file_key FROM upload_sessions WHERE user_id = $1 AND status IN ('pending', 'completing')",
+    [userId]
+  );
+
+  // Upload job files waiting for (or retrying) their song
+  const jobFiles = await pool.query(
+    "SELECT id, file_key FROM upload_job_files WHERE user_id = $1 AND status IN ('queued', 'processing', 'failed')",
+    [userId]
+  );
+
+  return [
+    ...songs.rows.map(song => ({ songId: song.id, key: getSongKey(song) })),
+    ...renditions.rows.map(rendition => ({ renditionId: rendition.id, key: rendition.file_key })),
+    ...sessions.rows.map(session => ({ sessionId: session.id, key: session.file_key })),
+    ...sessions.rows
+      .filter(session => session.protocol === 'tus')
+      .map(session => ({ sessionId: session.id, key: getTusTailKey(session) })),
+    ...jobFiles.rows.map(file => ({ jobFileId: file.id, key: file.file_key })),
+    ...artwork.rows.flatMap(art => Object.keys(ARTWORK_SIZES).map(size => ({
+      artworkId: art.id,
+      key: getArtworkKey(userId, art.id, size)
+    })))
+  ];
+};
+
+// Artwork no song points at any more (e.g. after its album was deleted)
+const findUnusedArtwork = async (userId) => {
+  const result = await pool.query(`
+    SELECT a.id FROM artwork a
+    WHERE a.user_id = $1
+      AND NOT EXISTS (SELECT 1 FROM songs s WHERE s.artwork_id = a.id)
+  `, [userId]);
+  return result.rows.map(row => row.id);
+};
+
+const reconcileUser = async (user) => {
+  // Drop unused artwork first so its objects are reported (and removed) as orphans below
+  const unusedArtwork = await findUnusedArtwork(user.id);
+  if (REPAIR && unusedArtwork.length > 0) {
+    await pool.query('DELETE FROM artwork WHERE id = ANY($1)', [unusedArtwork]);
+  }
+
+  // References first: an object written after them is recent, so the grace period covers it
+  const referenced = await getReferencedKeys(user.id);
+  const referencedKeys = new Set(referenced.map(ref => ref.key));
+
+  const objects = await listObjects(`${user.id}/`);
+  const objectKeys = new Set(objects.map(obj => obj.key));
+
+  const unreferenced = objects.filter(obj => !referencedKeys.has(obj.key));
+  const orphanObjects = unreferenced.filter(isPastGrace);
+  const missingObjects = referenced.filter(ref => !ref.sessionId && !objectKeys.has(ref.key));
+
+  const sizeResult = await pool.query(
+    'SELECT COALESCE(SUM(file_size), 0) AS actual FROM songs WHERE user_id = $1',
+    [user.id]
+  );
+  const recorded = parseInt(user.storage_used) || 0;
+  const actual = parseInt(sizeResult.rows[0].actual) || 0;
+
+  const report = {
+    user: user.username,
+    objects: objects.length,
+    songs: referenced.filter(ref => ref.songId).length,
+    unused_artwork: unusedArtwork.length,
+    orphan_objects: orphanObjects.length,
+    orphan_bytes: orphanObjects.reduce((sum, obj) => sum + (obj.size || 0), 0),
+    recent_unreferenced: unreferenced.length - orphanObjects.length,
+    missing_objects: missingObjects.length,
+    storage_drift: recorded - actual
+  };
+
+  if (REPAIR) {
+    if (orphanObjects.length > 0) {
+      const failed = await deleteObjects(orphanObjects.map(obj => obj.key));
+      report.orphans_deleted = orphanObjects.length - failed.length;
+    }
+
+    const missingSongIds = missingObjects.filter(ref => ref.songId).map(ref => ref.songId);
+    if (PRUNE_MISSING && missingSongIds.length > 0) {
+      const pruned = await pool.query(
+        'DELETE FROM songs WHERE user_id = $1 AND id = ANY($2)',
+        [user.id, missingSongIds]
+      );
+      report.rows_pruned = pruned.rowCount;
+    }
+
+    // Renditions are a cache: a missing one is simply rebuilt on the next request
+    const missingRenditionIds = missingObjects.filter(ref => ref.renditionId).map(ref => ref.renditionId);
+    if (missingRenditionIds.length > 0) {
+      await pool.query('DELETE FROM song_renditions WHERE id = ANY($1)', [missingRenditionIds]);
+    }
+
+    // Recompute from what is actually left
+    await pool.query(`
+      UPDATE users
+      SET storage_used = (SELECT COALESCE(SUM(file_size), 0) FROM songs WHERE user_id = $1),
+          storage_reserved = (
+            SELECT COALESCE(SUM(size), 0) FROM upload_sessions
+            WHERE user_id = $1 AND status IN ('pending', 'completing')
+          ) + (
+            SELECT COALESCE(SUM(file_size), 0) FROM upload_job_files
+            WHERE user_id = $1 AND status IN ('queued', 'processing', 'failed')
+          )
+      WHERE id = $1
+    `, [user.id]);
+  }
+
+  return report;
+};
+
+const reconcile = async () => {
+  console.log(`🔄 Reconciling storage${REPAIR ? ' (repair mode)' : ' (report only)'}...\n`);
+
+  try {
+    const usersResult = ONLY_USER
+      ? await pool.query('SELECT id, username, storage_used FROM users WHERE id = $1', [ONLY_USER])
+      : await pool.query('SELECT id, username, storage_used FROM users ORDER BY created_at ASC');
+
+    for (const user of usersResult.rows) {
+      const report = await reconcileUser(user);
+      const clean = report.orphan_objects === 0 && report.missing_objects === 0 && report.storage_drift === 0;
+      console.log(`${clean ? '✅' : '⚠️ '} ${user.username}:`, JSON.stringify(report));
+    }
+
+    // Prefixes left behind by users that no longer exist (account deletion cascades)
+    if (!ONLY_USER) {
+      const userIds = new Set(usersResult.rows.map(user => `${user.id}/`));
+      const strayPrefixes = (await listPrefixes()).filter(prefix => !userIds.has(prefix));
+
+      for (const prefix of strayPrefixes) {
+        // A user created after the query above is not gone: their objects are recent
+        const objects = (await listObjects(prefix)).filter(isPastGrace);
+        if (objects.length === 0) continue;
+        console.log(`⚠️  Deleted user prefix ${prefix}: ${objects.length} objects`);
+
+        if (REPAIR && objects.length > 0) {
+          await deleteObjects(objects.map(obj => obj.key));
+        }
+      }
+    }
+
+    console.log('\n🎉 Reconciliation complete');
+
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+reconcile();
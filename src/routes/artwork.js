@@ -0,0 +1,149 @@
+/**
+ * Artwork Routes
+ * Serve resized cover art, manual album artwork upload
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { query } = require('../config/database');
+const { r2Client, BUCKET } = require('../config/storage');
+const { authenticateToken } = require('../middleware/auth');
+const { ARTWORK_SIZES, getArtworkKey, getArtworkUrl, saveArtwork } = require('../services/artwork');
+const { ALBUM_ARTIST_SQL } = require('../services/tags');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Images are small - keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid image type: ${file.mimetype}. Allowed: JPEG, PNG, WEBP, GIF`));
+    }
+  }
+});
+
+/**
+ * POST /api/artwork/album
+ * Upload or replace artwork for an album
+ * (multipart: image, and album_id or album + artist, the album artist as /api/library/albums lists it)
+ */
+router.post('/album', authenticateToken, upload.single('image'), async (req, res) => {
+  try {
+    const { album_id: albumId, album, artist } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image provided' });
+    }
+
+    if (!albumId && !album) {
+      return res.status(400).json({ error: 'album_id or album is required' });
+    }
+
+    if (albumId && !UUID_PATTERN.test(albumId)) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+
+    // The album's songs: $1 user, $2... album
+    const albumMatch = albumId
+      ? { where: 'album_id = $2', params: [albumId] }
+      : { where: `album = $2 AND ${ALBUM_ARTIST_SQL} = $3`, params: [album, artist || ''] };
+
+    // Make sure the album exists before storing anything
+    const albumCheck = await query(
+      `SELECT COUNT(*) FROM songs WHERE user_id = $1 AND deleted_at IS NULL AND ${albumMatch.where}`,
+      [req.user.id, ...albumMatch.params]
+    );
+
+    if (parseInt(albumCheck.rows[0].count) === 0) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+
+    let artwork;
+    try {
+      artwork = await saveArtwork(req.user.id, req.file.buffer);
+    } catch (imageError) {
+      return res.status(400).json({ error: 'Could not read image: ' + imageError.message });
+    }
+
+    const result = await query(`
+      UPDATE songs
+      SET artwork_id = $${albumMatch.params.length + 2}, artwork_url = $${albumMatch.params.length + 3}
+      WHERE user_id = $1 AND ${albumMatch.where}
+    `, [req.user.id, ...albumMatch.params, artwork.id, getArtworkUrl(artwork.id)]);
+
+    res.json({
+      message: 'Album artwork updated',
+      artwork_id: artwork.id,
+      artwork_url: getArtworkUrl(artwork.id),
+      songs_updated: result.rowCount
+    });
+
+  } catch (error) {
+    console.error('Album artwork upload error:', error);
+    res.status(500).json({ error: 'Failed to update album artwork' });
+  }
+});
+
+/**
+ * GET /api/artwork/:id/:size
+ * Serve artwork (size: thumbnail, medium, full - defaults to medium)
+ */
+router.get('/:id/:size?', async (req, res) => {
+  try {
+    const size = req.params.size || 'medium';
+
+    if (!ARTWORK_SIZES[size]) {
+      return res.status(400).json({ error: `Invalid size. Use: ${Object.keys(ARTWORK_SIZES).join(', ')}` });
+    }
+
+    const result = UUID_PATTERN.test(req.params.id)
+      ? await query('SELECT id, user_id FROM artwork WHERE id = $1', [req.params.id])
+      : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Artwork not found' });
+    }
+
+    const artwork = result.rows[0];
+
+    const object = await r2Client.send(new GetObjectCommand({
+      Bucket: BUCKET,
+      Key: getArtworkKey(artwork.user_id, artwork.id, size),
+    }));
+
+    // Artwork ids never change content (replacing creates a new id)
+    res.set({
+      'Content-Type': object.ContentType || 'image/jpeg',
+      'Cache-Control': 'public, max-age=31536000, immutable'
+    });
+    if (object.ContentLength) res.set('Content-Length', String(object.ContentLength));
+
+    object.Body.on('error', (streamError) => {
+      console.error('Artwork body error:', streamError.message);
+      res.destroy(streamError);
+    });
+    object.Body.pipe(res);
+
+  } catch (error) {
+    if (error.$metadata?.httpStatusCode === 404) {
+      return res.status(404).json({ error: 'Artwork not found' });
+    }
+    console.error('Artwork fetch error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to fetch artwork' });
+  }
+});
+
+module.exports = router;
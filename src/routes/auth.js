@@ -8,6 +8,7 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const { deleteUserObjects } = require('../config/storage');
 const { authenticateToken } = require('../middleware/auth');
 
 // Storage limits by plan (in bytes)
@@ -165,13 +166,13 @@ router.get('/me', authenticateToken, async (req, res) => {
 
     // Get song count
     const songCount = await query(
-      'SELECT COUNT(*) FROM songs WHERE user_id = $1',
+      'SELECT COUNT(*) FROM songs WHERE user_id = $1 AND deleted_at IS NULL',
       [req.user.id]
     );
 
     // Get playlist count
     const playlistCount = await query(
-      'SELECT COUNT(*) FROM playlists WHERE user_id = $1',
+      'SELECT COUNT(*) FROM playlists WHERE user_id = $1 AND deleted_at IS NULL',
       [req.user.id]
     );
 
@@ -220,4 +221,51 @@ router.put('/plan', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * DELETE /api/auth/me
+ * Delete account, all library data and stored files
+ */
+router.delete('/me', authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required to delete your account' });
+    }
+
+    const result = await query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const validPassword = await bcrypt.compare(password, result.rows[0].password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    // Songs, playlists, settings, etc. cascade from the user row
+    await query('DELETE FROM users WHERE id = $1', [req.user.id]);
+
+    // Remove stored files (anything left behind is caught by the reconcile job)
+    try {
+      const failed = await deleteUserObjects(req.user.id);
+      if (failed.length > 0) {
+        console.error(`R2 cleanup left ${failed.length} objects for deleted user ${req.user.id}`);
+      }
+    } catch (storageError) {
+      console.error('R2 account cleanup error:', storageError.message);
+    }
+
+    res.json({ message: 'Account deleted' });
+
+  } catch (error) {
+    console.error('Account delete error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
 module.exports = router;
@@ -5,43 +5,362 @@
 
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const { HeadObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { query } = require('../config/database');
+const { r2Client, BUCKET, getSignedFileUrl, signSongUrls } = require('../config/storage');
 const { authenticateToken } = require('../middleware/auth');
+const { isScrobblable, submitNowPlaying, queueListens } = require('../services/scrobbler');
+const { resolveAlbumId, pruneEmptyAlbums } = require('../services/albums');
+const { EXTENDED_TAG_COLUMNS, getAlbumArtist, ALBUM_ARTIST_SQL } = require('../services/tags');
+const { getPlaybackQuality, getPlaybackSource, signPlaybackUrls } = require('../services/transcoder');
+const { trashSongs, purgeSongs } = require('../services/trash');
+const { WAVEFORM_RESOLUTIONS, getWaveform, toWaveformJson, toWaveformBinary, queueWaveforms } = require('../services/waveform');
+const { MAX_LYRICS_LENGTH, toLrc, parseUserLyrics, saveLyrics } = require('../services/lyrics');
+
+// .lrc / .txt lyric files are small - keep them in memory
+const lyricsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_LYRICS_LENGTH,
+  },
+});
+
+// Lyrics file from a PUT /:id/lyrics request (an oversized file is a 413, not a server error)
+const receiveLyricsFile = (req, res, next) => {
+  lyricsUpload.single('file')(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Lyrics file too large (max ${MAX_LYRICS_LENGTH} bytes)` });
+    }
+    next(err);
+  });
+};
+
+// Sortable song columns: keyset expressions are null-safe so (value, id) is a total order
+// (text sorts prefer the sort-name tags, e.g. "Beatles, The")
+const SONG_SORTS = {
+  title: { expr: "COALESCE(title_sort, title, '')", type: 'text' },
+  artist: { expr: "COALESCE(artist_sort, artist, '')", type: 'text' },
+  album: { expr: "COALESCE(album_sort, album, '')", type: 'text' },
+  created_at: { expr: 'created_at', type: 'timestamp' },
+  duration: { expr: 'COALESCE(duration, 0)', type: 'integer' },
+  rating: { expr: 'COALESCE(rating, 0)', type: 'integer' }
+};
+
+// Columns a client may request through ?fields=
+const SONG_FIELDS = [
+  'id', 'title', 'artist', 'album', 'album_artist', 'album_id', 'disc_number', 'track_number', 'duration',
+  'year', 'genre', 'composer', 'compilation', 'bpm',
+  'loudness_lufs', 'true_peak', 'track_gain', 'track_peak', 'album_gain', 'album_peak',
+  'file_url', 'file_size', 'format', 'content_type', 'artwork_url', 'rating', 'loved', 'tags', 'created_at'
+];
+const RECENT_FIELDS = ['id', 'title', 'artist', 'album', 'duration', 'artwork_url', 'file_url', 'created_at'];
+
+// Resolve ?fields= into a safe column list (id always included, file_url needs file_key to sign)
+const selectSongFields = (fields, defaults = SONG_FIELDS) => {
+  let columns = defaults;
+
+  if (fields) {
+    const requested = String(fields).split(',').map(f => f.trim()).filter(f => SONG_FIELDS.includes(f));
+    if (requested.length > 0) {
+      columns = ['id', ...requested.filter(f => f !== 'id')];
+    }
+  }
+
+  return columns.includes('file_url') ? [...columns, 'file_key'] : columns;
+};
+
+// Strip paging internals and presign file URLs (at the user's playback quality) when they were requested
+const finishSongRows = async (rows, columns, userId) => {
+  const songs = rows.map(({ _sort_value, ...song }) => song);
+  return columns.includes('file_url') ? signPlaybackUrls(userId, songs) : songs;
+};
+
+const parseLimit = (value, defaultLimit, maxLimit) => {
+  return Math.min(Math.max(parseInt(value) || defaultLimit, 1), maxLimit);
+};
+
+// Listings that returned everything before paging keep doing so until the client asks for a page
+// (limit or cursor); null means no limit
+const parsePageLimit = (queryParams, defaultLimit, maxLimit) => {
+  if (queryParams.limit === undefined && queryParams.cursor === undefined) return null;
+  return parseLimit(queryParams.limit, defaultLimit, maxLimit);
+};
+
+// Opaque cursors: base64url-encoded JSON array of keyset values
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(values) ? values : null;
+  } catch {
+    return null;
+  }
+};
+
+// Keyset values come back as text (see _sort_value), checked before they reach a SQL cast
+const KEYSET_VALUE_CHECKS = {
+  text: () => true,
+  timestamp: (value) => !isNaN(Date.parse(value)),
+  integer: (value) => /^-?\d{1,10}$/.test(value),
+  uuid: (value) => UUID_PATTERN.test(value)
+};
+
+// Cursor holding one value per keyset type, null when it's malformed
+const decodeKeyset = (cursor, types) => {
+  const values = decodeCursor(cursor);
+  if (!values || values.length !== types.length) return null;
+
+  const valid = values.every((value, i) => typeof value === 'string' && KEYSET_VALUE_CHECKS[types[i]](value));
+  return valid ? values : null;
+};
+
+// Rows were fetched with LIMIT limit + 1; the extra row only signals another page
+// (a null limit is LIMIT ALL: one page with everything)
+const toPage = (rows, limit, cursorFor) => {
+  const hasMore = limit !== null && rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    rows: pageRows,
+    nextCursor: hasMore ? encodeCursor(cursorFor(pageRows[pageRows.length - 1])) : null
+  };
+};
+
+// Whether a grouped album (albums a) / artist row (user $1) is in the user's favorites
+const FAVORITE_ALBUM = `EXISTS (
+  SELECT 1 FROM favorites f
+  WHERE f.user_id = $1 AND f.type = 'album' AND f.album = a.title AND f.artist = a.artist
+)`;
+const FAVORITE_ARTIST = `EXISTS (
+  SELECT 1 FROM favorites f
+  WHERE f.user_id = $1 AND f.type = 'artist' AND f.artist = songs.artist
+)`;
+
+const MAX_TAGS = 50;
+
+// Tags are trimmed, lowercased and de-duplicated (null when over the limits)
+const normalizeTags = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const tags = [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_TAGS || tags.some(tag => tag.length > 50)) return null;
+  return tags;
+};
+
+// Preference filters shared by the listings: loved, rating_min, rating_max, tags (all must match)
+const buildSongFilters = (filters, params) => {
+  const clauses = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.loved !== undefined) {
+    if (!['true', 'false'].includes(filters.loved)) {
+      return { error: 'loved must be true or false' };
+    }
+    clauses.push(filters.loved === 'true' ? 'loved = true' : 'loved IS NOT TRUE');
+  }
+
+  for (const name of ['rating_min', 'rating_max']) {
+    if (filters[name] === undefined) continue;
+    const rating = parseInt(filters[name]);
+    if (!(rating >= 1 && rating <= 5)) {
+      return { error: `${name} must be between 1 and 5` };
+    }
+    clauses.push(`rating ${name === 'rating_min' ? '>=' : '<='} ${param(rating)}`);
+  }
+
+  if (filters.tags) {
+    const tags = normalizeTags(filters.tags);
+    if (!tags) {
+      return { error: `At most ${MAX_TAGS} tags` };
+    }
+    clauses.push(`tags @> ${param(tags)}::text[]`);
+  }
+
+  return { clauses };
+};
+
+// SET clauses for rating / loved / tag changes (fields left out of the body are unchanged)
+// rating: 1-5 or null to clear, loved: boolean, tags: replace all, addTags / removeTags: incremental
+const buildAnnotationSets = (body, params) => {
+  const sets = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (body.rating !== undefined) {
+    const rating = body.rating === null ? null : parseInt(body.rating);
+    if (rating !== null && !(rating >= 1 && rating <= 5)) {
+      return { error: 'rating must be between 1 and 5, or null to clear it' };
+    }
+    sets.push(`rating = ${param(rating)}::smallint`);
+  }
+
+  if (body.loved !== undefined) {
+    if (typeof body.loved !== 'boolean') {
+      return { error: 'loved must be true or false' };
+    }
+    sets.push(`loved = ${param(body.loved)}`);
+    sets.push(body.loved ? 'loved_at = COALESCE(loved_at, CURRENT_TIMESTAMP)' : 'loved_at = NULL');
+  }
+
+  let tagsExpr = null;
+  for (const name of ['tags', 'addTags', 'removeTags']) {
+    if (body[name] === undefined) continue;
+    const tags = normalizeTags(body[name] || []);
+    if (!tags) {
+      return { error: `${name}: at most ${MAX_TAGS} tags of up to 50 characters` };
+    }
+
+    const current = tagsExpr || 'tags';
+    if (name === 'tags') {
+      tagsExpr = `${param(tags)}::text[]`;
+    } else if (name === 'addTags') {
+      tagsExpr = `(ARRAY(SELECT DISTINCT t FROM unnest(${current} || ${param(tags)}::text[]) t ORDER BY t))[1:${MAX_TAGS}]`;
+    } else {
+      tagsExpr = `ARRAY(SELECT t FROM unnest(${current}) t WHERE t <> ALL(${param(tags)}::text[]))`;
+    }
+  }
+  if (tagsExpr) sets.push(`tags = ${tagsExpr}`);
+
+  return { sets };
+};
+
+// SET clauses for extended tags in a PUT body (null leaves a tag unchanged, like the core tags)
+const buildExtendedTagSets = (body, params) => {
+  const sets = [];
+
+  for (const column of EXTENDED_TAG_COLUMNS) {
+    const value = body[column];
+    if (value === undefined || value === null) continue;
+
+    if (column === 'compilation') {
+      if (typeof value !== 'boolean') {
+        return { error: 'compilation must be true or false' };
+      }
+    } else if (column === 'bpm') {
+      if (!Number.isInteger(value) || value < 1 || value > 999) {
+        return { error: 'bpm must be a whole number between 1 and 999' };
+      }
+    } else {
+      const maxLength = column.startsWith('musicbrainz_') ? 36 : 255;
+      if (typeof value !== 'string' || value.length > maxLength) {
+        return { error: `${column} must be text of up to ${maxLength} characters` };
+      }
+    }
+
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  }
+
+  return { sets };
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Client-supplied play time: valid date, not in the future (small clock skew allowed)
+const parsePlayedAt = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime()) || date.getTime() > Date.now() + 5 * 60 * 1000) return null;
+  return date;
+};
+
+// Seconds listened, clamped to 0-24h (null when unknown)
+const parseDurationPlayed = (value) => {
+  const seconds = parseInt(value);
+  return isNaN(seconds) ? null : Math.min(Math.max(seconds, 0), 86400);
+};
+
+// Queue listens for the user's scrobbler (never fails the play that triggered it)
+const scrobbleListens = async (userId, listens) => {
+  try {
+    await queueListens(userId, listens);
+  } catch (scrobbleError) {
+    console.error('Scrobble queue error:', scrobbleError.message);
+  }
+};
+
+// If-Range check: only honor Range when the client's cached copy still matches
+const isRangeFresh = (req, etag, lastModified) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  // Entity tag (strong comparison only)
+  if (ifRange.includes('"')) {
+    return !!etag && !ifRange.startsWith('W/') && ifRange === etag;
+  }
+
+  // HTTP date
+  const since = Date.parse(ifRange);
+  return !!lastModified && !isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+};
 
 /**
  * GET /api/library
- * Get user's entire library
+ * Get user's library (cursor paginated)
+ *
+ * Query: sort, order, search, loved, rating_min, rating_max, tags (comma-separated),
+ *        limit (max 500), cursor, fields (comma-separated)
+ * Without limit or cursor the whole library is returned, as before paging.
  */
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const { sort = 'created_at', order = 'DESC', search } = req.query;
 
     // Validate sort field
-    const validSorts = ['title', 'artist', 'album', 'created_at', 'duration'];
+    const validSorts = Object.keys(SONG_SORTS);
     const sortField = validSorts.includes(sort) ? sort : 'created_at';
     const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    const { expr: sortExpr, type: sortType } = SONG_SORTS[sortField];
+
+    const limit = parsePageLimit(req.query, 100, 500);
+    const columns = selectSongFields(req.query.fields);
 
     let queryText = `
-      SELECT id, title, artist, album, track_number, duration, year, genre,
-             file_url, file_size, format, artwork_url, created_at
+      SELECT ${columns.join(', ')}, (${sortExpr})::text AS _sort_value
       FROM songs
-      WHERE user_id = $1
+      WHERE user_id = $1 AND deleted_at IS NULL
     `;
     const params = [req.user.id];
 
     // Add search filter
     if (search) {
-      queryText += ` AND (title ILIKE $2 OR artist ILIKE $2 OR album ILIKE $2)`;
       params.push(`%${search}%`);
+      queryText += ` AND (title ILIKE $${params.length} OR artist ILIKE $${params.length} OR album ILIKE $${params.length})`;
+    }
+
+    const filters = buildSongFilters(req.query, params);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    filters.clauses.forEach(clause => {
+      queryText += ` AND ${clause}`;
+    });
+
+    // Keyset: continue after the last (sort value, id) of the previous page
+    if (req.query.cursor) {
+      const cursor = decodeKeyset(req.query.cursor, [sortType, 'uuid']);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      params.push(cursor[0], cursor[1]);
+      queryText += ` AND (${sortExpr}, id) ${sortOrder === 'ASC' ? '>' : '<'} ($${params.length - 1}::${sortType}, $${params.length}::uuid)`;
     }
 
-    queryText += ` ORDER BY ${sortField} ${sortOrder}`;
+    params.push(limit === null ? null : limit + 1);
+    queryText += ` ORDER BY ${sortExpr} ${sortOrder}, id ${sortOrder} LIMIT $${params.length}`;
 
     const result = await query(queryText, params);
+    const page = toPage(result.rows, limit, row => [row._sort_value, row.id]);
 
     res.json({
-      count: result.rows.length,
-      songs: result.rows
+      count: page.rows.length,
+      songs: await finishSongRows(page.rows, columns, req.user.id),
+      next_cursor: page.nextCursor
     });
 
   } catch (error) {
@@ -51,24 +370,362 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/library/albums
- * Get grouped albums
+ * GET /api/library/totals
+ * Total song/album/artist counts (kept out of the paged listing)
+ *
+ * Query: search, loved, rating_min, rating_max, tags (same filters as the listing)
  */
-router.get('/albums', authenticateToken, async (req, res) => {
+router.get('/totals', authenticateToken, async (req, res) => {
   try {
+    const { search } = req.query;
+
+    let queryText = `
+      SELECT COUNT(*) as songs,
+             COUNT(DISTINCT album_id) as albums,
+             COUNT(DISTINCT ${ALBUM_ARTIST_SQL}) FILTER (WHERE ${ALBUM_ARTIST_SQL} != '') as artists,
+             COALESCE(SUM(duration), 0) as total_duration,
+             COALESCE(SUM(file_size), 0) as total_size
+      FROM songs
+      WHERE user_id = $1 AND deleted_at IS NULL
+    `;
+    const params = [req.user.id];
+
+    if (search) {
+      queryText += ` AND (title ILIKE $2 OR artist ILIKE $2 OR album ILIKE $2)`;
+      params.push(`%${search}%`);
+    }
+
+    const filters = buildSongFilters(req.query, params);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    filters.clauses.forEach(clause => {
+      queryText += ` AND ${clause}`;
+    });
+
+    const result = await query(queryText, params);
+    const totals = result.rows[0];
+
+    res.json({
+      songs: parseInt(totals.songs),
+      albums: parseInt(totals.albums),
+      artists: parseInt(totals.artists),
+      total_duration: parseInt(totals.total_duration),
+      total_size: parseInt(totals.total_size)
+    });
+
+  } catch (error) {
+    console.error('Library totals error:', error);
+    res.status(500).json({ error: 'Failed to fetch library totals' });
+  }
+});
+
+/**
+ * GET /api/library/search
+ * Ranked full-text + fuzzy search with structured filters
+ *
+ * Query: q, genre, year_from, year_to, format (comma-separated), duration_min, duration_max (seconds),
+ *        added_after, added_before (ISO dates), exclude_playlist, loved, rating_min, rating_max, tags,
+ *        limit (max 200), cursor, fields
+ */
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const {
+      q, genre, year_from, year_to, format, duration_min, duration_max,
+      added_after, added_before, exclude_playlist
+    } = req.query;
+
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const columns = selectSongFields(req.query.fields);
+
+    let offset = 0;
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || cursor.length !== 1 || !Number.isInteger(cursor[0]) || cursor[0] < 0) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      offset = cursor[0];
+    }
+
+    for (const [name, value] of Object.entries({ added_after, added_before })) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be an ISO date` });
+      }
+    }
+
+    if (exclude_playlist && !UUID_PATTERN.test(exclude_playlist)) {
+      return res.status(400).json({ error: 'exclude_playlist must be a playlist id' });
+    }
+
+    const params = [req.user.id];
+    const where = ['user_id = $1', 'deleted_at IS NULL'];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    // Structured filters
+    if (genre) where.push(`LOWER(genre) = LOWER(${param(genre)})`);
+    if (parseInt(year_from)) where.push(`year >= ${param(parseInt(year_from))}`);
+    if (parseInt(year_to)) where.push(`year <= ${param(parseInt(year_to))}`);
+    if (format) {
+      const formats = String(format).split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+      where.push(`LOWER(format) = ANY(${param(formats)})`);
+    }
+    if (parseInt(duration_min)) where.push(`duration >= ${param(parseInt(duration_min))}`);
+    if (parseInt(duration_max)) where.push(`duration <= ${param(parseInt(duration_max))}`);
+    if (added_after) where.push(`created_at >= ${param(added_after)}::timestamp`);
+    if (added_before) where.push(`created_at < ${param(added_before)}::timestamp`);
+    if (exclude_playlist) {
+      where.push(`id NOT IN (SELECT song_id FROM playlist_songs WHERE playlist_id = ${param(exclude_playlist)}::uuid)`);
+    }
+
+    const filters = buildSongFilters(req.query, params);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    where.push(...filters.clauses);
+
+    let rankExpr = 'NULL::real';
+    let matchedExpr = 'ARRAY[]::text[]';
+    let orderBy = 'created_at DESC, id DESC';
+
+    // Text query: prefix full-text terms (any word order) OR trigram word similarity (typos)
+    const term = (q || '').trim();
+    if (term) {
+      const tsTerms = term.split(/[^\p{L}\p{N}]+/u).filter(Boolean).map(t => `${t}:*`);
+      const textParam = param(term);
+      const tsq = tsTerms.length > 0
+        ? `to_tsquery('simple', ${param(tsTerms.join(' & '))})`
+        : `''::tsquery`;
+      // A song matches when all words appear across its fields, so each field reports any word it has
+      const anyTsq = tsTerms.length > 0
+        ? `to_tsquery('simple', ${param(tsTerms.join(' | '))})`
+        : `''::tsquery`;
+
+      const fieldMatch = (field) => `(to_tsvector('simple', COALESCE(${field}, '')) @@ ${anyTsq} OR ${textParam} <% ${field})`;
+
+      where.push(`(search_vector @@ ${tsq} OR ${textParam} <% title OR ${textParam} <% artist OR ${textParam} <% album)`);
+      rankExpr = `ts_rank(search_vector, ${tsq}) + GREATEST(
+        word_similarity(${textParam}, title),
+        word_similarity(${textParam}, artist),
+        word_similarity(${textParam}, album)
+      )`;
+      matchedExpr = `ARRAY_REMOVE(ARRAY[
+        CASE WHEN ${fieldMatch('title')} THEN 'title' END,
+        CASE WHEN ${fieldMatch('artist')} THEN 'artist' END,
+        CASE WHEN ${fieldMatch('album')} THEN 'album' END
+      ], NULL)`;
+      orderBy = 'rank DESC, id ASC';
+    }
+
     const result = await query(`
-      SELECT album, artist, MIN(artwork_url) as artwork_url,
-             COUNT(*) as song_count, SUM(duration) as total_duration,
-             MIN(year) as year
+      SELECT ${columns.join(', ')},
+             ${rankExpr} AS rank,
+             ${matchedExpr} AS matched_fields
       FROM songs
-      WHERE user_id = $1 AND album IS NOT NULL AND album != ''
-      GROUP BY album, artist
-      ORDER BY album ASC
+      WHERE ${where.join(' AND ')}
+      ORDER BY ${orderBy}
+      LIMIT ${param(limit + 1)} OFFSET ${param(offset)}
+    `, params);
+
+    const page = toPage(result.rows, limit, () => [offset + limit]);
+
+    res.json({
+      count: page.rows.length,
+      songs: await finishSongRows(page.rows, columns, req.user.id),
+      next_cursor: page.nextCursor
+    });
+
+  } catch (error) {
+    console.error('Library search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+/**
+ * GET /api/library/duplicates
+ * Exact duplicates (same content hash) and likely duplicates (same normalized artist/title, similar duration)
+ *
+ * Query: tolerance (seconds of duration difference for likely matches, default 2)
+ */
+router.get('/duplicates', authenticateToken, async (req, res) => {
+  try {
+    const tolerance = Math.min(Math.max(parseInt(req.query.tolerance) || 2, 0), 30);
+
+    const songJson = `json_agg(json_build_object(
+      'id', id, 'title', title, 'artist', artist, 'album', album, 'duration', duration,
+      'file_size', file_size, 'format', format, 'created_at', created_at
+    ) ORDER BY created_at ASC)`;
+
+    const exactResult = await query(`
+      SELECT content_hash, COUNT(*) as count,
+             SUM(file_size) - MIN(file_size) as reclaimable_bytes,
+             ${songJson} as songs
+      FROM songs
+      WHERE user_id = $1 AND deleted_at IS NULL AND content_hash IS NOT NULL
+      GROUP BY content_hash
+      HAVING COUNT(*) > 1
+      ORDER BY COUNT(*) DESC, MIN(title) ASC
     `, [req.user.id]);
 
+    const likelyResult = await query(`
+      WITH normalized AS (
+        SELECT *,
+               regexp_replace(LOWER(COALESCE(artist, '')), '[^[:alnum:]]+', '', 'g') as norm_artist,
+               regexp_replace(LOWER(COALESCE(title, '')), '[^[:alnum:]]+', '', 'g') as norm_title
+        FROM songs
+        WHERE user_id = $1 AND deleted_at IS NULL
+      )
+      SELECT MIN(artist) as artist, MIN(title) as title, COUNT(*) as count,
+             ${songJson} as songs
+      FROM normalized
+      WHERE norm_title != ''
+      GROUP BY norm_artist, norm_title
+      HAVING COUNT(*) > 1
+         AND MAX(COALESCE(duration, 0)) - MIN(COALESCE(duration, 0)) <= $2
+         AND COUNT(DISTINCT COALESCE(content_hash, id::text)) > 1
+      ORDER BY MIN(artist) ASC, MIN(title) ASC
+    `, [req.user.id, tolerance]);
+
     res.json({
-      count: result.rows.length,
-      albums: result.rows
+      exact: exactResult.rows.map(group => ({
+        ...group,
+        count: parseInt(group.count),
+        reclaimable_bytes: parseInt(group.reclaimable_bytes) || 0
+      })),
+      likely: likelyResult.rows.map(group => ({
+        ...group,
+        count: parseInt(group.count)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Duplicates fetch error:', error);
+    res.status(500).json({ error: 'Failed to find duplicates' });
+  }
+});
+
+/**
+ * POST /api/library/plays
+ * Record a batch of plays (offline clients)
+ * Body: { plays: [{ song_id, played_at, duration_played }] }
+ */
+router.post('/plays', authenticateToken, async (req, res) => {
+  try {
+    const { plays } = req.body;
+
+    if (!Array.isArray(plays) || plays.length === 0) {
+      return res.status(400).json({ error: 'plays array is required' });
+    }
+
+    if (plays.length > 500) {
+      return res.status(400).json({ error: 'Maximum 500 plays per request' });
+    }
+
+    // Only the user's own songs
+    const songIds = [...new Set(plays.map(play => play.song_id).filter(id => UUID_PATTERN.test(id)))];
+    const songsCheck = await query(
+      'SELECT id, title, artist, album, duration, track_number FROM songs WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NULL',
+      [songIds, req.user.id]
+    );
+    const songsById = new Map(songsCheck.rows.map(s => [s.id, s]));
+
+    let recorded = 0;
+    const rejected = [];
+    const listens = [];
+
+    for (const [index, play] of plays.entries()) {
+      const playedAt = parsePlayedAt(play.played_at);
+
+      if (!songsById.has(play.song_id)) {
+        rejected.push({ index, error: 'Song not found' });
+        continue;
+      }
+      if (!playedAt) {
+        rejected.push({ index, error: 'Invalid played_at' });
+        continue;
+      }
+
+      const insertResult = await query(`
+        INSERT INTO play_history (user_id, song_id, played_at, duration_played)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (user_id, song_id, played_at) DO NOTHING
+      `, [req.user.id, play.song_id, playedAt, parseDurationPlayed(play.duration_played)]);
+
+      recorded += insertResult.rowCount;
+
+      const song = songsById.get(play.song_id);
+      if (insertResult.rowCount > 0 && isScrobblable(song, parseDurationPlayed(play.duration_played))) {
+        listens.push({ song, listenedAt: playedAt });
+      }
+    }
+
+    await scrobbleListens(req.user.id, listens);
+
+    res.status(201).json({
+      message: `Recorded ${recorded} plays`,
+      recorded,
+      duplicates: plays.length - recorded - rejected.length,
+      rejected
+    });
+
+  } catch (error) {
+    console.error('Batch play record error:', error);
+    res.status(500).json({ error: 'Failed to record plays' });
+  }
+});
+
+/**
+ * GET /api/library/albums
+ * Get albums grouped by album artist (cursor paginated)
+ *
+ * Query: favorites=true (only favorite albums), limit (max 500), cursor
+ * (all albums when neither limit nor cursor is given)
+ */
+router.get('/albums', authenticateToken, async (req, res) => {
+  try {
+    const limit = parsePageLimit(req.query, 100, 500);
+
+    let keyset = '';
+    const params = [req.user.id];
+
+    if (req.query.cursor) {
+      const cursor = decodeKeyset(req.query.cursor, ['text', 'text']);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      params.push(cursor[0], cursor[1]);
+      keyset = 'AND (a.title, a.artist) > ($2, $3)';
+    }
+
+    const favoritesOnly = req.query.favorites === 'true' ? `AND ${FAVORITE_ALBUM}` : '';
+
+    params.push(limit === null ? null : limit + 1);
+
+    const result = await query(`
+      SELECT a.id, a.title as album, NULLIF(a.artist, '') as artist,
+             MODE() WITHIN GROUP (ORDER BY s.artwork_url) as artwork_url,
+             COUNT(*) as song_count, SUM(s.duration) as total_duration,
+             MIN(s.year) as year,
+             BOOL_OR(COALESCE(s.compilation, false)) as compilation,
+             ${FAVORITE_ALBUM} as favorite
+      FROM albums a
+      JOIN songs s ON s.album_id = a.id AND s.deleted_at IS NULL
+      WHERE a.user_id = $1
+        ${favoritesOnly}
+        ${keyset}
+      GROUP BY a.id
+      ORDER BY a.title ASC, a.artist ASC
+      LIMIT $${params.length}
+    `, params);
+
+    const page = toPage(result.rows, limit, row => [row.album, row.artist || '']);
+
+    res.json({
+      count: page.rows.length,
+      albums: page.rows,
+      next_cursor: page.nextCursor
     });
 
   } catch (error) {
@@ -77,24 +734,125 @@ router.get('/albums', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/library/albums/:albumId
+ * Get one album with its tracks in disc / track order
+ */
+router.get('/albums/:albumId', authenticateToken, async (req, res) => {
+  try {
+    const albumResult = UUID_PATTERN.test(req.params.albumId)
+      ? await query(
+          'SELECT id, title, artist FROM albums WHERE id = $1 AND user_id = $2',
+          [req.params.albumId, req.user.id]
+        )
+      : { rows: [] };
+
+    if (albumResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+
+    const album = albumResult.rows[0];
+
+    // Untagged discs sort as disc 1, untagged tracks after the numbered ones
+    const songsResult = await query(`
+      SELECT id, title, artist, disc_number, track_number, duration, year, genre, format,
+             artwork_url, rating, loved, track_gain, track_peak, album_gain, album_peak, file_url, file_key
+      FROM songs
+      WHERE album_id = $1 AND user_id = $2 AND deleted_at IS NULL
+      ORDER BY COALESCE(disc_number, 1) ASC, track_number ASC NULLS LAST, title ASC, id ASC
+    `, [album.id, req.user.id]);
+
+    const songs = songsResult.rows;
+
+    if (songs.length === 0) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+
+    // Same artwork choice as the album listing
+    const summaryResult = await query(`
+      SELECT MODE() WITHIN GROUP (ORDER BY artwork_url) as artwork_url,
+             MIN(year) as year,
+             COALESCE(SUM(duration), 0) as total_duration,
+             COUNT(DISTINCT COALESCE(disc_number, 1)) as disc_count,
+             EXISTS (
+               SELECT 1 FROM favorites f
+               WHERE f.user_id = $2 AND f.type = 'album' AND f.album = $3 AND f.artist = $4
+             ) as favorite
+      FROM songs
+      WHERE album_id = $1 AND user_id = $2 AND deleted_at IS NULL
+    `, [album.id, req.user.id, album.title, album.artist]);
+
+    const summary = summaryResult.rows[0];
+
+    res.json({
+      id: album.id,
+      album: album.title,
+      artist: album.artist || null,
+      year: summary.year,
+      artwork_url: summary.artwork_url,
+      song_count: songs.length,
+      disc_count: parseInt(summary.disc_count),
+      total_duration: parseInt(summary.total_duration),
+      favorite: summary.favorite,
+      songs: await signPlaybackUrls(req.user.id, songs)
+    });
+
+  } catch (error) {
+    console.error('Album fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch album' });
+  }
+});
+
 /**
  * GET /api/library/artists
- * Get grouped artists
+ * Get artists grouped by album artist (cursor paginated)
+ *
+ * Query: favorites=true (only favorite artists), limit (max 500), cursor
+ * (all artists when neither limit nor cursor is given)
  */
 router.get('/artists', authenticateToken, async (req, res) => {
   try {
+    const limit = parsePageLimit(req.query, 100, 500);
+
+    let keyset = '';
+    const params = [req.user.id];
+
+    if (req.query.cursor) {
+      const cursor = decodeKeyset(req.query.cursor, ['text']);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      params.push(cursor[0]);
+      keyset = 'AND artist > $2';
+    }
+
+    const favoritesOnly = req.query.favorites === 'true' ? `AND ${FAVORITE_ARTIST}` : '';
+
+    params.push(limit === null ? null : limit + 1);
+
     const result = await query(`
       SELECT artist, COUNT(*) as song_count,
-             COUNT(DISTINCT album) as album_count
-      FROM songs
-      WHERE user_id = $1 AND artist IS NOT NULL AND artist != ''
+             COUNT(DISTINCT album_id) as album_count,
+             ${FAVORITE_ARTIST} as favorite
+      FROM (
+        SELECT ${ALBUM_ARTIST_SQL} as artist, album_id
+        FROM songs
+        WHERE user_id = $1 AND deleted_at IS NULL
+      ) songs
+      WHERE artist != ''
+        ${favoritesOnly}
+        ${keyset}
       GROUP BY artist
       ORDER BY artist ASC
-    `, [req.user.id]);
+      LIMIT $${params.length}
+    `, params);
+
+    const page = toPage(result.rows, limit, row => [row.artist]);
 
     res.json({
-      count: result.rows.length,
-      artists: result.rows
+      count: page.rows.length,
+      artists: page.rows,
+      next_cursor: page.nextCursor
     });
 
   } catch (error) {
@@ -103,24 +861,154 @@ router.get('/artists', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/library/favorites
+ * Favorite albums and artists, plus the loved song count
+ */
+router.get('/favorites', authenticateToken, async (req, res) => {
+  try {
+    const favoritesResult = await query(`
+      SELECT type, artist, album, created_at
+      FROM favorites
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `, [req.user.id]);
+
+    const lovedResult = await query(
+      'SELECT COUNT(*) FROM songs WHERE user_id = $1 AND deleted_at IS NULL AND loved = true',
+      [req.user.id]
+    );
+
+    res.json({
+      loved_songs: parseInt(lovedResult.rows[0].count),
+      albums: favoritesResult.rows
+        .filter(fav => fav.type === 'album')
+        .map(fav => ({ album: fav.album, artist: fav.artist || null, created_at: fav.created_at })),
+      artists: favoritesResult.rows
+        .filter(fav => fav.type === 'artist')
+        .map(fav => ({ artist: fav.artist, created_at: fav.created_at }))
+    });
+
+  } catch (error) {
+    console.error('Favorites fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch favorites' });
+  }
+});
+
+/**
+ * POST /api/library/favorites
+ * Favorite an album or artist
+ * Body: { type: 'album' | 'artist', album, artist }
+ */
+router.post('/favorites', authenticateToken, async (req, res) => {
+  try {
+    const { type, album, artist } = req.body;
+
+    if (!['album', 'artist'].includes(type)) {
+      return res.status(400).json({ error: 'type must be album or artist' });
+    }
+
+    if (type === 'album' ? !album : !artist) {
+      return res.status(400).json({ error: `${type} is required` });
+    }
+
+    // Only things that are actually in the library
+    const existsResult = type === 'album'
+      ? await query(
+          'SELECT COUNT(*) FROM albums WHERE user_id = $1 AND title = $2 AND artist = $3',
+          [req.user.id, album, artist || '']
+        )
+      : await query(
+          `SELECT COUNT(*) FROM songs WHERE user_id = $1 AND deleted_at IS NULL AND ${ALBUM_ARTIST_SQL} = $2`,
+          [req.user.id, artist]
+        );
+
+    if (parseInt(existsResult.rows[0].count) === 0) {
+      return res.status(404).json({ error: type === 'album' ? 'Album not found' : 'Artist not found' });
+    }
+
+    await query(`
+      INSERT INTO favorites (user_id, type, artist, album)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, type, artist, album) DO NOTHING
+    `, [req.user.id, type, artist || '', type === 'album' ? album : '']);
+
+    res.status(201).json({ message: 'Added to favorites' });
+
+  } catch (error) {
+    console.error('Favorite add error:', error);
+    res.status(500).json({ error: 'Failed to add favorite' });
+  }
+});
+
+/**
+ * DELETE /api/library/favorites
+ * Remove an album or artist from favorites
+ * Body: { type: 'album' | 'artist', album, artist }
+ */
+router.delete('/favorites', authenticateToken, async (req, res) => {
+  try {
+    const { type, album, artist } = req.body;
+
+    if (!['album', 'artist'].includes(type)) {
+      return res.status(400).json({ error: 'type must be album or artist' });
+    }
+
+    const result = await query(`
+      DELETE FROM favorites
+      WHERE user_id = $1 AND type = $2 AND artist = $3 AND album = $4
+    `, [req.user.id, type, artist || '', type === 'album' ? album || '' : '']);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Favorite not found' });
+    }
+
+    res.json({ message: 'Removed from favorites' });
+
+  } catch (error) {
+    console.error('Favorite remove error:', error);
+    res.status(500).json({ error: 'Failed to remove favorite' });
+  }
+});
+
 /**
  * GET /api/library/recent
- * Get recently added songs
+ * Get recently added songs (cursor paginated)
  */
 router.get('/recent', authenticateToken, async (req, res) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const limit = parseLimit(req.query.limit, 20, 100);
+    const columns = selectSongFields(req.query.fields, RECENT_FIELDS);
+
+    let keyset = '';
+    const params = [req.user.id];
+
+    if (req.query.cursor) {
+      const cursor = decodeKeyset(req.query.cursor, ['timestamp', 'uuid']);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      params.push(cursor[0], cursor[1]);
+      keyset = 'AND (created_at, id) < ($2::timestamp, $3::uuid)';
+    }
+
+    params.push(limit + 1);
 
     const result = await query(`
-      SELECT id, title, artist, album, duration, artwork_url, file_url, created_at
+      SELECT ${columns.join(', ')}, created_at::text AS _sort_value
       FROM songs
-      WHERE user_id = $1
-      ORDER BY created_at DESC
-      LIMIT $2
-    `, [req.user.id, limit]);
+      WHERE user_id = $1 AND deleted_at IS NULL
+        ${keyset}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length}
+    `, params);
+
+    const page = toPage(result.rows, limit, row => [row._sort_value, row.id]);
 
     res.json({
-      songs: result.rows
+      count: page.rows.length,
+      songs: await finishSongRows(page.rows, columns, req.user.id),
+      next_cursor: page.nextCursor
     });
 
   } catch (error) {
@@ -131,20 +1019,31 @@ router.get('/recent', authenticateToken, async (req, res) => {
 
 /**
  * GET /api/library/:id
- * Get single song details
+ * Get single song details (file_url points at the rendition for ?quality= or the playback_quality setting)
  */
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
+    const { quality, error } = await getPlaybackQuality(req.user.id, req.query.quality);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
     const result = await query(`
       SELECT * FROM songs
-      WHERE id = $1 AND user_id = $2
+      WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
     `, [req.params.id, req.user.id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Song not found' });
     }
 
-    res.json(result.rows[0]);
+    const source = await getPlaybackSource(result.rows[0], quality);
+    const [song] = await signSongUrls(result.rows);
+    res.json({
+      ...song,
+      file_url: source.key ? await getSignedFileUrl(source.key) : null,
+      playback_quality: source.quality
+    });
 
   } catch (error) {
     console.error('Song fetch error:', error);
@@ -152,13 +1051,401 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/library/:id/lyrics
+ * Song lyrics: { plain, synced: [{ time (ms), text }] | null, language, source, updated_at }
+ * ?format=lrc returns the synced lyrics as an .lrc file
+ */
+router.get('/:id/lyrics', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT l.plain, l.synced, l.language, l.source, l.updated_at
+      FROM song_lyrics l
+      JOIN songs s ON s.id = l.song_id
+      WHERE l.song_id = $1 AND s.user_id = $2 AND s.deleted_at IS NULL
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No lyrics for this song' });
+    }
+
+    const lyrics = result.rows[0];
+
+    if (req.query.format === 'lrc') {
+      if (!lyrics.synced) {
+        return res.status(404).json({ error: 'No synced lyrics for this song' });
+      }
+      res.attachment(`${req.params.id}.lrc`);
+      res.type('text/plain; charset=utf-8');
+      return res.send(toLrc(lyrics.synced));
+    }
+
+    res.json({ song_id: req.params.id, ...lyrics });
+
+  } catch (error) {
+    console.error('Lyrics fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch lyrics' });
+  }
+});
+
+/**
+ * PUT /api/library/:id/lyrics
+ * Upload or edit lyrics: multipart .lrc/.txt file (field "file") or JSON { lyrics } (LRC or plain text)
+ */
+router.put('/:id/lyrics', authenticateToken, receiveLyricsFile, async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8').replace(/^\uFEFF/, '') : req.body.lyrics;
+
+    const { lyrics, error } = parseUserLyrics(text);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { language } = req.body;
+    if (language !== undefined && language !== null && !/^[a-z]{3}$/i.test(language)) {
+      return res.status(400).json({ error: 'language must be a 3-letter ISO 639-2 code' });
+    }
+
+    const songResult = await query(
+      'SELECT id FROM songs WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+
+    if (songResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+
+    const saved = await saveLyrics(req.params.id, { ...lyrics, language: language ? language.toLowerCase() : null }, 'user');
+    const { created_at, ...result } = saved;
+
+    res.json({ message: 'Lyrics saved', lyrics: result });
+
+  } catch (error) {
+    console.error('Lyrics save error:', error);
+    res.status(500).json({ error: 'Failed to save lyrics' });
+  }
+});
+
+/**
+ * DELETE /api/library/:id/lyrics
+ * Remove a song's lyrics
+ */
+router.delete('/:id/lyrics', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(`
+      DELETE FROM song_lyrics l
+      USING songs s
+      WHERE l.song_id = s.id AND l.song_id = $1 AND s.user_id = $2 AND s.deleted_at IS NULL
+      RETURNING l.song_id
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No lyrics for this song' });
+    }
+
+    res.json({ message: 'Lyrics deleted' });
+
+  } catch (error) {
+    console.error('Lyrics delete error:', error);
+    res.status(500).json({ error: 'Failed to delete lyrics' });
+  }
+});
+
+/**
+ * GET /api/library/:id/waveform
+ * Waveform peaks for seek bars (?resolution=low|high, default high)
+ *
+ * ?format=json (default): { version: 2, channels: 1, sample_rate, samples_per_pixel, bits: 8, length,
+ *                           data: [min0, max0, min1, max1, ...] } (signed 8-bit values)
+ * ?format=binary (or Accept: application/octet-stream): audiowaveform .dat v1 - 20-byte
+ *                           little-endian header (version, flags, sample_rate, samples_per_pixel, length)
+ *                           followed by the same min/max pairs as int8
+ * 202 { status } while the waveform is still being generated
+ */
+router.get('/:id/waveform', authenticateToken, async (req, res) => {
+  try {
+    const resolution = req.query.resolution || 'high';
+    if (!WAVEFORM_RESOLUTIONS[resolution]) {
+      return res.status(400).json({ error: `Invalid resolution. Use: ${Object.keys(WAVEFORM_RESOLUTIONS).join(', ')}` });
+    }
+
+    const format = req.query.format || (req.accepts(['json', 'application/octet-stream']) === 'application/octet-stream' ? 'binary' : 'json');
+    if (!['json', 'binary'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Use: json, binary' });
+    }
+
+    const songResult = await query(
+      'SELECT id, waveform_status FROM songs WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+
+    if (songResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+
+    const { waveform_status: status } = songResult.rows[0];
+    const waveform = await getWaveform(req.params.id, resolution);
+
+    if (!waveform) {
+      if (status === 'failed') {
+        return res.status(404).json({ error: 'Waveform could not be generated', status });
+      }
+
+      // Songs from before waveforms existed are queued on first request
+      if (!status) {
+        await query("UPDATE songs SET waveform_status = 'pending' WHERE id = $1 AND waveform_status IS NULL", [req.params.id]);
+        queueWaveforms();
+      }
+      return res.status(202).json({ status: status || 'pending' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=86400');
+
+    if (format === 'binary') {
+      res.type('application/octet-stream');
+      return res.send(toWaveformBinary(waveform));
+    }
+
+    res.json(toWaveformJson(waveform));
+
+  } catch (error) {
+    console.error('Waveform fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch waveform' });
+  }
+});
+
+/**
+ * GET /api/library/:id/stream
+ * Stream song audio from R2 (supports Range / If-Range for seeking)
+ * Plays the rendition for ?quality= (low, high, original) or the playback_quality setting;
+ * X-Playback-Quality says what was served (original until a rendition is ready)
+ */
+router.get('/:id/stream', authenticateToken, async (req, res) => {
+  try {
+    const { quality, error } = await getPlaybackQuality(req.user.id, req.query.quality);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const songResult = await query(
+      'SELECT id, user_id, duration, file_size, file_url, file_key, content_type FROM songs WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+
+    if (songResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+
+    const source = await getPlaybackSource(songResult.rows[0], quality);
+    const key = source.key;
+
+    // Get object size and validators
+    let head;
+    try {
+      head = await r2Client.send(new HeadObjectCommand({ Bucket: BUCKET, Key: key }));
+    } catch (headError) {
+      if (headError.$metadata?.httpStatusCode === 404) {
+        return res.status(404).json({ error: 'Audio file not found' });
+      }
+      throw headError;
+    }
+
+    const size = head.ContentLength;
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      // The detected type beats the object's (direct uploads store whatever the client declared)
+      'Content-Type': source.contentType || head.ContentType || 'application/octet-stream',
+      'Cache-Control': 'private, max-age=3600',
+      'X-Playback-Quality': source.quality
+    });
+    if (head.ETag) res.set('ETag', head.ETag);
+    if (head.LastModified) res.set('Last-Modified', head.LastModified.toUTCString());
+
+    // Resolve requested byte range (single range only; multi-range falls back to full body)
+    let range = null;
+    if (req.headers.range && isRangeFresh(req, head.ETag, head.LastModified)) {
+      const ranges = req.range(size, { combine: true });
+
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${size}`);
+        return res.status(416).json({ error: 'Requested range not satisfiable' });
+      }
+
+      if (ranges !== -2 && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.status(200);
+      res.set('Content-Length', String(size));
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const object = await r2Client.send(new GetObjectCommand({
+      Bucket: BUCKET,
+      Key: key,
+      Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+    }));
+
+    // Proxy the body, stop fetching if the player goes away (e.g. on seek)
+    req.on('close', () => object.Body.destroy());
+    object.Body.on('error', (streamError) => {
+      console.error('Stream body error:', streamError.message);
+      res.destroy(streamError);
+    });
+    object.Body.pipe(res);
+
+  } catch (error) {
+    console.error('Song stream error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to stream song' });
+  }
+});
+
+/**
+ * POST /api/library/:id/play
+ * Record a play
+ * Body: { duration_played (seconds), played_at (optional ISO date, defaults to now) }
+ */
+router.post('/:id/play', authenticateToken, async (req, res) => {
+  try {
+    const playedAt = req.body.played_at ? parsePlayedAt(req.body.played_at) : new Date();
+
+    if (!playedAt) {
+      return res.status(400).json({ error: 'Invalid played_at' });
+    }
+
+    const songCheck = await query(
+      'SELECT id, title, artist, album, duration, track_number FROM songs WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+
+    if (songCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+
+    const song = songCheck.rows[0];
+    const durationPlayed = parseDurationPlayed(req.body.duration_played);
+
+    const insertResult = await query(`
+      INSERT INTO play_history (user_id, song_id, played_at, duration_played)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, song_id, played_at) DO NOTHING
+    `, [req.user.id, req.params.id, playedAt, durationPlayed]);
+
+    if (insertResult.rowCount > 0 && isScrobblable(song, durationPlayed)) {
+      await scrobbleListens(req.user.id, [{ song, listenedAt: playedAt }]);
+    }
+
+    res.status(201).json({ message: 'Play recorded' });
+
+  } catch (error) {
+    console.error('Play record error:', error);
+    res.status(500).json({ error: 'Failed to record play' });
+  }
+});
+
+/**
+ * POST /api/library/:id/now-playing
+ * Report the song currently playing to the linked scrobbler
+ */
+router.post('/:id/now-playing', authenticateToken, async (req, res) => {
+  try {
+    const songResult = await query(
+      'SELECT id, title, artist, album, duration, track_number FROM songs WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+
+    if (songResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+
+    // Best effort - don't hold the player up waiting on the remote service
+    submitNowPlaying(req.user.id, songResult.rows[0]);
+
+    res.status(202).json({ message: 'Now playing submitted' });
+
+  } catch (error) {
+    console.error('Now playing error:', error);
+    res.status(500).json({ error: 'Failed to submit now playing' });
+  }
+});
+
+/**
+ * PUT /api/library/bulk
+ * Set rating, loved flag or tags on multiple songs
+ * Body: { songIds, rating, loved, tags, addTags, removeTags }
+ */
+router.put('/bulk', authenticateToken, async (req, res) => {
+  try {
+    const { songIds } = req.body;
+
+    if (!Array.isArray(songIds) || songIds.length === 0) {
+      return res.status(400).json({ error: 'songIds array is required' });
+    }
+
+    if (songIds.length > 500) {
+      return res.status(400).json({ error: 'Maximum 500 songs per request' });
+    }
+
+    const params = [songIds.filter(id => UUID_PATTERN.test(id)), req.user.id];
+    const annotations = buildAnnotationSets(req.body, params);
+
+    if (annotations.error) {
+      return res.status(400).json({ error: annotations.error });
+    }
+
+    if (annotations.sets.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update. Use rating, loved, tags, addTags or removeTags' });
+    }
+
+    const result = await query(`
+      UPDATE songs
+      SET ${annotations.sets.join(', ')}
+      WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NULL
+      RETURNING id, rating, loved, tags
+    `, params);
+
+    res.json({
+      message: `Updated ${result.rowCount} songs`,
+      updatedCount: result.rowCount,
+      songs: result.rows
+    });
+
+  } catch (error) {
+    console.error('Bulk song update error:', error);
+    res.status(500).json({ error: 'Failed to update songs' });
+  }
+});
+
 /**
  * PUT /api/library/:id
- * Update song metadata
+ * Update song metadata (including extended tags), rating, loved flag and tags
  */
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
-    const { title, artist, album, track_number, year, genre } = req.body;
+    const { title, artist, album, disc_number, track_number, year, genre } = req.body;
+
+    const params = [title, artist, album, track_number, year, genre, req.params.id, req.user.id, disc_number];
+    const extendedTags = buildExtendedTagSets(req.body, params);
+    const annotations = buildAnnotationSets(req.body, params);
+
+    if (extendedTags.error || annotations.error) {
+      return res.status(400).json({ error: extendedTags.error || annotations.error });
+    }
+
+    const sets = [...extendedTags.sets, ...annotations.sets];
 
     const result = await query(`
       UPDATE songs
@@ -167,18 +1454,30 @@ router.put('/:id', authenticateToken, async (req, res) => {
           album = COALESCE($3, album),
           track_number = COALESCE($4, track_number),
           year = COALESCE($5, year),
-          genre = COALESCE($6, genre)
-      WHERE id = $7 AND user_id = $8
+          genre = COALESCE($6, genre),
+          disc_number = COALESCE($9, disc_number)${sets.map(set => `,\n          ${set}`).join('')}
+      WHERE id = $7 AND user_id = $8 AND deleted_at IS NULL
       RETURNING *
-    `, [title, artist, album, track_number, year, genre, req.params.id, req.user.id]);
+    `, params);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Song not found' });
     }
 
+    // Album or (album) artist changed: move the song to the matching album
+    const updated = result.rows[0];
+    const albumId = await resolveAlbumId(req.user.id, updated.album, getAlbumArtist(updated));
+    if (albumId !== updated.album_id) {
+      await query('UPDATE songs SET album_id = $1 WHERE id = $2', [albumId, updated.id]);
+      updated.album_id = albumId;
+      await pruneEmptyAlbums(req.user.id);
+    }
+
+    const [song] = await signPlaybackUrls(req.user.id, [updated]);
+
     res.json({
       message: 'Song updated',
-      song: result.rows[0]
+      song
     });
 
   } catch (error) {
@@ -188,35 +1487,57 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 /**
- * DELETE /api/library/:id
- * Delete a song
+ * DELETE /api/library/bulk
+ * Move multiple songs to the trash (e.g. duplicate cleanup), ?permanent=true deletes them right away
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/bulk', authenticateToken, async (req, res) => {
   try {
-    // Get song to retrieve file size
-    const songResult = await query(
-      'SELECT file_size FROM songs WHERE id = $1 AND user_id = $2',
-      [req.params.id, req.user.id]
-    );
+    const { songIds } = req.body;
 
-    if (songResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Song not found' });
+    if (!Array.isArray(songIds) || songIds.length === 0) {
+      return res.status(400).json({ error: 'songIds array is required' });
+    }
+
+    if (songIds.length > 500) {
+      return res.status(400).json({ error: 'Maximum 500 songs per request' });
     }
 
-    const fileSize = songResult.rows[0].file_size;
+    const validIds = songIds.filter(id => UUID_PATTERN.test(id));
+    const permanent = req.query.permanent === 'true';
+    const deleted = permanent
+      ? await purgeSongs(req.user.id, validIds)
+      : await trashSongs(req.user.id, validIds);
 
-    // Delete song
-    await query('DELETE FROM songs WHERE id = $1', [req.params.id]);
+    // Trashed songs keep their storage until the trash is purged
+    res.json({
+      message: `${permanent ? 'Deleted' : 'Moved to trash:'} ${deleted.length} songs`,
+      deletedCount: deleted.length,
+      trashed: !permanent,
+      freedBytes: permanent ? deleted.reduce((sum, song) => sum + (parseInt(song.file_size) || 0), 0) : 0
+    });
 
-    // Update user storage
-    await query(
-      'UPDATE users SET storage_used = storage_used - $1 WHERE id = $2',
-      [fileSize, req.user.id]
-    );
+  } catch (error) {
+    console.error('Bulk song delete error:', error);
+    res.status(500).json({ error: 'Failed to delete songs' });
+  }
+});
 
-    // TODO: Delete file from R2 storage
+/**
+ * DELETE /api/library/:id
+ * Move a song to the trash (?permanent=true deletes it right away, trashed or not)
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const permanent = req.query.permanent === 'true';
+    const deleted = permanent
+      ? await purgeSongs(req.user.id, [req.params.id])
+      : await trashSongs(req.user.id, [req.params.id]);
+
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
 
-    res.json({ message: 'Song deleted' });
+    res.json({ message: permanent ? 'Song deleted' : 'Song moved to trash', trashed: !permanent });
 
   } catch (error) {
     console.error('Song delete error:', error);
@@ -7,13 +7,38 @@ const express = require('express');
 const router = express.Router();
 const { query } = require('../config/database');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { normalizeRules, getSmartPlaylistSongs, getSmartPlaylistSummary } = require('../services/smart_playlists');
+const { trashPlaylists, purgePlaylists } = require('../services/trash');
+const { signPlaybackUrls } = require('../services/transcoder');
 const { v4: uuidv4 } = require('uuid');
 
+const PLAYLIST_TYPES = ['manual', 'smart'];
+
 // Generate short share code
 const generateShareCode = () => {
   return uuidv4().substring(0, 8).toUpperCase();
 };
 
+// Verify playlist ownership; smart playlists can't be edited song by song
+const checkManualPlaylist = async (req, res) => {
+  const playlistCheck = await query(
+    'SELECT id, type FROM playlists WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+    [req.params.id, req.user.id]
+  );
+
+  if (playlistCheck.rows.length === 0) {
+    res.status(404).json({ error: 'Playlist not found' });
+    return false;
+  }
+
+  if (playlistCheck.rows[0].type === 'smart') {
+    res.status(400).json({ error: 'Smart playlists are managed by their rules' });
+    return false;
+  }
+
+  return true;
+};
+
 /**
  * GET /api/playlists
  * Get user's playlists
@@ -21,18 +46,25 @@ const generateShareCode = () => {
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const result = await query(`
-      SELECT p.id, p.name, p.description, p.is_public, p.share_code,
+      SELECT p.id, p.name, p.description, p.type, p.rules, p.is_public, p.share_code,
              p.created_at, p.updated_at,
-             COUNT(ps.id) as song_count,
+             COUNT(s.id) as song_count,
              COALESCE(SUM(s.duration), 0) as total_duration
       FROM playlists p
       LEFT JOIN playlist_songs ps ON p.id = ps.playlist_id
-      LEFT JOIN songs s ON ps.song_id = s.id
-      WHERE p.user_id = $1
+      LEFT JOIN songs s ON ps.song_id = s.id AND s.deleted_at IS NULL
+      WHERE p.user_id = $1 AND p.deleted_at IS NULL
       GROUP BY p.id
       ORDER BY p.updated_at DESC
     `, [req.user.id]);
 
+    // Smart playlists have no playlist_songs rows - evaluate their rules
+    for (const playlist of result.rows) {
+      if (playlist.type === 'smart') {
+        Object.assign(playlist, await getSmartPlaylistSummary(req.user.id, playlist.rules));
+      }
+    }
+
     res.json({
       count: result.rows.length,
       playlists: result.rows
@@ -47,22 +79,36 @@ router.get('/', authenticateToken, async (req, res) => {
 /**
  * POST /api/playlists
  * Create new playlist
+ * Body: { name, description, type: 'manual' | 'smart', rules (smart only) }
  */
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, type = 'manual' } = req.body;
 
     if (!name || name.trim().length === 0) {
       return res.status(400).json({ error: 'Playlist name is required' });
     }
 
+    if (!PLAYLIST_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'type must be manual or smart' });
+    }
+
+    let rules = null;
+    if (type === 'smart') {
+      const normalized = normalizeRules(req.body.rules);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      rules = normalized.rules;
+    }
+
     const shareCode = generateShareCode();
 
     const result = await query(`
-      INSERT INTO playlists (user_id, name, description, share_code)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO playlists (user_id, name, description, share_code, type, rules)
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
-    `, [req.user.id, name.trim(), description || null, shareCode]);
+    `, [req.user.id, name.trim(), description || null, shareCode, type, rules]);
 
     res.status(201).json({
       message: 'Playlist created',
@@ -84,26 +130,39 @@ router.get('/:id', authenticateToken, async (req, res) => {
     // Get playlist
     const playlistResult = await query(`
       SELECT * FROM playlists
-      WHERE id = $1 AND user_id = $2
+      WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
     `, [req.params.id, req.user.id]);
 
     if (playlistResult.rows.length === 0) {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    // Get songs in playlist
-    const songsResult = await query(`
-      SELECT s.id, s.title, s.artist, s.album, s.duration, s.artwork_url,
-             ps.position
-      FROM playlist_songs ps
-      JOIN songs s ON ps.song_id = s.id
-      WHERE ps.playlist_id = $1
-      ORDER BY ps.position ASC
-    `, [req.params.id]);
+    const playlist = playlistResult.rows[0];
+    let songs;
+
+    if (playlist.type === 'smart') {
+      const matched = await getSmartPlaylistSongs(req.user.id, playlist.rules, [
+        's.id', 's.title', 's.artist', 's.album', 's.duration', 's.artwork_url',
+        's.track_gain', 's.track_peak', 's.album_gain', 's.album_peak', 's.file_url', 's.file_key'
+      ]);
+      songs = matched.map((song, index) => ({ ...song, position: index + 1 }));
+    } else {
+      // Get songs in playlist
+      const songsResult = await query(`
+        SELECT s.id, s.title, s.artist, s.album, s.duration, s.artwork_url,
+               s.track_gain, s.track_peak, s.album_gain, s.album_peak,
+               s.file_url, s.file_key, ps.position
+        FROM playlist_songs ps
+        JOIN songs s ON ps.song_id = s.id AND s.deleted_at IS NULL
+        WHERE ps.playlist_id = $1
+        ORDER BY ps.position ASC
+      `, [req.params.id]);
+      songs = songsResult.rows;
+    }
 
     res.json({
-      ...playlistResult.rows[0],
-      songs: songsResult.rows
+      ...playlist,
+      songs: await signPlaybackUrls(req.user.id, songs)
     });
 
   } catch (error) {
@@ -120,29 +179,40 @@ router.get('/share/:code', optionalAuth, async (req, res) => {
   try {
     // Get playlist by share code
     const playlistResult = await query(`
-      SELECT p.id, p.name, p.description, p.user_id,
+      SELECT p.id, p.name, p.description, p.type, p.rules, p.user_id,
              u.username as owner_username
       FROM playlists p
       JOIN users u ON p.user_id = u.id
-      WHERE p.share_code = $1 AND p.is_public = true
+      WHERE p.share_code = $1 AND p.is_public = true AND p.deleted_at IS NULL
     `, [req.params.code.toUpperCase()]);
 
     if (playlistResult.rows.length === 0) {
       return res.status(404).json({ error: 'Playlist not found or not public' });
     }
 
+    const playlist = playlistResult.rows[0];
+    let songs;
+
     // Get songs (metadata only - no file URLs for non-owners)
-    const songsResult = await query(`
-      SELECT s.title, s.artist, s.album, s.duration, ps.position
-      FROM playlist_songs ps
-      JOIN songs s ON ps.song_id = s.id
-      WHERE ps.playlist_id = $1
-      ORDER BY ps.position ASC
-    `, [playlistResult.rows[0].id]);
+    if (playlist.type === 'smart') {
+      const matched = await getSmartPlaylistSongs(playlist.user_id, playlist.rules, [
+        's.title', 's.artist', 's.album', 's.duration'
+      ]);
+      songs = matched.map((song, index) => ({ ...song, position: index + 1 }));
+    } else {
+      const songsResult = await query(`
+        SELECT s.title, s.artist, s.album, s.duration, ps.position
+        FROM playlist_songs ps
+        JOIN songs s ON ps.song_id = s.id AND s.deleted_at IS NULL
+        WHERE ps.playlist_id = $1
+        ORDER BY ps.position ASC
+      `, [playlist.id]);
+      songs = songsResult.rows;
+    }
 
     res.json({
-      ...playlistResult.rows[0],
-      songs: songsResult.rows
+      ...playlist,
+      songs
     });
 
   } catch (error) {
@@ -153,24 +223,80 @@ router.get('/share/:code', optionalAuth, async (req, res) => {
 
 /**
  * PUT /api/playlists/:id
- * Update playlist details
+ * Update playlist details, type and rules
+ *
+ * Switching smart -> manual keeps the songs the rules currently match;
+ * switching manual -> smart requires rules and drops the hand-picked songs.
  */
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
-    const { name, description, is_public } = req.body;
+    const { name, description, is_public, type } = req.body;
+
+    const existingResult = await query(
+      'SELECT type, rules FROM playlists WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const existing = existingResult.rows[0];
+    const newType = type || existing.type;
+
+    if (!PLAYLIST_TYPES.includes(newType)) {
+      return res.status(400).json({ error: 'type must be manual or smart' });
+    }
+
+    let rules = null;
+    if (newType === 'smart') {
+      rules = existing.rules;
+      if (req.body.rules !== undefined || existing.type !== 'smart') {
+        const normalized = normalizeRules(req.body.rules);
+        if (normalized.error) {
+          return res.status(400).json({ error: normalized.error });
+        }
+        rules = normalized.rules;
+      }
+    } else if (req.body.rules !== undefined) {
+      return res.status(400).json({ error: 'rules only apply to smart playlists' });
+    }
+
+    // Switching type swaps the entries in the statement that changes the type: manual -> smart
+    // drops them, smart -> manual freezes the current matches into playlist_songs. The update only
+    // applies while the playlist still has the type read above.
+    const clearEntries = existing.type === 'manual' && newType === 'smart';
+    const frozenIds = existing.type === 'smart' && newType === 'manual'
+      ? (await getSmartPlaylistSongs(req.user.id, existing.rules, ['s.id'])).map(song => song.id)
+      : [];
 
     const result = await query(`
-      UPDATE playlists
-      SET name = COALESCE($1, name),
-          description = COALESCE($2, description),
-          is_public = COALESCE($3, is_public),
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $4 AND user_id = $5
-      RETURNING *
-    `, [name, description, is_public, req.params.id, req.user.id]);
+      WITH updated AS (
+        UPDATE playlists
+        SET name = COALESCE($1, name),
+            description = COALESCE($2, description),
+            is_public = COALESCE($3, is_public),
+            type = $4,
+            rules = $5,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $6 AND user_id = $7 AND type = $8 AND deleted_at IS NULL
+        RETURNING *
+      ), cleared AS (
+        DELETE FROM playlist_songs
+        WHERE $9 AND playlist_id IN (SELECT id FROM updated)
+      ), frozen AS (
+        INSERT INTO playlist_songs (playlist_id, song_id, position)
+        SELECT updated.id, matched.song_id, matched.position
+        FROM updated
+        CROSS JOIN unnest($10::uuid[]) WITH ORDINALITY AS matched(song_id, position)
+        JOIN songs s ON s.id = matched.song_id
+        ON CONFLICT (playlist_id, song_id) DO NOTHING
+      )
+      SELECT * FROM updated
+    `, [name, description, is_public, newType, rules, req.params.id, req.user.id, existing.type, clearEntries, frozenIds]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Playlist not found' });
+      return res.status(409).json({ error: 'Playlist changed while updating, try again' });
     }
 
     res.json({
@@ -186,20 +312,20 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
 /**
  * DELETE /api/playlists/:id
- * Delete playlist
+ * Move playlist to the trash (?permanent=true deletes it right away, trashed or not)
  */
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
-    const result = await query(
-      'DELETE FROM playlists WHERE id = $1 AND user_id = $2 RETURNING id',
-      [req.params.id, req.user.id]
-    );
+    const permanent = req.query.permanent === 'true';
+    const deleted = permanent
+      ? await purgePlaylists(req.user.id, [req.params.id])
+      : await trashPlaylists(req.user.id, [req.params.id]);
 
-    if (result.rows.length === 0) {
+    if (deleted.length === 0) {
       return res.status(404).json({ error: 'Playlist not found' });
     }
 
-    res.json({ message: 'Playlist deleted' });
+    res.json({ message: permanent ? 'Playlist deleted' : 'Playlist moved to trash', trashed: !permanent });
 
   } catch (error) {
     console.error('Playlist delete error:', error);
@@ -219,19 +345,12 @@ router.post('/:id/songs', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'song_id is required' });
     }
 
-    // Verify playlist ownership
-    const playlistCheck = await query(
-      'SELECT id FROM playlists WHERE id = $1 AND user_id = $2',
-      [req.params.id, req.user.id]
-    );
-
-    if (playlistCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Playlist not found' });
-    }
+    // Verify playlist ownership (manual playlists only)
+    if (!(await checkManualPlaylist(req, res))) return;
 
     // Verify song ownership
     const songCheck = await query(
-      'SELECT id FROM songs WHERE id = $1 AND user_id = $2',
+      'SELECT id FROM songs WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [song_id, req.user.id]
     );
 
@@ -284,19 +403,12 @@ router.post('/:id/songs/bulk', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Maximum 100 songs per request' });
     }
 
-    // Verify playlist ownership
-    const playlistCheck = await query(
-      'SELECT id FROM playlists WHERE id = $1 AND user_id = $2',
-      [req.params.id, req.user.id]
-    );
-
-    if (playlistCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Playlist not found' });
-    }
+    // Verify playlist ownership (manual playlists only)
+    if (!(await checkManualPlaylist(req, res))) return;
 
     // Verify song ownership (get only valid songs)
     const songsCheck = await query(
-      'SELECT id FROM songs WHERE id = ANY($1) AND user_id = $2',
+      'SELECT id FROM songs WHERE id = ANY($1) AND user_id = $2 AND deleted_at IS NULL',
       [songIds, req.user.id]
     );
 
@@ -354,15 +466,8 @@ router.post('/:id/songs/bulk', authenticateToken, async (req, res) => {
  */
 router.delete('/:id/songs/:songId', authenticateToken, async (req, res) => {
   try {
-    // Verify playlist ownership
-    const playlistCheck = await query(
-      'SELECT id FROM playlists WHERE id = $1 AND user_id = $2',
-      [req.params.id, req.user.id]
-    );
-
-    if (playlistCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Playlist not found' });
-    }
+    // Verify playlist ownership (manual playlists only)
+    if (!(await checkManualPlaylist(req, res))) return;
 
     // Remove song
     await query(
@@ -396,15 +501,8 @@ router.put('/:id/reorder', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'song_ids array is required' });
     }
 
-    // Verify playlist ownership
-    const playlistCheck = await query(
-      'SELECT id FROM playlists WHERE id = $1 AND user_id = $2',
-      [req.params.id, req.user.id]
-    );
-
-    if (playlistCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Playlist not found' });
-    }
+    // Verify playlist ownership (manual playlists only)
+    if (!(await checkManualPlaylist(req, res))) return;
 
     // Update positions
     for (let i = 0; i < song_ids.length; i++) {
@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const { query } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { validateToken, processQueue } = require('../services/scrobbler');
 
 // Default settings for new users
 const DEFAULT_SETTINGS = {
@@ -20,7 +21,17 @@ const DEFAULT_SETTINGS = {
   theme: 'dark',
   profile_public: false,
   show_listening_activity: false,
-  playlist_default_public: false
+  playlist_default_public: false,
+  duplicate_policy: 'skip'
+};
+
+// Settings as returned to the client (no user_id, scrobbler token never leaves the server)
+const toPublicSettings = (row) => {
+  const { user_id, scrobbler_token, ...settings } = row;
+  return {
+    ...settings,
+    scrobbler_linked: !!scrobbler_token
+  };
 };
 
 /**
@@ -44,10 +55,8 @@ router.get('/', authenticateToken, async (req, res) => {
       `, [req.user.id]);
     }
 
-    const settings = result.rows[0];
-    
-    // Remove user_id from response
-    delete settings.user_id;
+    // Remove user_id and secrets from response
+    const settings = toPublicSettings(result.rows[0]);
 
     res.json(settings);
 
@@ -74,7 +83,9 @@ router.put('/', authenticateToken, async (req, res) => {
       theme,
       profile_public,
       show_listening_activity,
-      playlist_default_public
+      playlist_default_public,
+      duplicate_policy,
+      scrobbling_enabled
     } = req.body;
 
     // Validate playback_quality
@@ -107,15 +118,20 @@ router.put('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Invalid theme. Use: dark, light, system' });
     }
 
+    // Validate duplicate_policy
+    if (duplicate_policy && !['reject', 'skip', 'keep'].includes(duplicate_policy)) {
+      return res.status(400).json({ error: 'Invalid duplicate_policy. Use: reject, skip, keep' });
+    }
+
     // Upsert settings
     const result = await query(`
       INSERT INTO user_settings (
         user_id, playback_quality, crossfade_seconds, gapless_enabled,
         normalize_volume, cache_limit_mb, rss_refresh_minutes, rss_max_articles,
         theme, profile_public, show_listening_activity, playlist_default_public,
-        updated_at
+        duplicate_policy, scrobbling_enabled, updated_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, CURRENT_TIMESTAMP)
       ON CONFLICT (user_id) DO UPDATE SET
         playback_quality = COALESCE($2, user_settings.playback_quality),
         crossfade_seconds = COALESCE($3, user_settings.crossfade_seconds),
@@ -128,6 +144,8 @@ router.put('/', authenticateToken, async (req, res) => {
         profile_public = COALESCE($10, user_settings.profile_public),
         show_listening_activity = COALESCE($11, user_settings.show_listening_activity),
         playlist_default_public = COALESCE($12, user_settings.playlist_default_public),
+        duplicate_policy = COALESCE($13, user_settings.duplicate_policy),
+        scrobbling_enabled = COALESCE($14, user_settings.scrobbling_enabled),
         updated_at = CURRENT_TIMESTAMP
       RETURNING *
     `, [
@@ -142,11 +160,12 @@ router.put('/', authenticateToken, async (req, res) => {
       theme,
       profile_public,
       show_listening_activity,
-      playlist_default_public
+      playlist_default_public,
+      duplicate_policy,
+      scrobbling_enabled
     ]);
 
-    const settings = result.rows[0];
-    delete settings.user_id;
+    const settings = toPublicSettings(result.rows[0]);
 
     res.json({
       message: 'Settings updated',
@@ -180,12 +199,12 @@ router.post('/reset', authenticateToken, async (req, res) => {
         profile_public = false,
         show_listening_activity = false,
         playlist_default_public = false,
+        duplicate_policy = 'skip',
         updated_at = CURRENT_TIMESTAMP
       RETURNING *
     `, [req.user.id]);
 
-    const settings = result.rows[0];
-    delete settings.user_id;
+    const settings = toPublicSettings(result.rows[0]);
 
     res.json({
       message: 'Settings reset to defaults',
@@ -198,4 +217,134 @@ router.post('/reset', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/settings/scrobbler
+ * Linked scrobbler account and delivery queue status
+ */
+router.get('/scrobbler', authenticateToken, async (req, res) => {
+  try {
+    const settingsResult = await query(
+      'SELECT scrobbling_enabled, scrobbler_token, scrobbler_username FROM user_settings WHERE user_id = $1',
+      [req.user.id]
+    );
+    const queueResult = await query(`
+      SELECT COUNT(*) FILTER (WHERE status = 'pending') as pending,
+             COUNT(*) FILTER (WHERE status = 'failed') as failed,
+             MAX(last_error) FILTER (WHERE status = 'failed') as last_error
+      FROM scrobble_queue
+      WHERE user_id = $1
+    `, [req.user.id]);
+
+    const account = settingsResult.rows[0] || {};
+    const queue = queueResult.rows[0];
+
+    res.json({
+      linked: !!account.scrobbler_token,
+      enabled: !!account.scrobbling_enabled,
+      username: account.scrobbler_username || null,
+      queue: {
+        pending: parseInt(queue.pending),
+        failed: parseInt(queue.failed),
+        last_error: queue.last_error
+      }
+    });
+
+  } catch (error) {
+    console.error('Get scrobbler error:', error);
+    res.status(500).json({ error: 'Failed to fetch scrobbler status' });
+  }
+});
+
+/**
+ * PUT /api/settings/scrobbler
+ * Link a ListenBrainz-compatible account (token is validated against the service)
+ */
+router.put('/scrobbler', authenticateToken, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    let username;
+    try {
+      username = await validateToken(token.trim());
+    } catch (remoteError) {
+      return res.status(502).json({ error: 'Could not reach scrobbling service', details: remoteError.message });
+    }
+
+    if (!username) {
+      return res.status(400).json({ error: 'Invalid scrobbler token' });
+    }
+
+    await query(`
+      INSERT INTO user_settings (user_id, scrobbling_enabled, scrobbler_token, scrobbler_username, updated_at)
+      VALUES ($1, true, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (user_id) DO UPDATE SET
+        scrobbling_enabled = true,
+        scrobbler_token = EXCLUDED.scrobbler_token,
+        scrobbler_username = EXCLUDED.scrobbler_username,
+        updated_at = CURRENT_TIMESTAMP
+    `, [req.user.id, token.trim(), username]);
+
+    res.json({
+      message: 'Scrobbler linked',
+      username
+    });
+
+  } catch (error) {
+    console.error('Link scrobbler error:', error);
+    res.status(500).json({ error: 'Failed to link scrobbler' });
+  }
+});
+
+/**
+ * DELETE /api/settings/scrobbler
+ * Unlink scrobbler account and drop undelivered listens
+ */
+router.delete('/scrobbler', authenticateToken, async (req, res) => {
+  try {
+    await query(`
+      UPDATE user_settings
+      SET scrobbling_enabled = false, scrobbler_token = NULL, scrobbler_username = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+    `, [req.user.id]);
+
+    await query('DELETE FROM scrobble_queue WHERE user_id = $1', [req.user.id]);
+
+    res.json({ message: 'Scrobbler unlinked' });
+
+  } catch (error) {
+    console.error('Unlink scrobbler error:', error);
+    res.status(500).json({ error: 'Failed to unlink scrobbler' });
+  }
+});
+
+/**
+ * POST /api/settings/scrobbler/retry
+ * Requeue failed listens and retry backed-off ones now (e.g. after fixing an expired token)
+ */
+router.post('/scrobbler/retry', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(`
+      UPDATE scrobble_queue
+      SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+    `, [req.user.id]);
+
+    processQueue().catch(queueError => console.error('Scrobble queue error:', queueError.message));
+
+    res.json({
+      message: `Requeued ${result.rowCount} listens`,
+      requeued: result.rowCount
+    });
+
+  } catch (error) {
+    console.error('Retry scrobbles error:', error);
+    res.status(500).json({ error: 'Failed to requeue listens' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,225 @@
+/**
+ * Stats Routes
+ * Listening statistics from play_history
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { ALBUM_ARTIST_SQL } = require('../services/tags');
+
+// Groupings for /top/:type (artists and albums go by album artist, like the library's views)
+const TOP_TYPES = {
+  songs: {
+    select: 's.id, s.title, s.artist, s.album, s.artwork_url',
+    groupBy: 's.id'
+  },
+  artists: {
+    select: `${ALBUM_ARTIST_SQL} as artist`,
+    groupBy: ALBUM_ARTIST_SQL,
+    where: `${ALBUM_ARTIST_SQL} != ''`
+  },
+  albums: {
+    select: "a.id as album_id, a.title as album, NULLIF(a.artist, '') as artist, MODE() WITHIN GROUP (ORDER BY s.artwork_url) as artwork_url",
+    join: 'JOIN albums a ON a.id = s.album_id',
+    groupBy: 'a.id',
+    where: "a.title != ''"
+  },
+  genres: {
+    select: 's.genre',
+    groupBy: 's.genre',
+    where: "s.genre IS NOT NULL AND s.genre != ''"
+  }
+};
+
+// Seconds listened (falls back to the full track length when the client didn't report it)
+const LISTENED = 'COALESCE(ph.duration_played, s.duration, 0)';
+
+// Parse ?from=&to= (ISO dates, to is exclusive). Defaults to the last 30 days.
+const parseRange = (req) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    return null;
+  }
+
+  return { from, to };
+};
+
+// Top N for a grouping over a range
+const getTop = async (userId, type, from, to, { limit = 10, sort = 'plays' } = {}) => {
+  const config = TOP_TYPES[type];
+  const orderBy = sort === 'time' ? 'listened_seconds DESC, plays DESC' : 'plays DESC, listened_seconds DESC';
+
+  const result = await query(`
+    SELECT ${config.select},
+           COUNT(*) as plays,
+           SUM(${LISTENED}) as listened_seconds
+    FROM play_history ph
+    JOIN songs s ON ph.song_id = s.id AND s.deleted_at IS NULL
+    ${config.join || ''}
+    WHERE ph.user_id = $1 AND ph.played_at >= $2 AND ph.played_at < $3
+      ${config.where ? `AND ${config.where}` : ''}
+    GROUP BY ${config.groupBy}
+    ORDER BY ${orderBy}
+    LIMIT $4
+  `, [userId, from, to, limit]);
+
+  return result.rows.map(row => ({
+    ...row,
+    plays: parseInt(row.plays),
+    listened_seconds: parseInt(row.listened_seconds)
+  }));
+};
+
+/**
+ * GET /api/stats/top/:type
+ * Top songs, artists, albums or genres
+ *
+ * Query: from, to (ISO dates), limit (max 100), sort = plays | time
+ */
+router.get('/top/:type', authenticateToken, async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    if (!TOP_TYPES[type]) {
+      return res.status(400).json({ error: `Invalid type. Use: ${Object.keys(TOP_TYPES).join(', ')}` });
+    }
+
+    const range = parseRange(req);
+    if (!range) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    const sort = req.query.sort === 'time' ? 'time' : 'plays';
+
+    const items = await getTop(req.user.id, type, range.from, range.to, { limit, sort });
+
+    res.json({
+      type,
+      from: range.from,
+      to: range.to,
+      count: items.length,
+      [type]: items
+    });
+
+  } catch (error) {
+    console.error('Top stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch top stats' });
+  }
+});
+
+/**
+ * GET /api/stats/daily
+ * Listening time and plays per day
+ *
+ * Query: from, to (ISO dates)
+ */
+router.get('/daily', authenticateToken, async (req, res) => {
+  try {
+    const range = parseRange(req);
+    if (!range) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const result = await query(`
+      SELECT to_char(ph.played_at, 'YYYY-MM-DD') as day,
+             COUNT(*) as plays,
+             SUM(${LISTENED}) as listened_seconds
+      FROM play_history ph
+      JOIN songs s ON ph.song_id = s.id AND s.deleted_at IS NULL
+      WHERE ph.user_id = $1 AND ph.played_at >= $2 AND ph.played_at < $3
+      GROUP BY day
+      ORDER BY day ASC
+    `, [req.user.id, range.from, range.to]);
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      days: result.rows.map(row => ({
+        day: row.day,
+        plays: parseInt(row.plays),
+        listened_seconds: parseInt(row.listened_seconds)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Daily stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch daily stats' });
+  }
+});
+
+/**
+ * GET /api/stats/recap/:year
+ * Yearly listening summary
+ */
+router.get('/recap/:year', authenticateToken, async (req, res) => {
+  try {
+    const year = parseInt(req.params.year);
+
+    if (!year || year < 2000 || year > new Date().getFullYear()) {
+      return res.status(400).json({ error: 'Invalid year' });
+    }
+
+    const from = new Date(Date.UTC(year, 0, 1));
+    const to = new Date(Date.UTC(year + 1, 0, 1));
+
+    const totalsResult = await query(`
+      SELECT COUNT(*) as plays,
+             COALESCE(SUM(${LISTENED}), 0) as listened_seconds,
+             COUNT(DISTINCT ph.song_id) as unique_songs,
+             COUNT(DISTINCT ${ALBUM_ARTIST_SQL}) FILTER (WHERE ${ALBUM_ARTIST_SQL} != '') as unique_artists,
+             COUNT(DISTINCT ph.played_at::date) as active_days
+      FROM play_history ph
+      JOIN songs s ON ph.song_id = s.id AND s.deleted_at IS NULL
+      WHERE ph.user_id = $1 AND ph.played_at >= $2 AND ph.played_at < $3
+    `, [req.user.id, from, to]);
+
+    const topDayResult = await query(`
+      SELECT to_char(ph.played_at, 'YYYY-MM-DD') as day, SUM(${LISTENED}) as listened_seconds
+      FROM play_history ph
+      JOIN songs s ON ph.song_id = s.id AND s.deleted_at IS NULL
+      WHERE ph.user_id = $1 AND ph.played_at >= $2 AND ph.played_at < $3
+      GROUP BY day
+      ORDER BY listened_seconds DESC
+      LIMIT 1
+    `, [req.user.id, from, to]);
+
+    const addedResult = await query(
+      'SELECT COUNT(*) FROM songs WHERE user_id = $1 AND created_at >= $2 AND created_at < $3 AND deleted_at IS NULL',
+      [req.user.id, from, to]
+    );
+
+    const [songs, artists, albums, genres] = await Promise.all(
+      ['songs', 'artists', 'albums', 'genres'].map(type => getTop(req.user.id, type, from, to, { limit: 5 }))
+    );
+
+    const totals = totalsResult.rows[0];
+    const topDay = topDayResult.rows[0];
+
+    res.json({
+      year,
+      plays: parseInt(totals.plays),
+      listened_seconds: parseInt(totals.listened_seconds),
+      listened_hours: (parseInt(totals.listened_seconds) / 3600).toFixed(1),
+      unique_songs: parseInt(totals.unique_songs),
+      unique_artists: parseInt(totals.unique_artists),
+      active_days: parseInt(totals.active_days),
+      songs_added: parseInt(addedResult.rows[0].count),
+      top_day: topDay ? { day: topDay.day, listened_seconds: parseInt(topDay.listened_seconds) } : null,
+      top_songs: songs,
+      top_artists: artists,
+      top_albums: albums,
+      top_genres: genres
+    });
+
+  } catch (error) {
+    console.error('Recap stats error:', error);
+    res.status(500).json({ error: 'Failed to build recap' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * Sync Routes
+ * Incremental library sync for offline-capable clients
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { parseSyncToken, getChanges } = require('../services/sync');
+
+/**
+ * GET /api/sync/changes?since=<token>&limit=
+ * Songs, playlists, playlist entries and settings changed after the token (omit it for a full sync).
+ * Apply upserted rows and deleted ids, then ask again with the returned token (right away while has_more).
+ */
+router.get('/changes', authenticateToken, async (req, res) => {
+  try {
+    const token = await parseSyncToken(req.query.since);
+    if (token.error) {
+      return res.status(400).json({ error: token.error });
+    }
+
+    res.json(await getChanges(req.user.id, token.since, req.query.limit));
+
+  } catch (error) {
+    console.error('Sync changes error:', error);
+    res.status(500).json({ error: 'Failed to fetch changes' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+/**
+ * Trash Routes
+ * Deleted songs and playlists: list, restore and purge
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  TRASH_RETENTION_DAYS,
+  restoreSongs,
+  purgeSongs,
+  restorePlaylists,
+  purgePlaylists
+} = require('../services/trash');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_IDS = 500;
+
+// Validate { songIds, playlistIds } (either may be omitted). Returns { songIds, playlistIds } or { error }.
+const parseIds = (body) => {
+  const { songIds = [], playlistIds = [] } = body || {};
+
+  if (!Array.isArray(songIds) || !Array.isArray(playlistIds)) {
+    return { error: 'songIds and playlistIds must be arrays' };
+  }
+  if (songIds.length === 0 && playlistIds.length === 0) {
+    return { error: 'songIds or playlistIds is required' };
+  }
+  if (songIds.length + playlistIds.length > MAX_IDS) {
+    return { error: `Maximum ${MAX_IDS} items per request` };
+  }
+
+  return {
+    songIds: songIds.filter(id => UUID_PATTERN.test(id)),
+    playlistIds: playlistIds.filter(id => UUID_PATTERN.test(id))
+  };
+};
+
+const sumFileSize = (songs) => songs.reduce((sum, song) => sum + (parseInt(song.file_size) || 0), 0);
+
+/**
+ * GET /api/trash
+ * Songs and playlists in the trash, most recently deleted first
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const songs = await query(`
+      SELECT id, title, artist, album, duration, file_size, artwork_url, deleted_at,
+             deleted_at + $2 * INTERVAL '1 day' as expires_at
+      FROM songs
+      WHERE user_id = $1 AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC
+    `, [req.user.id, TRASH_RETENTION_DAYS]);
+
+    const playlists = await query(`
+      SELECT p.id, p.name, p.description, p.type, p.deleted_at,
+             p.deleted_at + $2 * INTERVAL '1 day' as expires_at,
+             COUNT(ps.id) as song_count
+      FROM playlists p
+      LEFT JOIN playlist_songs ps ON p.id = ps.playlist_id
+      WHERE p.user_id = $1 AND p.deleted_at IS NOT NULL
+      GROUP BY p.id
+      ORDER BY p.deleted_at DESC
+    `, [req.user.id, TRASH_RETENTION_DAYS]);
+
+    res.json({
+      retention_days: TRASH_RETENTION_DAYS,
+      total_size: sumFileSize(songs.rows),
+      songs: songs.rows,
+      playlists: playlists.rows
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+/**
+ * POST /api/trash/restore
+ * Restore songs and/or playlists: { songIds, playlistIds }
+ */
+router.post('/restore', authenticateToken, async (req, res) => {
+  try {
+    const ids = parseIds(req.body);
+    if (ids.error) {
+      return res.status(400).json({ error: ids.error });
+    }
+
+    const songs = ids.songIds.length > 0 ? await restoreSongs(req.user.id, ids.songIds) : [];
+    const playlists = ids.playlistIds.length > 0 ? await restorePlaylists(req.user.id, ids.playlistIds) : [];
+
+    res.json({
+      message: `Restored ${songs.length} songs and ${playlists.length} playlists`,
+      songIds: songs.map(song => song.id),
+      playlistIds: playlists.map(playlist => playlist.id)
+    });
+
+  } catch (error) {
+    console.error('Trash restore error:', error);
+    res.status(500).json({ error: 'Failed to restore from trash' });
+  }
+});
+
+/**
+ * POST /api/trash/purge
+ * Permanently delete trashed songs and/or playlists: { songIds, playlistIds }
+ */
+router.post('/purge', authenticateToken, async (req, res) => {
+  try {
+    const ids = parseIds(req.body);
+    if (ids.error) {
+      return res.status(400).json({ error: ids.error });
+    }
+
+    // Only what is actually in the trash (live items are deleted through their own routes)
+    const trashedSongs = ids.songIds.length > 0
+      ? await query(
+        'SELECT id FROM songs WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NOT NULL',
+        [ids.songIds, req.user.id]
+      )
+      : { rows: [] };
+    const trashedPlaylists = ids.playlistIds.length > 0
+      ? await query(
+        'SELECT id FROM playlists WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NOT NULL',
+        [ids.playlistIds, req.user.id]
+      )
+      : { rows: [] };
+
+    const songs = trashedSongs.rows.length > 0
+      ? await purgeSongs(req.user.id, trashedSongs.rows.map(row => row.id))
+      : [];
+    const playlists = trashedPlaylists.rows.length > 0
+      ? await purgePlaylists(req.user.id, trashedPlaylists.rows.map(row => row.id))
+      : [];
+
+    res.json({
+      message: `Deleted ${songs.length} songs and ${playlists.length} playlists`,
+      deletedSongs: songs.length,
+      deletedPlaylists: playlists.length,
+      freedBytes: sumFileSize(songs)
+    });
+
+  } catch (error) {
+    console.error('Trash purge error:', error);
+    res.status(500).json({ error: 'Failed to delete from trash' });
+  }
+});
+
+/**
+ * DELETE /api/trash
+ * Empty the trash
+ */
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const trashedSongs = await query(
+      'SELECT id FROM songs WHERE user_id = $1 AND deleted_at IS NOT NULL',
+      [req.user.id]
+    );
+    const trashedPlaylists = await query(
+      'SELECT id FROM playlists WHERE user_id = $1 AND deleted_at IS NOT NULL',
+      [req.user.id]
+    );
+
+    const songs = trashedSongs.rows.length > 0
+      ? await purgeSongs(req.user.id, trashedSongs.rows.map(row => row.id))
+      : [];
+    const playlists = trashedPlaylists.rows.length > 0
+      ? await purgePlaylists(req.user.id, trashedPlaylists.rows.map(row => row.id))
+      : [];
+
+    res.json({
+      message: 'Trash emptied',
+      deletedSongs: songs.length,
+      deletedPlaylists: playlists.length,
+      freedBytes: sumFileSize(songs)
+    });
+
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+module.exports = router;
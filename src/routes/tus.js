@@ -0,0 +1,395 @@
+/**
+ * Resumable Upload Routes
+ * tus 1.0.0 (core + creation, expiration, termination) for large uploads over flaky connections
+ *
+ * POST creates an upload (Upload-Length, Upload-Metadata: filename, filetype, duplicates),
+ * PATCH appends at Upload-Offset, HEAD reports the offset to resume from. The PATCH that
+ * delivers the last byte creates the song exactly like POST /api/upload.
+ * Bytes are stored in R2 as they arrive and the offset lives in the database, so a resumed
+ * upload may land on any instance. OPTIONS is answered by the cors middleware before this
+ * router; index.js mounts tusHeaders ahead of it so those responses carry the tus capabilities.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  MAX_FILE_SIZE,
+  DUPLICATE_POLICIES,
+  getDuplicatePolicy,
+  findDuplicate,
+  createSong
+} = require('../services/song_import');
+const { AUDIO_FORMATS, unsupportedAudioMessage, guessAudioFormat } = require('../services/audio_formats');
+const { discardUpload } = require('../services/upload_storage');
+const { signPlaybackUrls } = require('../services/transcoder');
+const {
+  TUS_LOCK_MINUTES,
+  createTusSession,
+  lockTusSession,
+  unlockTusSession,
+  appendTusChunk,
+  finishTusUpload,
+  claimUploadSession,
+  completeUploadSession,
+  closeUploadSession
+} = require('../services/upload_sessions');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const TUS_VERSION = '1.0.0';
+
+// Server capabilities, on every response (OPTIONS included, see index.js)
+const tusHeaders = (req, res, next) => {
+  res.set({
+    'Tus-Resumable': TUS_VERSION,
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': 'creation,expiration,termination',
+    'Tus-Max-Size': String(MAX_FILE_SIZE)
+  });
+  next();
+};
+
+router.use(tusHeaders);
+
+router.use((req, res, next) => {
+  // GET (upload status as JSON) is ours, not part of tus
+  if (!['OPTIONS', 'GET'].includes(req.method) && req.headers['tus-resumable'] !== TUS_VERSION) {
+    return res.status(412).json({ error: `Unsupported tus version (expected ${TUS_VERSION})` });
+  }
+  next();
+});
+
+// Upload-Metadata: comma separated "key base64value" pairs
+const parseMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+
+  header.split(',').forEach(pair => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  });
+  return metadata;
+};
+
+// Header value for a non-negative integer header, null when missing or malformed
+const parseLength = (value) => (/^\d{1,15}$/.test(value || '') ? parseInt(value) : null);
+
+// The user's tus session, or null (bad id, someone else's). receiving: a PATCH holds its lock
+const findTusSession = async (userId, sessionId) => {
+  if (!UUID_PATTERN.test(sessionId)) return null;
+
+  const result = await query(`
+    SELECT *, COALESCE(receiving_at > CURRENT_TIMESTAMP - INTERVAL '${TUS_LOCK_MINUTES} minutes', false) AS receiving
+    FROM upload_sessions
+    WHERE id = $1 AND user_id = $2 AND protocol = 'tus'
+  `, [sessionId, userId]);
+  return result.rows[0] || null;
+};
+
+const isOpen = (session) => session.status === 'pending' && new Date(session.expires_at) > new Date();
+
+/**
+ * Create the song for a fully received upload (same checks as POST /api/upload).
+ * Returns { status, body } for failures, {} when the song was created or the duplicate skipped.
+ */
+const completeTusUpload = async (userId, sessionId) => {
+  const session = await claimUploadSession(userId, sessionId, 'tus');
+  if (!session) {
+    return { status: 409, body: { error: 'Upload is already being completed' } };
+  }
+
+  let file = null;
+
+  try {
+    file = await finishTusUpload(session);
+
+    const policy = await getDuplicatePolicy(userId, session.duplicate_policy);
+
+    if (policy !== 'keep') {
+      const duplicate = await findDuplicate(userId, file.contentHash);
+
+      if (duplicate) {
+        await closeUploadSession(session, 'aborted', 'Duplicate', duplicate.id);
+
+        if (policy === 'reject') {
+          const [existing] = await signPlaybackUrls(userId, [duplicate]);
+          return {
+            status: 409,
+            body: { error: 'This file is already in your library', song: existing }
+          };
+        }
+        return {};
+      }
+    }
+
+    const created = await createSong(userId, file, { reserved: parseInt(session.size) });
+
+    if (!created) {
+      await closeUploadSession(session, 'failed', 'Storage limit exceeded');
+      return { status: 400, body: { error: 'Storage limit exceeded', file_size: file.size } };
+    }
+
+    await completeUploadSession(session, created.id);
+    return {};
+
+  } catch (error) {
+    await closeUploadSession(session, 'failed', error.message).catch(() => {});
+    if (error.code === 'UNSUPPORTED_AUDIO') {
+      return { status: 415, body: { error: error.message } };
+    }
+    console.error('Resumable upload completion error:', error);
+    return { status: 500, body: { error: 'Upload failed: ' + error.message } };
+  } finally {
+    // The R2 object is committed by now unless the upload failed; the local file always goes
+    await discardUpload(file);
+  }
+};
+
+/**
+ * POST /api/upload/tus
+ * Create a resumable upload
+ *
+ * Headers: Upload-Length, Upload-Metadata (filename, filetype, duplicates = reject | skip | keep)
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const size = parseLength(req.headers['upload-length']);
+    if (size === null) {
+      return res.status(400).json({ error: 'Upload-Length is required' });
+    }
+
+    if (size === 0 || size > MAX_FILE_SIZE) {
+      return res.status(413).json({ error: `Upload-Length must be between 1 and ${MAX_FILE_SIZE} bytes` });
+    }
+
+    const metadata = parseMetadata(req.headers['upload-metadata']);
+    const filename = (metadata.filename || metadata.name || '').trim();
+    const contentType = metadata.filetype || metadata.type;
+
+    if (!filename || filename.length > 255) {
+      return res.status(400).json({ error: 'filename metadata is required (max 255 characters)' });
+    }
+
+    if (metadata.duplicates && !DUPLICATE_POLICIES.includes(metadata.duplicates)) {
+      return res.status(400).json({ error: `Invalid duplicates metadata. Use: ${DUPLICATE_POLICIES.join(', ')}` });
+    }
+
+    // Only names the upload; the bytes decide once they are all in
+    const format = guessAudioFormat(contentType, filename);
+    if (!format) {
+      return res.status(415).json({ error: unsupportedAudioMessage(filename) });
+    }
+
+    const created = await createTusSession(req.user.id, {
+      key: `${req.user.id}/${uuidv4()}.${AUDIO_FORMATS[format].extension}`,
+      filename,
+      contentType: AUDIO_FORMATS[format].contentType,
+      size,
+      duplicatePolicy: metadata.duplicates
+    });
+
+    if (created.error) {
+      return res.status(413).json({ error: created.error, file_size: size });
+    }
+
+    res.set({
+      'Location': `${req.baseUrl}/${created.session.id}`,
+      'Upload-Offset': '0',
+      'Upload-Expires': new Date(created.session.expires_at).toUTCString()
+    });
+    res.status(201).end();
+
+  } catch (error) {
+    console.error('Resumable upload create error:', error);
+    res.status(500).json({ error: 'Failed to create upload' });
+  }
+});
+
+/**
+ * HEAD /api/upload/tus/:id
+ * Offset to resume from (equal to Upload-Length once the upload has finished)
+ */
+router.head('/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await findTusSession(req.user.id, req.params.id);
+    res.set('Cache-Control', 'no-store');
+
+    if (!session) {
+      return res.status(404).end();
+    }
+
+    // Finished (a skipped duplicate keeps the song it matched): nothing left to send
+    if (session.status === 'completing' || session.song_id) {
+      res.set('Upload-Offset', String(session.size));
+    } else if (isOpen(session)) {
+      res.set({
+        'Upload-Offset': String(session.upload_offset),
+        'Upload-Expires': new Date(session.expires_at).toUTCString()
+      });
+    } else {
+      return res.status(410).end();
+    }
+
+    res.set('Upload-Length', String(session.size));
+    res.status(200).end();
+
+  } catch (error) {
+    console.error('Resumable upload head error:', error);
+    res.status(500).end();
+  }
+});
+
+/**
+ * PATCH /api/upload/tus/:id
+ * Append bytes (Content-Type: application/offset+octet-stream) at Upload-Offset
+ */
+router.patch('/:id', authenticateToken, async (req, res) => {
+  const sessionId = req.params.id;
+
+  if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  const requestedOffset = parseLength(req.headers['upload-offset']);
+  if (requestedOffset === null) {
+    return res.status(400).json({ error: 'Upload-Offset is required' });
+  }
+
+  let session = null;
+
+  try {
+    const found = await findTusSession(req.user.id, sessionId);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    if (!isOpen(found)) {
+      return res.status(410).json({ error: found.status === 'pending' ? 'Upload expired' : `Upload ${found.status}` });
+    }
+
+    // Held until the response (a second PATCH would interleave bytes)
+    session = await lockTusSession(found);
+    if (!session) {
+      return res.status(423).json({ error: 'Another request is uploading to this upload' });
+    }
+
+    const offset = parseInt(session.upload_offset);
+    if (requestedOffset !== offset) {
+      return res.status(409).json({ error: `Upload-Offset ${requestedOffset} does not match ${offset}` });
+    }
+
+    const declared = parseLength(req.headers['content-length']);
+    if (declared !== null && offset + declared > parseInt(session.size)) {
+      return res.status(413).json({ error: 'Upload exceeds Upload-Length' });
+    }
+
+    const appended = await appendTusChunk(session, req);
+
+    if (appended.error) {
+      // Nobody left to answer
+      if (appended.error.code === 'TUS_ABORTED') return;
+
+      // The rest of the body was never read: don't reuse the connection
+      res.set({ 'Connection': 'close', 'Upload-Offset': String(appended.offset) });
+      if (appended.error.code === 'TUS_OVERRUN') {
+        return res.status(413).json({ error: appended.error.message });
+      }
+      console.error('Resumable upload patch error:', appended.error);
+      return res.status(500).json({ error: 'Failed to receive upload' });
+    }
+
+    res.set({
+      'Upload-Offset': String(appended.offset),
+      'Upload-Expires': new Date(appended.expires_at).toUTCString()
+    });
+
+    if (appended.offset === parseInt(session.size)) {
+      const result = await completeTusUpload(req.user.id, sessionId);
+      if (result.status) {
+        return res.status(result.status).json(result.body);
+      }
+    }
+
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Resumable upload patch error:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to receive upload' });
+  } finally {
+    if (session) await unlockTusSession(session).catch(() => {});
+  }
+});
+
+/**
+ * DELETE /api/upload/tus/:id
+ * Cancel an upload, releasing its reserved storage
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await findTusSession(req.user.id, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    if (session.receiving) {
+      return res.status(423).json({ error: 'Upload in progress' });
+    }
+
+    if (!(await closeUploadSession(session, 'aborted'))) {
+      return res.status(410).json({ error: `Upload ${session.status}` });
+    }
+
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Resumable upload delete error:', error);
+    res.status(500).json({ error: 'Failed to delete upload' });
+  }
+});
+
+/**
+ * GET /api/upload/tus/:id
+ * Upload status and, once finished, the song it created (or the duplicate it matched)
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await findTusSession(req.user.id, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const response = {
+      upload_id: session.id,
+      filename: session.filename,
+      status: isOpen(session) || session.status !== 'pending' ? session.status : 'expired',
+      offset: parseInt(session.upload_offset),
+      length: parseInt(session.size),
+      expires_at: session.expires_at,
+      error: session.error
+    };
+
+    if (session.song_id) {
+      const songResult = await query(
+        'SELECT * FROM songs WHERE id = $1 AND deleted_at IS NULL',
+        [session.song_id]
+      );
+      [response.song] = await signPlaybackUrls(req.user.id, songResult.rows);
+      response.duplicate = session.status === 'aborted';
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Resumable upload status error:', error);
+    res.status(500).json({ error: 'Failed to fetch upload' });
+  }
+});
+
+module.exports = router;
+module.exports.tusHeaders = tusHeaders;
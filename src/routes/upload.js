@@ -6,266 +6,228 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-const mm = require('music-metadata');
+const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const { query } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-
-// Configure multer for memory storage (we'll stream to R2)
+const {
+  MAX_FILE_SIZE,
+  getDuplicatePolicy,
+  findDuplicate,
+  createSong
+} = require('../services/song_import');
+const { AUDIO_FORMATS, unsupportedAudioMessage, guessAudioFormat } = require('../services/audio_formats');
+const { UPLOAD_TMP_DIR, discardUpload, createUploadStorage } = require('../services/upload_storage');
+const { signPlaybackUrls } = require('../services/transcoder');
+const { MAX_ARCHIVE_SIZE, importArchive } = require('../services/archive_import');
+const {
+  createUploadSession,
+  claimUploadSession,
+  reopenUploadSession,
+  completeUploadSession,
+  closeUploadSession,
+  finishUpload
+} = require('../services/upload_sessions');
+const {
+  createUploadJob,
+  getUploadJob,
+  listUploadJobs,
+  retryUploadJob,
+  deleteUploadJob
+} = require('../services/upload_jobs');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Files per upload job (songs are created in the background, so more than a batch)
+const MAX_JOB_FILES = 200;
+
+// Files stream to R2 as they arrive and are committed once quota and duplicate checks pass.
+// No fileFilter: the declared mimetype means nothing, the storage engine sniffs the real format
 const upload = multer({
-  storage: multer.memoryStorage(),
+  storage: createUploadStorage((req, file, format) => `${req.user.id}/${uuidv4()}.${format.extension}`),
   limits: {
-    fileSize: 200 * 1024 * 1024, // 200MB max per file
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'audio/mpeg',       // MP3
-      'audio/mp4',        // M4A/AAC
-      'audio/x-m4a',      // M4A
-      'audio/aac',        // AAC
-      'audio/flac',       // FLAC
-      'audio/x-flac',     // FLAC
-      'audio/wav',        // WAV
-      'audio/x-wav',      // WAV
-      'audio/ogg',        // OGG
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error(`Invalid file type: ${file.mimetype}. Allowed: MP3, M4A, AAC, FLAC, WAV, OGG`));
-    }
+    fileSize: MAX_FILE_SIZE,
   }
 });
 
-// Configure R2 client
-const r2Client = new S3Client({
-  region: 'auto',
-  endpoint: `https://${process.env.R2_ACCOUNT_ID}.r2.cloudflarestorage.com`,
-  credentials: {
-    accessKeyId: process.env.R2_ACCESS_KEY_ID,
-    secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
-  },
+// Archives are stored whole in UPLOAD_TMP_DIR; their tracks are extracted from there
+const archiveUpload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_TMP_DIR,
+    filename: (req, file, cb) => cb(null, `archive-${uuidv4()}`)
+  }),
+  limits: {
+    fileSize: MAX_ARCHIVE_SIZE,
+  }
 });
 
-// Get file extension from mimetype
-const getExtension = (mimetype) => {
-  const map = {
-    'audio/mpeg': 'mp3',
-    'audio/mp4': 'm4a',
-    'audio/x-m4a': 'm4a',
-    'audio/aac': 'aac',
-    'audio/flac': 'flac',
-    'audio/x-flac': 'flac',
-    'audio/wav': 'wav',
-    'audio/x-wav': 'wav',
-    'audio/ogg': 'ogg',
-  };
-  return map[mimetype] || 'mp3';
+// Remaining storage for the request (req.uploadBudget stops the upload stream once it is used up)
+const checkStorageBudget = async (req, res, next) => {
+  try {
+    const result = await query(
+      'SELECT storage_used, storage_reserved, storage_limit FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+    req.storageUsage = {
+      storage_used: parseInt(user.storage_used) || 0,
+      storage_reserved: parseInt(user.storage_reserved) || 0,
+      storage_limit: parseInt(user.storage_limit) || 0
+    };
+    req.uploadBudget = req.storageUsage.storage_limit - req.storageUsage.storage_used - req.storageUsage.storage_reserved;
+    next();
+
+  } catch (error) {
+    console.error('Storage check error:', error);
+    res.status(500).json({ error: 'Failed to check storage' });
+  }
+};
+
+// Run a multer middleware, answering storage limit errors with the user's usage
+const receiveFiles = (middleware) => (req, res, next) => {
+  middleware(req, res, (err) => {
+    if (err && err.code === 'STORAGE_LIMIT') {
+      return res.status(400).json({ error: err.message, ...req.storageUsage });
+    }
+    next(err);
+  });
+};
+
+const receiveArchive = (req, res, next) => {
+  archiveUpload.single('file')(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Archive too large (max ${MAX_ARCHIVE_SIZE} bytes)` });
+    }
+    next(err);
+  });
 };
 
 /**
  * POST /api/upload
  * Upload music file
+ *
+ * Query: duplicates = reject | skip | keep (defaults to the user's duplicate_policy)
  */
-router.post('/', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/', authenticateToken, checkStorageBudget, receiveFiles(upload.single('file')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file provided' });
     }
 
-    // Check storage limit
-    const userResult = await query(
-      'SELECT storage_used, storage_limit FROM users WHERE id = $1',
-      [req.user.id]
-    );
+    // Duplicate check
+    const policy = await getDuplicatePolicy(req.user.id, req.query.duplicates);
 
-    const user = userResult.rows[0];
-    const storageUsed = parseInt(user.storage_used) || 0;
-    const storageLimit = parseInt(user.storage_limit) || 0;
-    const newStorageUsed = storageUsed + req.file.size;
+    if (policy !== 'keep') {
+      const duplicate = await findDuplicate(req.user.id, req.file.contentHash);
+
+      if (duplicate) {
+        const [existing] = await signPlaybackUrls(req.user.id, [duplicate]);
+
+        if (policy === 'reject') {
+          return res.status(409).json({
+            error: 'This file is already in your library',
+            song: existing
+          });
+        }
 
-    if (newStorageUsed > storageLimit) {
+        return res.json({
+          message: 'Duplicate skipped',
+          duplicate: true,
+          song: existing
+        });
+      }
+    }
+
+    const created = await createSong(req.user.id, req.file);
+
+    if (!created) {
       return res.status(400).json({
         error: 'Storage limit exceeded',
-        storage_used: storageUsed,
-        storage_limit: storageLimit,
+        ...req.storageUsage,
         file_size: req.file.size
       });
     }
 
-    // Extract metadata from audio file
-    let metadata = {};
-    try {
-      const parsed = await mm.parseBuffer(req.file.buffer, req.file.mimetype);
-      metadata = {
-        title: parsed.common.title || req.file.originalname.replace(/\.[^/.]+$/, ''),
-        artist: parsed.common.artist || 'Unknown Artist',
-        album: parsed.common.album || 'Unknown Album',
-        track_number: parsed.common.track?.no || null,
-        year: parsed.common.year || null,
-        genre: parsed.common.genre?.[0] || null,
-        duration: Math.round(parsed.format.duration) || 0,
-      };
-    } catch (metaError) {
-      console.error('Metadata extraction error:', metaError.message);
-      metadata = {
-        title: req.file.originalname.replace(/\.[^/.]+$/, ''),
-        artist: 'Unknown Artist',
-        album: 'Unknown Album',
-        duration: 0,
-      };
-    }
-
-    // Generate unique filename
-    const fileId = uuidv4();
-    const extension = getExtension(req.file.mimetype);
-    const fileName = `${req.user.id}/${fileId}.${extension}`;
-
-    // Upload to R2
-    const uploadCommand = new PutObjectCommand({
-      Bucket: process.env.R2_BUCKET_NAME,
-      Key: fileName,
-      Body: req.file.buffer,
-      ContentType: req.file.mimetype,
-    });
-
-    await r2Client.send(uploadCommand);
-
-    const fileUrl = `${process.env.R2_PUBLIC_URL}/${fileName}`;
-
-    // Save to database
-    const songResult = await query(`
-      INSERT INTO songs (user_id, title, artist, album, track_number, duration, year, genre, file_url, file_size, format)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-      RETURNING *
-    `, [
-      req.user.id,
-      metadata.title,
-      metadata.artist,
-      metadata.album,
-      metadata.track_number,
-      metadata.duration,
-      metadata.year,
-      metadata.genre,
-      fileUrl,
-      req.file.size,
-      extension
-    ]);
-
-    // Update user storage
-    await query(
-      'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
-      [req.file.size, req.user.id]
-    );
+    const [song] = await signPlaybackUrls(req.user.id, [created]);
 
     res.status(201).json({
       message: 'Upload successful',
-      song: songResult.rows[0]
+      song
     });
 
   } catch (error) {
+    if (error.code === 'UNSUPPORTED_AUDIO') {
+      return res.status(415).json({ error: error.message });
+    }
     console.error('Upload error:', error);
     res.status(500).json({ error: 'Upload failed: ' + error.message });
+  } finally {
+    // Anything not committed above (duplicates, failures) is dropped
+    await discardUpload(req.file);
   }
 });
 
 /**
  * POST /api/upload/batch
  * Upload multiple files
+ *
+ * Query: duplicates = reject | skip | keep (defaults to the user's duplicate_policy)
  */
-router.post('/batch', authenticateToken, upload.array('files', 50), async (req, res) => {
+router.post('/batch', authenticateToken, checkStorageBudget, receiveFiles(upload.array('files', 50)), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No files provided' });
     }
 
-    // Check total size against limit
-    const totalSize = req.files.reduce((sum, file) => sum + file.size, 0);
-
-    const userResult = await query(
-      'SELECT storage_used, storage_limit FROM users WHERE id = $1',
-      [req.user.id]
-    );
-
-    const user = userResult.rows[0];
-    const storageUsed = parseInt(user.storage_used) || 0;
-    const storageLimit = parseInt(user.storage_limit) || 0;
-
-    if (storageUsed + totalSize > storageLimit) {
-      return res.status(400).json({
-        error: 'Storage limit would be exceeded',
-        storage_available: storageLimit - storageUsed,
-        upload_size: totalSize
-      });
-    }
+    const policy = await getDuplicatePolicy(req.user.id, req.query.duplicates);
 
     const results = {
       successful: [],
+      skipped: [],
       failed: []
     };
 
+    // Hashes uploaded earlier in this batch
+    const batchHashes = new Map();
+
     // Process each file
     for (const file of req.files) {
       try {
-        // Extract metadata
-        let metadata = {};
-        try {
-          const parsed = await mm.parseBuffer(file.buffer, file.mimetype);
-          metadata = {
-            title: parsed.common.title || file.originalname.replace(/\.[^/.]+$/, ''),
-            artist: parsed.common.artist || 'Unknown Artist',
-            album: parsed.common.album || 'Unknown Album',
-            track_number: parsed.common.track?.no || null,
-            year: parsed.common.year || null,
-            genre: parsed.common.genre?.[0] || null,
-            duration: Math.round(parsed.format.duration) || 0,
-          };
-        } catch {
-          metadata = {
-            title: file.originalname.replace(/\.[^/.]+$/, ''),
-            artist: 'Unknown Artist',
-            album: 'Unknown Album',
-            duration: 0,
-          };
+        const { contentHash } = file;
+
+        if (policy !== 'keep') {
+          const duplicate = batchHashes.get(contentHash) || await findDuplicate(req.user.id, contentHash);
+
+          if (duplicate) {
+            if (policy === 'reject') {
+              results.failed.push({
+                filename: file.originalname,
+                error: 'Duplicate of a song already in your library',
+                duplicate_of: duplicate.id
+              });
+            } else {
+              results.skipped.push({
+                filename: file.originalname,
+                duplicate_of: duplicate.id
+              });
+            }
+            continue;
+          }
+        }
+
+        const song = await createSong(req.user.id, file);
+
+        if (!song) {
+          results.failed.push({
+            filename: file.originalname,
+            error: 'Storage limit exceeded'
+          });
+          continue;
         }
 
-        // Upload to R2
-        const fileId = uuidv4();
-        const extension = getExtension(file.mimetype);
-        const fileName = `${req.user.id}/${fileId}.${extension}`;
-
-        await r2Client.send(new PutObjectCommand({
-          Bucket: process.env.R2_BUCKET_NAME,
-          Key: fileName,
-          Body: file.buffer,
-          ContentType: file.mimetype,
-        }));
-
-        const fileUrl = `${process.env.R2_PUBLIC_URL}/${fileName}`;
-
-        // Save to database
-        const songResult = await query(`
-          INSERT INTO songs (user_id, title, artist, album, track_number, duration, year, genre, file_url, file_size, format)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-          RETURNING *
-        `, [
-          req.user.id,
-          metadata.title,
-          metadata.artist,
-          metadata.album,
-          metadata.track_number,
-          metadata.duration,
-          metadata.year,
-          metadata.genre,
-          fileUrl,
-          file.size,
-          extension
-        ]);
-
-        results.successful.push(songResult.rows[0]);
+        batchHashes.set(contentHash, song);
+        results.successful.push(song);
 
       } catch (fileError) {
         results.failed.push({
@@ -275,23 +237,432 @@ router.post('/batch', authenticateToken, upload.array('files', 50), async (req,
       }
     }
 
-    // Update user storage (only for successful uploads)
-    const uploadedSize = results.successful.reduce((sum, song) => sum + (parseInt(song.file_size) || 0), 0);
-    if (uploadedSize > 0) {
-      await query(
-        'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
-        [uploadedSize, req.user.id]
-      );
-    }
-
     res.status(201).json({
       message: `Uploaded ${results.successful.length} of ${req.files.length} files`,
-      ...results
+      successful: await signPlaybackUrls(req.user.id, results.successful),
+      skipped: results.skipped,
+      failed: results.failed
     });
 
   } catch (error) {
     console.error('Batch upload error:', error);
     res.status(500).json({ error: 'Batch upload failed' });
+  } finally {
+    await Promise.all((req.files || []).map(discardUpload));
+  }
+});
+
+/**
+ * POST /api/upload/archive
+ * Import a ZIP or tar (.tar.gz too) of audio files, e.g. a whole album or box set
+ *
+ * Form field: file. Query: duplicates = reject | skip | keep (defaults to the user's duplicate_policy)
+ * Responds like POST /api/upload/batch (failed entries named by their path in the archive),
+ * plus ignored: entries that are neither tracks nor folder artwork.
+ */
+router.post('/archive', authenticateToken, checkStorageBudget, receiveArchive, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file provided' });
+    }
+
+    const policy = await getDuplicatePolicy(req.user.id, req.query.duplicates);
+    const results = await importArchive(req.user.id, req.file.path, {
+      budget: req.uploadBudget,
+      duplicatePolicy: policy
+    });
+
+    res.status(201).json({
+      message: `Imported ${results.successful.length} of ${results.total} tracks`,
+      successful: await signPlaybackUrls(req.user.id, results.successful),
+      skipped: results.skipped,
+      failed: results.failed,
+      ignored: results.ignored
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_ARCHIVE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Archive upload error:', error);
+    res.status(500).json({ error: 'Archive import failed' });
+  } finally {
+    if (req.file) {
+      await fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+});
+
+// Session owned by the user (any status), for /complete and /abort
+const findUploadSession = async (userId, sessionId) => {
+  const result = await query(
+    'SELECT * FROM upload_sessions WHERE id = $1 AND user_id = $2',
+    [sessionId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * POST /api/upload/init
+ * Start a direct upload: reserve quota and get presigned URL(s) to upload the file to storage
+ *
+ * Body: { filename, content_type, size } (content_type, or failing that the filename's extension,
+ * only names the object: /complete checks the uploaded bytes)
+ * Files up to 32MB get a single PUT url (send the returned headers), larger ones one url per
+ * part of part_size bytes (keep each part's ETag). Call /complete once the upload is done.
+ */
+router.post('/init', authenticateToken, checkStorageBudget, async (req, res) => {
+  try {
+    const { filename, content_type: contentType } = req.body;
+    const size = Number(req.body.size);
+
+    if (typeof filename !== 'string' || !filename.trim() || filename.length > 255) {
+      return res.status(400).json({ error: 'filename is required (max 255 characters)' });
+    }
+
+    const format = guessAudioFormat(contentType, filename);
+    if (!format) {
+      return res.status(400).json({ error: unsupportedAudioMessage(filename) });
+    }
+
+    if (!Number.isInteger(size) || size <= 0 || size > MAX_FILE_SIZE) {
+      return res.status(400).json({ error: `size must be between 1 and ${MAX_FILE_SIZE} bytes` });
+    }
+
+    const storageLimitResponse = {
+      error: 'Storage limit exceeded',
+      ...req.storageUsage,
+      file_size: size
+    };
+
+    if (size > req.uploadBudget) {
+      return res.status(400).json(storageLimitResponse);
+    }
+
+    const created = await createUploadSession(req.user.id, {
+      key: `${req.user.id}/${uuidv4()}.${AUDIO_FORMATS[format].extension}`,
+      filename: filename.trim(),
+      contentType: AUDIO_FORMATS[format].contentType,
+      size
+    });
+
+    if (created.error) {
+      return res.status(400).json(storageLimitResponse);
+    }
+
+    const { session } = created;
+    const response = {
+      upload_id: session.id,
+      expires_at: session.expires_at,
+      method: 'PUT'
+    };
+
+    if (created.url) {
+      response.url = created.url;
+      response.headers = { 'Content-Type': session.content_type };
+    } else {
+      response.part_size = session.part_size;
+      response.parts = created.parts;
+    }
+
+    res.status(201).json(response);
+
+  } catch (error) {
+    console.error('Upload init error:', error);
+    res.status(500).json({ error: 'Failed to start upload' });
+  }
+});
+
+/**
+ * POST /api/upload/complete
+ * Finish a direct upload: verify the uploaded object, read its tags and create the song
+ *
+ * Body: { upload_id }
+ * Query: duplicates = reject | skip | keep (defaults to the user's duplicate_policy)
+ * Responds like POST /api/upload. 409 while parts are still missing (upload them and retry).
+ */
+router.post('/complete', authenticateToken, checkStorageBudget, async (req, res) => {
+  const { upload_id: uploadId } = req.body;
+  let session = null;
+  let file = null;
+
+  try {
+    if (typeof uploadId !== 'string' || !UUID_PATTERN.test(uploadId)) {
+      return res.status(400).json({ error: 'Invalid upload_id' });
+    }
+
+    session = await claimUploadSession(req.user.id, uploadId);
+
+    if (!session) {
+      const existing = await findUploadSession(req.user.id, uploadId);
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Upload not found' });
+      }
+
+      // A retried /complete gets the song it already created
+      if (existing.status === 'completed' && existing.song_id) {
+        const songResult = await query(
+          'SELECT * FROM songs WHERE id = $1 AND deleted_at IS NULL',
+          [existing.song_id]
+        );
+        if (songResult.rows.length > 0) {
+          const [song] = await signPlaybackUrls(req.user.id, songResult.rows);
+          return res.json({ message: 'Upload successful', song });
+        }
+      }
+
+      if (existing.status === 'completing') {
+        return res.status(409).json({ error: 'Upload is already being completed' });
+      }
+
+      return res.status(410).json({
+        error: existing.status === 'pending' ? 'Upload expired' : `Upload ${existing.status}`,
+        reason: existing.error || undefined
+      });
+    }
+
+    const finished = await finishUpload(session);
+
+    if (finished.error) {
+      if (finished.retry) {
+        await reopenUploadSession(session);
+        return res.status(409).json({ error: finished.error });
+      }
+
+      await closeUploadSession(session, 'failed', finished.error);
+      return res.status(400).json({ error: finished.error });
+    }
+
+    file = finished.file;
+
+    // Duplicate check
+    const policy = await getDuplicatePolicy(req.user.id, req.query.duplicates);
+
+    if (policy !== 'keep') {
+      const duplicate = await findDuplicate(req.user.id, file.contentHash);
+
+      if (duplicate) {
+        await closeUploadSession(session, 'aborted', 'Duplicate');
+        const [existing] = await signPlaybackUrls(req.user.id, [duplicate]);
+
+        if (policy === 'reject') {
+          return res.status(409).json({
+            error: 'This file is already in your library',
+            song: existing
+          });
+        }
+
+        return res.json({
+          message: 'Duplicate skipped',
+          duplicate: true,
+          song: existing
+        });
+      }
+    }
+
+    const created = await createSong(req.user.id, file, { reserved: parseInt(session.size) });
+
+    if (!created) {
+      await closeUploadSession(session, 'failed', 'Storage limit exceeded');
+      return res.status(400).json({
+        error: 'Storage limit exceeded',
+        ...req.storageUsage,
+        file_size: file.size
+      });
+    }
+
+    await completeUploadSession(session, created.id);
+
+    const [song] = await signPlaybackUrls(req.user.id, [created]);
+
+    res.status(201).json({
+      message: 'Upload successful',
+      song
+    });
+
+  } catch (error) {
+    if (session) {
+      await closeUploadSession(session, 'failed', error.message).catch(() => {});
+    }
+    if (error.code === 'UNSUPPORTED_AUDIO') {
+      return res.status(415).json({ error: error.message });
+    }
+    console.error('Upload complete error:', error);
+    res.status(500).json({ error: 'Upload failed: ' + error.message });
+  } finally {
+    // Only the temp copy; the object belongs to the song or was dropped with the session
+    await discardUpload(file);
+  }
+});
+
+/**
+ * POST /api/upload/abort
+ * Cancel a direct upload, releasing its reserved storage
+ *
+ * Body: { upload_id }
+ */
+router.post('/abort', authenticateToken, async (req, res) => {
+  try {
+    const { upload_id: uploadId } = req.body;
+
+    if (typeof uploadId !== 'string' || !UUID_PATTERN.test(uploadId)) {
+      return res.status(400).json({ error: 'Invalid upload_id' });
+    }
+
+    const session = await findUploadSession(req.user.id, uploadId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    if (session.status !== 'pending' || !(await closeUploadSession(session, 'aborted'))) {
+      return res.status(409).json({ error: `Upload is ${session.status}` });
+    }
+
+    res.json({ message: 'Upload aborted' });
+
+  } catch (error) {
+    console.error('Upload abort error:', error);
+    res.status(500).json({ error: 'Failed to abort upload' });
+  }
+});
+
+/**
+ * POST /api/upload/jobs
+ * Upload files and create their songs in the background
+ *
+ * Query: duplicates = reject | skip | keep (defaults to the user's duplicate_policy)
+ * Responds 202 with the queued job; follow it with GET /api/upload/jobs/:id or the
+ * 'upload:progress' socket event (after 'uploads:subscribe' with the access token).
+ */
+router.post('/jobs', authenticateToken, checkStorageBudget, receiveFiles(upload.array('files', MAX_JOB_FILES)), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files provided' });
+    }
+
+    const policy = await getDuplicatePolicy(req.user.id, req.query.duplicates);
+    const created = await createUploadJob(req.user.id, req.files, policy);
+
+    if (created.error) {
+      return res.status(400).json({ error: created.error, ...req.storageUsage });
+    }
+
+    res.status(202).json({
+      message: `Queued ${req.files.length} files`,
+      job: created.job
+    });
+
+  } catch (error) {
+    console.error('Upload job error:', error);
+    res.status(500).json({ error: 'Failed to queue upload' });
+  } finally {
+    // Files handed to the job are committed and no longer have a temp copy here
+    await Promise.all((req.files || []).map(discardUpload));
+  }
+});
+
+/**
+ * GET /api/upload/jobs
+ * Recent upload jobs
+ */
+router.get('/jobs', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    res.json({ jobs: await listUploadJobs(req.user.id, limit) });
+
+  } catch (error) {
+    console.error('Get upload jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch upload jobs' });
+  }
+});
+
+/**
+ * GET /api/upload/jobs/:id
+ * Job status with per-file results (status, error, song_id, duplicate_of)
+ */
+router.get('/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Upload job not found' });
+    }
+
+    const job = await getUploadJob(req.user.id, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Upload job not found' });
+    }
+
+    res.json({ job });
+
+  } catch (error) {
+    console.error('Get upload job error:', error);
+    res.status(500).json({ error: 'Failed to fetch upload job' });
+  }
+});
+
+/**
+ * POST /api/upload/jobs/:id/retry
+ * Queue failed files again (they are kept, nothing is re-uploaded)
+ *
+ * Body: { fileIds } (optional, defaults to every failed file)
+ */
+router.post('/jobs/:id/retry', authenticateToken, async (req, res) => {
+  try {
+    const { fileIds } = req.body;
+
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Upload job not found' });
+    }
+
+    if (fileIds !== undefined && (!Array.isArray(fileIds) || fileIds.length === 0 || fileIds.length > MAX_JOB_FILES
+      || !fileIds.every(id => typeof id === 'string' && UUID_PATTERN.test(id)))) {
+      return res.status(400).json({ error: 'fileIds must be a non-empty array of file ids' });
+    }
+
+    if (!(await getUploadJob(req.user.id, req.params.id))) {
+      return res.status(404).json({ error: 'Upload job not found' });
+    }
+
+    const result = await retryUploadJob(req.user.id, req.params.id, fileIds || null);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(202).json({
+      message: `Retrying ${result.retried} files`,
+      job: result.job
+    });
+
+  } catch (error) {
+    console.error('Retry upload job error:', error);
+    res.status(500).json({ error: 'Failed to retry upload job' });
+  }
+});
+
+/**
+ * DELETE /api/upload/jobs/:id
+ * Remove a finished job, discarding its failed files (their reserved storage is released)
+ */
+router.delete('/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Upload job not found' });
+    }
+
+    const result = await deleteUploadJob(req.user.id, req.params.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Upload job deleted' });
+
+  } catch (error) {
+    console.error('Delete upload job error:', error);
+    res.status(500).json({ error: 'Failed to delete upload job' });
   }
 });
 
@@ -302,20 +673,22 @@ router.post('/batch', authenticateToken, upload.array('files', 50), async (req,
 router.get('/storage', authenticateToken, async (req, res) => {
   try {
     const result = await query(
-      'SELECT storage_used, storage_limit, plan FROM users WHERE id = $1',
+      'SELECT storage_used, storage_reserved, storage_limit, plan FROM users WHERE id = $1',
       [req.user.id]
     );
 
     const user = result.rows[0];
     const storageUsed = parseInt(user.storage_used) || 0;
+    const storageReserved = parseInt(user.storage_reserved) || 0;
     const storageLimit = parseInt(user.storage_limit) || 0;
 
     res.json({
       storage_used: storageUsed,
+      storage_reserved: storageReserved,
       storage_limit: storageLimit,
       storage_used_gb: (storageUsed / 1073741824).toFixed(2),
       storage_limit_gb: (storageLimit / 1073741824).toFixed(0),
-      storage_available: storageLimit - storageUsed,
+      storage_available: storageLimit - storageUsed - storageReserved,
       percentage_used: ((storageUsed / storageLimit) * 100).toFixed(1),
       plan: user.plan
     });
@@ -0,0 +1,38 @@
+/**
+ * Album Service
+ * Album identity: one albums row per (user, title, artist), songs point at it through album_id
+ */
+
+const { query } = require('../config/database');
+
+/**
+ * Find or create the album for a song's album/artist tags (null for songs without an album)
+ */
+const resolveAlbumId = async (userId, album, artist) => {
+  if (!album) return null;
+
+  const result = await query(`
+    INSERT INTO albums (user_id, title, artist)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (user_id, title, artist) DO UPDATE SET title = EXCLUDED.title
+    RETURNING id
+  `, [userId, album, artist || '']);
+
+  return result.rows[0].id;
+};
+
+/**
+ * Remove a user's albums that no longer have any songs
+ */
+const pruneEmptyAlbums = async (userId) => {
+  await query(`
+    DELETE FROM albums a
+    WHERE a.user_id = $1
+      AND NOT EXISTS (SELECT 1 FROM songs s WHERE s.album_id = a.id)
+  `, [userId]);
+};
+
+module.exports = {
+  resolveAlbumId,
+  pruneEmptyAlbums
+};
@@ -0,0 +1,425 @@
+/**
+ * Archive Import
+ * Whole albums from one ZIP or tar (optionally gzipped) upload: POST /api/upload/archive
+ *
+ * Entries are extracted to temp files under generated names, so entry paths never reach the
+ * filesystem (archives with absolute or ../ paths are refused outright). Extraction is capped by
+ * entry and track counts, MAX_FILE_SIZE per track, the bytes the archive may inflate to (folder
+ * artwork included) and the user's free storage. Sizes are checked before an entry is read; yauzl
+ * verifies ZIP entries against them and tar entries are exactly their header size, while inflated
+ * gzip is counted.
+ *
+ * Tracks are then imported one by one in path order, through the same song creation as a batch
+ * upload. Images named like cover.jpg or folder.png become the artwork of the tracks below their
+ * folder that have none.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline, Transform } = require('stream');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+const { v4: uuidv4 } = require('uuid');
+const { createObjectWriter } = require('../config/storage');
+const { AUDIO_FORMATS, unsupportedAudioMessage, sniffAudioFile, guessAudioFormat, hashAudioFile } = require('./audio_formats');
+const { MAX_FILE_SIZE, findDuplicate, createSong } = require('./song_import');
+const { UPLOAD_TMP_DIR, discardUpload } = require('./upload_storage');
+const { saveArtwork } = require('./artwork');
+
+const MAX_ARCHIVE_SIZE = 2 * 1024 * 1024 * 1024; // 2GB upload
+const MAX_ARCHIVE_ENTRIES = 5000;
+const MAX_ARCHIVE_TRACKS = 1000;
+const MAX_EXTRACTED_SIZE = 4 * 1024 * 1024 * 1024;
+const MAX_COVER_SIZE = 20 * 1024 * 1024;
+
+// Folder artwork, best name first
+const COVER_NAMES = ['cover', 'folder', 'front', 'album', 'albumart'];
+const COVER_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp'];
+
+// Rejects the whole archive (bad format, unsafe paths, too big)
+const archiveError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_ARCHIVE';
+  error.status = 400;
+  return error;
+};
+
+// 'zip', 'tar', 'tar.gz' or null, from the first bytes
+const detectArchiveType = async (archivePath) => {
+  const handle = await fs.promises.open(archivePath, 'r');
+  try {
+    const head = Buffer.alloc(512);
+    const { bytesRead } = await handle.read(head, 0, head.length, 0);
+
+    if (bytesRead >= 4 && head.readUInt32LE(0) === 0x04034b50) return 'zip';
+    // Empty ZIP: only the end of central directory record
+    if (bytesRead >= 4 && head.readUInt32LE(0) === 0x06054b50) return 'zip';
+    if (bytesRead >= 2 && head[0] === 0x1f && head[1] === 0x8b) return 'tar.gz';
+    if (bytesRead >= 262 && head.toString('latin1', 257, 262) === 'ustar') return 'tar';
+    return null;
+  } finally {
+    await handle.close();
+  }
+};
+
+// Normalized entry path; throws for absolute paths and ones climbing out with ..
+const safeEntryPath = (name) => {
+  const normalized = name.replace(/\\/g, '/');
+  const parts = normalized.split('/').filter(part => part && part !== '.');
+
+  if (normalized.startsWith('/') || /^[a-z]:/i.test(normalized) || parts.includes('..')) {
+    throw archiveError(`Archive contains an unsafe path: ${name}`);
+  }
+  return parts.join('/');
+};
+
+// Mac metadata (__MACOSX/, ._ AppleDouble files, .DS_Store) and other dotfiles
+const isHidden = (entryPath) => entryPath.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+
+const coverRank = (entryPath) => {
+  const [base, extension] = path.posix.basename(entryPath).toLowerCase().split(/\.(?=[^.]+$)/);
+  if (!COVER_EXTENSIONS.includes(extension)) return -1;
+  return COVER_NAMES.indexOf(base);
+};
+
+/**
+ * Entries of a ZIP: { name, type: 'file' | 'directory' | 'other', size, open() -> readable }
+ */
+const zipEntries = async function* (archivePath) {
+  const zip = await new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true, autoClose: false }, (error, opened) => (
+      error ? reject(archiveError(`Invalid ZIP archive: ${error.message}`)) : resolve(opened)
+    ));
+  });
+
+  const nextEntry = () => new Promise((resolve, reject) => {
+    const done = (error, entry) => {
+      zip.removeListener('entry', onEntry);
+      zip.removeListener('end', onEnd);
+      zip.removeListener('error', onError);
+      if (error) reject(archiveError(`Invalid ZIP archive: ${error.message}`));
+      else resolve(entry);
+    };
+    const onEntry = (entry) => done(null, entry);
+    const onEnd = () => done(null, null);
+    const onError = (error) => done(error);
+
+    zip.on('entry', onEntry);
+    zip.on('end', onEnd);
+    zip.on('error', onError);
+    zip.readEntry();
+  });
+
+  try {
+    if (zip.entryCount > MAX_ARCHIVE_ENTRIES) {
+      throw archiveError(`Archive has more than ${MAX_ARCHIVE_ENTRIES} entries`);
+    }
+
+    let entry;
+    while ((entry = await nextEntry())) {
+      const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+      const type = entry.fileName.endsWith('/') ? 'directory' : (mode && mode !== 0o100000 ? 'other' : 'file');
+
+      yield {
+        name: entry.fileName,
+        type,
+        size: entry.uncompressedSize,
+        open: () => new Promise((resolve, reject) => {
+          zip.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+        })
+      };
+    }
+  } finally {
+    zip.close();
+  }
+};
+
+/**
+ * Entries of a tar (gzipped or not), same shape as zipEntries. Entries are read in order,
+ * so whatever the caller leaves unread is drained before the next one.
+ */
+const tarEntries = async function* (archivePath, gzipped) {
+  const extract = tar.extract();
+  let inflated = 0;
+
+  const counter = new Transform({
+    transform: (chunk, encoding, cb) => {
+      inflated += chunk.length;
+      cb(inflated > MAX_EXTRACTED_SIZE ? archiveError(`Archive expands past ${MAX_EXTRACTED_SIZE} bytes`) : null, chunk);
+    }
+  });
+
+  const source = fs.createReadStream(archivePath);
+  const streams = [source, ...(gzipped ? [zlib.createGunzip()] : []), counter];
+  pipeline(...streams, (error) => {
+    if (error) extract.destroy(error.code === 'INVALID_ARCHIVE' ? error : archiveError(`Invalid tar archive: ${error.message}`));
+  }).pipe(extract);
+
+  let count = 0;
+  try {
+    for await (const entry of extract) {
+      if (++count > MAX_ARCHIVE_ENTRIES) {
+        throw archiveError(`Archive has more than ${MAX_ARCHIVE_ENTRIES} entries`);
+      }
+
+      const { name, type, size } = entry.header;
+      yield {
+        name,
+        type: type === 'file' || type === 'directory' ? type : 'other',
+        size,
+        open: async () => entry
+      };
+
+      // Drain whatever the caller didn't read
+      for await (const chunk of entry) void chunk;
+    }
+  } catch (error) {
+    throw error.code === 'INVALID_ARCHIVE' ? error : archiveError(`Invalid tar archive: ${error.message}`);
+  } finally {
+    source.destroy();
+  }
+};
+
+// Copy an entry to a temp file. Returns { path, size }
+const extractToTemp = async (entry) => {
+  const stream = await entry.open();
+  const tempPath = path.join(UPLOAD_TMP_DIR, `archive-${uuidv4()}`);
+  const out = fs.createWriteStream(tempPath);
+  let size = 0;
+
+  try {
+    for await (const chunk of stream) {
+      size += chunk.length;
+      if (size > entry.size) throw new Error('Entry is larger than the archive says');
+
+      if (!out.write(chunk)) await once(out, 'drain');
+    }
+    out.end();
+    await once(out, 'finish');
+  } catch (error) {
+    out.destroy();
+    if (!out.closed) await once(out, 'close');
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+
+  return { path: tempPath, size };
+};
+
+const removeTemp = (files) => Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+
+// Artwork for a track: its folder's cover, else the nearest parent folder's (e.g. a box set's)
+const findCover = (covers, name) => {
+  let folder = path.posix.dirname(name);
+  while (true) {
+    if (covers.has(folder)) return covers.get(folder);
+    if (folder === '.') return null;
+    folder = path.posix.dirname(folder);
+  }
+};
+
+/**
+ * Extract an archive's tracks and folder artwork. Returns { tracks, covers, failed, ignored };
+ * tracks: { name, path, size }, covers: Map of folder -> { path, size, rank } (only folders
+ * some track takes its artwork from), all temp files the caller removes. Throws INVALID_ARCHIVE errors.
+ */
+const extractArchive = async (archivePath, budget) => {
+  const type = await detectArchiveType(archivePath);
+  if (!type) {
+    throw archiveError('Not a ZIP or tar archive');
+  }
+
+  const entries = type === 'zip' ? zipEntries(archivePath) : tarEntries(archivePath, type === 'tar.gz');
+  const tracks = [];
+  const covers = new Map();
+  const failed = [];
+  const ignored = [];
+  // Bytes written to temp files (tracks and covers), and those of the tracks alone
+  let extracted = 0;
+  let trackBytes = 0;
+
+  try {
+    for await (const entry of entries) {
+      const name = safeEntryPath(entry.name);
+      if (entry.type === 'directory' || !name || isHidden(name)) continue;
+
+      if (entry.type !== 'file') {
+        ignored.push(name);
+        continue;
+      }
+
+      // Folder artwork (the best named image in each folder wins)
+      const rank = coverRank(name);
+      const folder = path.posix.dirname(name);
+      if (rank >= 0) {
+        const current = covers.get(folder);
+        if (entry.size <= MAX_COVER_SIZE && extracted + entry.size <= MAX_EXTRACTED_SIZE && (!current || rank < current.rank)) {
+          const cover = await extractToTemp(entry);
+          extracted += cover.size;
+          covers.set(folder, { ...cover, rank });
+          if (current) await removeTemp([current]);
+        }
+        continue;
+      }
+
+      if (!guessAudioFormat(null, name)) {
+        ignored.push(name);
+        continue;
+      }
+
+      if (tracks.length + failed.length >= MAX_ARCHIVE_TRACKS) {
+        throw archiveError(`Archive has more than ${MAX_ARCHIVE_TRACKS} tracks`);
+      }
+
+      if (entry.size > MAX_FILE_SIZE) {
+        failed.push({ filename: name, error: `File too large (max ${MAX_FILE_SIZE} bytes)` });
+        continue;
+      }
+
+      if (trackBytes + entry.size > budget) {
+        failed.push({ filename: name, error: 'Storage limit exceeded' });
+        continue;
+      }
+
+      if (extracted + entry.size > MAX_EXTRACTED_SIZE) {
+        failed.push({ filename: name, error: `Archive expands past ${MAX_EXTRACTED_SIZE} bytes` });
+        continue;
+      }
+
+      try {
+        const track = await extractToTemp(entry);
+        extracted += track.size;
+        trackBytes += track.size;
+        tracks.push({ name, ...track });
+      } catch (entryError) {
+        if (entryError.code === 'INVALID_ARCHIVE') throw entryError;
+        failed.push({ filename: name, error: `Could not extract: ${entryError.message}` });
+      }
+    }
+  } catch (error) {
+    await removeTemp([...tracks, ...covers.values()]);
+    throw error;
+  }
+
+  // Covers of folders without tracks (scans, booklets) are never used
+  const used = new Set(tracks.map(track => findCover(covers, track.name)));
+  for (const [folder, cover] of covers) {
+    if (used.has(cover)) continue;
+    covers.delete(folder);
+    await removeTemp([cover]);
+  }
+
+  tracks.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  return { tracks, covers, failed, ignored };
+};
+
+// Artwork row id for a cover (null when it isn't a usable image), saved once per cover
+const saveCover = async (userId, cover, saved) => {
+  if (!saved.has(cover)) {
+    try {
+      const artwork = await saveArtwork(userId, await fs.promises.readFile(cover.path));
+      saved.set(cover, artwork.id);
+    } catch (artError) {
+      console.error('Artwork extraction error:', artError.message);
+      saved.set(cover, null);
+    }
+  }
+  return saved.get(cover);
+};
+
+/**
+ * Import every track in an archive for a user.
+ * Options: budget (bytes the user may still store), duplicatePolicy (reject | skip | keep).
+ * Returns { successful (songs), skipped, failed, ignored } like a batch upload, plus the track count.
+ * Throws INVALID_ARCHIVE errors (status 400) for archives that can't be imported at all.
+ */
+const importArchive = async (userId, archivePath, { budget, duplicatePolicy }) => {
+  const { tracks, covers, failed, ignored } = await extractArchive(archivePath, budget);
+  const results = { total: tracks.length + failed.length, successful: [], skipped: [], failed, ignored };
+  // Hashes imported earlier from this archive
+  const archiveHashes = new Map();
+  const savedCovers = new Map();
+
+  try {
+    for (const track of tracks) {
+      let file = { path: track.path };
+
+      try {
+        const format = await sniffAudioFile(track.path);
+        if (!format) {
+          results.failed.push({ filename: track.name, error: unsupportedAudioMessage(path.posix.basename(track.name)) });
+          continue;
+        }
+
+        const contentHash = await hashAudioFile(track.path, format);
+
+        if (duplicatePolicy !== 'keep') {
+          const duplicate = archiveHashes.get(contentHash) || await findDuplicate(userId, contentHash);
+
+          if (duplicate) {
+            if (duplicatePolicy === 'reject') {
+              results.failed.push({
+                filename: track.name,
+                error: 'Duplicate of a song already in your library',
+                duplicate_of: duplicate.id
+              });
+            } else {
+              results.skipped.push({ filename: track.name, duplicate_of: duplicate.id });
+            }
+            continue;
+          }
+        }
+
+        const { extension, contentType } = AUDIO_FORMATS[format];
+        const upload = createObjectWriter(`${userId}/${uuidv4()}.${extension}`, contentType);
+        file = {
+          originalname: path.posix.basename(track.name),
+          mimetype: contentType,
+          format,
+          key: upload.key,
+          size: track.size,
+          contentHash,
+          path: track.path,
+          upload
+        };
+
+        for await (const chunk of fs.createReadStream(track.path)) {
+          await upload.write(chunk);
+        }
+
+        const cover = findCover(covers, track.name);
+        const song = await createSong(userId, file, {
+          artworkId: cover ? await saveCover(userId, cover, savedCovers) : null
+        });
+
+        if (!song) {
+          results.failed.push({ filename: track.name, error: 'Storage limit exceeded' });
+          continue;
+        }
+
+        archiveHashes.set(contentHash, song);
+        results.successful.push(song);
+
+      } catch (trackError) {
+        if (trackError.code !== 'UNSUPPORTED_AUDIO') {
+          console.error(`Archive track ${track.name} failed:`, trackError.message);
+        }
+        results.failed.push({ filename: track.name, error: trackError.message });
+      } finally {
+        // Committed objects belong to their song; anything else (and the temp file) goes
+        await discardUpload(file);
+      }
+    }
+  } finally {
+    await removeTemp([...covers.values()]);
+  }
+
+  return results;
+};
+
+module.exports = {
+  MAX_ARCHIVE_SIZE,
+  importArchive
+};
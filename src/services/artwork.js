@@ -0,0 +1,84 @@
+/**
+ * Artwork Service
+ * Cover art stored once per image (deduplicated by hash) with resized variants in R2
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { PutObjectCommand } = require('@aws-sdk/client-s3');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const { r2Client, BUCKET } = require('../config/storage');
+
+// Resized variants (longest edge in px)
+const ARTWORK_SIZES = {
+  thumbnail: 150,
+  medium: 500,
+  full: 1200
+};
+
+const getArtworkKey = (userId, artworkId, size) => `${userId}/artwork/${artworkId}/${size}.jpg`;
+
+// Public path served by routes/artwork.js (ids are random UUIDs, so no auth needed for <img> tags)
+const getArtworkUrl = (artworkId, size = 'medium') => `/api/artwork/${artworkId}/${size}`;
+
+/**
+ * Save an image for a user and return its artwork row.
+ * Identical images (same SHA-256) are stored once and reused.
+ */
+const saveArtwork = async (userId, imageBuffer) => {
+  const contentHash = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+
+  const existing = await query(
+    'SELECT * FROM artwork WHERE user_id = $1 AND content_hash = $2',
+    [userId, contentHash]
+  );
+  if (existing.rows.length > 0) {
+    return existing.rows[0];
+  }
+
+  // Throws on anything that isn't a decodable image
+  const { width, height } = await sharp(imageBuffer).metadata();
+
+  const artworkId = uuidv4();
+
+  for (const [size, px] of Object.entries(ARTWORK_SIZES)) {
+    const resized = await sharp(imageBuffer)
+      .rotate()
+      .resize(px, px, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toBuffer();
+
+    await r2Client.send(new PutObjectCommand({
+      Bucket: BUCKET,
+      Key: getArtworkKey(userId, artworkId, size),
+      Body: resized,
+      ContentType: 'image/jpeg',
+    }));
+  }
+
+  const result = await query(`
+    INSERT INTO artwork (id, user_id, content_hash, width, height)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (user_id, content_hash) DO NOTHING
+    RETURNING *
+  `, [artworkId, userId, contentHash, width || null, height || null]);
+
+  // Lost a race with a concurrent upload of the same image (our objects are left for the reconcile job)
+  if (result.rows.length === 0) {
+    const winner = await query(
+      'SELECT * FROM artwork WHERE user_id = $1 AND content_hash = $2',
+      [userId, contentHash]
+    );
+    return winner.rows[0];
+  }
+
+  return result.rows[0];
+};
+
+module.exports = {
+  ARTWORK_SIZES,
+  getArtworkKey,
+  getArtworkUrl,
+  saveArtwork
+};
@@ -0,0 +1,478 @@
+/**
+ * Audio Formats
+ * Supported upload formats, told apart by their magic bytes rather than the client's content type
+ *
+ * detectAudioFormat() looks at the start of a file (past any ID3v2 tags) to pick the container,
+ * searching a little further for MPEG frames (encoders and rippers may leave padding or junk first);
+ * song import then parses it with music-metadata, which settles what the magic bytes can't
+ * (ALAC vs AAC in an MP4 container) and rejects files that only look like audio.
+ *
+ * hashAudioFile() gives the duplicate-detection hash: SHA-256 of the audio payload only, so the
+ * same recording with edited tags (ID3, APE, FLAC/Vorbis comments, MP4 metadata) still matches.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Format id -> extension, content type stored on the song (and its R2 object),
+ * declared content types and filename extensions that mean the same format
+ */
+const AUDIO_FORMATS = {
+  mp3: {
+    name: 'MP3',
+    extension: 'mp3',
+    contentType: 'audio/mpeg',
+    aliases: ['audio/mpeg', 'audio/mp3', 'audio/mpeg3', 'audio/x-mpeg', 'audio/x-mp3'],
+    extensions: ['mp3']
+  },
+  m4a: {
+    name: 'M4A/AAC',
+    extension: 'm4a',
+    contentType: 'audio/mp4',
+    aliases: ['audio/mp4', 'audio/x-m4a', 'audio/m4a', 'audio/x-mp4'],
+    extensions: ['m4a', 'm4b', 'mp4']
+  },
+  alac: {
+    name: 'ALAC',
+    extension: 'm4a',
+    contentType: 'audio/mp4; codecs="alac"',
+    aliases: [],
+    extensions: []
+  },
+  aac: {
+    name: 'AAC',
+    extension: 'aac',
+    contentType: 'audio/aac',
+    aliases: ['audio/aac', 'audio/x-aac', 'audio/aacp'],
+    extensions: ['aac']
+  },
+  flac: {
+    name: 'FLAC',
+    extension: 'flac',
+    contentType: 'audio/flac',
+    aliases: ['audio/flac', 'audio/x-flac'],
+    extensions: ['flac']
+  },
+  wav: {
+    name: 'WAV',
+    extension: 'wav',
+    contentType: 'audio/wav',
+    aliases: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+    extensions: ['wav']
+  },
+  ogg: {
+    name: 'OGG',
+    extension: 'ogg',
+    contentType: 'audio/ogg',
+    aliases: ['audio/ogg', 'application/ogg', 'audio/vorbis', 'audio/x-vorbis+ogg'],
+    extensions: ['ogg', 'oga']
+  },
+  opus: {
+    name: 'Opus',
+    extension: 'opus',
+    contentType: 'audio/ogg; codecs=opus',
+    aliases: ['audio/opus', 'audio/x-opus+ogg'],
+    extensions: ['opus']
+  },
+  aiff: {
+    name: 'AIFF',
+    extension: 'aiff',
+    contentType: 'audio/aiff',
+    aliases: ['audio/aiff', 'audio/x-aiff'],
+    extensions: ['aiff', 'aif', 'aifc']
+  },
+  wavpack: {
+    name: 'WavPack',
+    extension: 'wv',
+    contentType: 'audio/wavpack',
+    aliases: ['audio/wavpack', 'audio/x-wavpack'],
+    extensions: ['wv']
+  },
+  ape: {
+    name: 'APE',
+    extension: 'ape',
+    contentType: 'audio/ape',
+    aliases: ['audio/ape', 'audio/x-ape', 'audio/x-monkeys-audio'],
+    extensions: ['ape']
+  },
+  dsf: {
+    name: 'DSF',
+    extension: 'dsf',
+    contentType: 'audio/dsf',
+    aliases: ['audio/dsf', 'audio/x-dsf'],
+    extensions: ['dsf']
+  }
+};
+
+// Leading bytes kept while looking for the audio (ID3v2 tags with cover art come first)
+const MAX_SNIFF_BYTES = 16 * 1024 * 1024;
+// Enough for every signature below once the ID3 tags are skipped
+const SNIFF_WINDOW = 64 * 1024;
+// Bytes searched past the tags for the first MPEG audio or ADTS frame
+const MPEG_SYNC_WINDOW = 64 * 1024;
+
+// Bitrates (kbps) for bitrate indexes 1-14, by MPEG-1 layer and for MPEG-2/2.5
+const MPEG_BITRATES = {
+  1: [32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  2: [32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  3: [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  lowLayer1: [32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  low: [8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const SUPPORTED_FORMATS = [...new Set(Object.values(AUDIO_FORMATS).map(format => format.name))].join(', ');
+
+const unsupportedAudioMessage = (filename) => `Not a supported audio file: ${filename}. Allowed: ${SUPPORTED_FORMATS}`;
+
+// Raised for files that aren't audio in a supported format, whatever they claim to be
+const unsupportedAudioError = (filename) => {
+  const error = new Error(unsupportedAudioMessage(filename));
+  error.code = 'UNSUPPORTED_AUDIO';
+  error.status = 415;
+  return error;
+};
+
+// ID3v2 tag size (header and footer included) at offset, 0 when there is none
+const id3Size = (head, offset) => {
+  if (head.length < offset + 10 || head.toString('latin1', offset, offset + 3) !== 'ID3') return 0;
+
+  const size = ((head[offset + 6] & 0x7f) << 21) | ((head[offset + 7] & 0x7f) << 14) |
+    ((head[offset + 8] & 0x7f) << 7) | (head[offset + 9] & 0x7f);
+  const footer = head[offset + 5] & 0x10 ? 10 : 0;
+  return 10 + size + footer;
+};
+
+// Frame header at offset: 'aac' (ADTS, layer bits 00), 'mp3' (MPEG audio layer I-III) or null
+const mpegFrameType = (head, offset) => {
+  if (head.length < offset + 7 || head[offset] !== 0xff || (head[offset + 1] & 0xe0) !== 0xe0) return null;
+  const b1 = head[offset + 1];
+  const b2 = head[offset + 2];
+
+  if ((b1 & 0x06) === 0) {
+    // 12 bit sync word, sampling frequency index 0-12
+    return (b1 & 0xf0) === 0xf0 && ((b2 >> 2) & 0x0f) < 13 ? 'aac' : null;
+  }
+
+  // Reserved version, bad bitrate index or reserved sample rate
+  if ((b1 & 0x18) === 0x08 || (b2 & 0xf0) === 0xf0 || (b2 & 0x0c) === 0x0c) return null;
+  return 'mp3';
+};
+
+// Length of the frame whose header (checked by mpegFrameType) is at offset, 0 for free format
+const mpegFrameLength = (head, offset) => {
+  const b1 = head[offset + 1];
+  const b2 = head[offset + 2];
+
+  if ((b1 & 0x06) === 0) {
+    return ((head[offset + 3] & 0x03) << 11) | (head[offset + 4] << 3) | (head[offset + 5] >> 5);
+  }
+
+  const bitrateIndex = b2 >> 4;
+  if (bitrateIndex === 0) return 0;
+
+  const mpeg1 = (b1 & 0x18) === 0x18;
+  const layer = 4 - ((b1 >> 1) & 0x03);
+  const bitrates = mpeg1 ? MPEG_BITRATES[layer] : MPEG_BITRATES[layer === 1 ? 'lowLayer1' : 'low'];
+  const bitrate = bitrates[bitrateIndex - 1] * 1000;
+  const sampleRate = [44100, 48000, 32000][(b2 >> 2) & 0x03] / (mpeg1 ? 1 : (b1 & 0x18) === 0x10 ? 2 : 4);
+  const padding = (b2 >> 1) & 0x01;
+
+  if (layer === 1) return (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+  return Math.floor((layer === 3 && !mpeg1 ? 72 : 144) * bitrate / sampleRate) + padding;
+};
+
+/**
+ * MPEG audio or ADTS format id for the audio starting at offset: a frame right there, else the
+ * first one within MPEG_SYNC_WINDOW that another frame follows (null / undefined as below)
+ */
+const findMpegFrames = (head, offset, complete) => {
+  const type = mpegFrameType(head, offset);
+  if (type) return type;
+
+  const end = Math.min(head.length, offset + MPEG_SYNC_WINDOW);
+  for (let position = offset + 1; position < end; position++) {
+    const found = mpegFrameType(head, position);
+    const length = found ? mpegFrameLength(head, position) : 0;
+    if (length < 7) continue;
+
+    if (head.length < position + length + 7) {
+      if (!complete) return undefined;
+    } else if (mpegFrameType(head, position + length) === found) {
+      return found;
+    }
+  }
+
+  return complete || head.length >= offset + MPEG_SYNC_WINDOW ? null : undefined;
+};
+
+/**
+ * Format id for the leading bytes of a file: null when it isn't a supported audio file,
+ * undefined when more bytes are needed to tell (complete: head is the whole file)
+ */
+const detectAudioFormat = (head, complete = false) => {
+  let offset = 0;
+  let tag;
+  while ((tag = id3Size(head, offset)) > 0) offset += tag;
+
+  const undecided = complete ? null : undefined;
+  if (head.length < offset + 12) return undecided;
+
+  const at = (start, text) => head.toString('latin1', offset + start, offset + start + text.length) === text;
+
+  if (at(0, 'fLaC')) return 'flac';
+  if (at(0, 'RIFF') && at(8, 'WAVE')) return 'wav';
+  if (at(0, 'FORM') && (at(8, 'AIFF') || at(8, 'AIFC'))) return 'aiff';
+  if (at(4, 'ftyp')) return 'm4a';
+  if (at(0, 'wvpk')) return 'wavpack';
+  if (at(0, 'MAC ')) return 'ape';
+  if (at(0, 'DSD ')) return 'dsf';
+
+  if (at(0, 'OggS')) {
+    // First page: 27 byte header, segment table, then the codec's identification header
+    if (head.length < offset + 27) return undecided;
+    const body = 27 + head[offset + 26];
+    if (head.length < offset + body + 8) return undecided;
+
+    if (at(body, 'OpusHead')) return 'opus';
+    if (at(body + 1, 'vorbis') || at(body + 1, 'FLAC')) return 'ogg';
+    return null;
+  }
+
+  return findMpegFrames(head, offset, complete);
+};
+
+/**
+ * Format id of a file on disk (null when it isn't a supported audio file)
+ */
+const sniffAudioFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    let length = Math.min(size, SNIFF_WINDOW);
+
+    while (true) {
+      const head = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(head, 0, length, 0);
+      const format = detectAudioFormat(head.subarray(0, bytesRead), bytesRead >= size);
+
+      if (format !== undefined) return format;
+      if (length >= MAX_SNIFF_BYTES) return null;
+      length = Math.min(size, length * 4, MAX_SNIFF_BYTES);
+    }
+  } finally {
+    await handle.close();
+  }
+};
+
+// Bytes at position (fewer at the end of the file)
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+// Start of the audio past leading ID3v2 tags
+const skipId3 = async (handle, start = 0) => {
+  let tag;
+  while ((tag = id3Size(await readAt(handle, start, 10), 0)) > 0) start += tag;
+  return start;
+};
+
+// End of the audio before trailing ID3v1, APEv2 and Lyrics3v2 tags (in any order)
+const trimTrailingTags = async (handle, start, end) => {
+  while (end > start) {
+    const tail = await readAt(handle, Math.max(end - 128, start), Math.min(128, end - start));
+
+    if (tail.length === 128 && tail.toString('latin1', 0, 3) === 'TAG') {
+      end -= 128;
+    } else if (tail.length >= 32 && tail.toString('latin1', tail.length - 32, tail.length - 24) === 'APETAGEX') {
+      // Footer size covers the items and footer; the header (flag bit 31) comes on top
+      const footer = tail.subarray(tail.length - 32);
+      const tagSize = footer.readUInt32LE(12) + (footer.readUInt32LE(20) & 0x80000000 ? 32 : 0);
+      // A size that can't hold its own footer or runs past the audio is a broken tag: stop there
+      if (tagSize < 32 || tagSize > end - start) break;
+      end -= tagSize;
+    } else if (tail.length >= 15 && tail.toString('latin1', tail.length - 9) === 'LYRICS200' &&
+      /^\d{6}$/.test(tail.toString('latin1', tail.length - 15, tail.length - 9))) {
+      const tagSize = parseInt(tail.toString('latin1', tail.length - 15, tail.length - 9)) + 15;
+      if (tagSize > end - start) break;
+      end -= tagSize;
+    } else {
+      break;
+    }
+  }
+  return end;
+};
+
+// Contents of the chunks named in ids of a RIFF (little endian) or IFF (big endian) file
+const chunkRanges = async (handle, size, ids, littleEndian) => {
+  const ranges = [];
+  let position = 12;
+
+  while (position + 8 <= size) {
+    const header = await readAt(handle, position, 8);
+    if (header.length < 8) break;
+    const length = littleEndian ? header.readUInt32LE(4) : header.readUInt32BE(4);
+    const id = header.toString('latin1', 0, 4);
+    if (ids.includes(id)) ranges.push([position + 8, Math.min(position + 8 + length, size)]);
+    position += 8 + length + (length % 2);
+  }
+  return ranges;
+};
+
+// mdat boxes of an MP4 file (metadata lives in moov/udta, wherever it is)
+const mp4Ranges = async (handle, size) => {
+  const ranges = [];
+  let position = 0;
+
+  while (position + 8 <= size) {
+    const header = await readAt(handle, position, 16);
+    if (header.length < 8) break;
+    let length = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (length === 1 && header.length === 16) {
+      length = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (length === 0) {
+      length = size - position;
+    }
+    if (length < headerSize) break;
+
+    if (header.toString('latin1', 4, 8) === 'mdat') {
+      ranges.push([position + headerSize, Math.min(position + length, size)]);
+    }
+    position += length;
+  }
+  return ranges;
+};
+
+// Page bodies past the header packets of an Ogg file (header pages have granule position 0;
+// a retag renumbers pages and redoes their checksums but leaves the audio packets alone)
+const oggRanges = async (handle, size) => {
+  const ranges = [];
+  let position = await skipId3(handle);
+
+  while (position + 27 <= size) {
+    const header = await readAt(handle, position, 27);
+    if (header.toString('latin1', 0, 4) !== 'OggS') break;
+
+    const segments = await readAt(handle, position + 27, header[26]);
+    const bodyStart = position + 27 + header[26];
+    const bodyEnd = bodyStart + segments.reduce((sum, length) => sum + length, 0);
+
+    if (header.readBigUInt64LE(6) !== 0n) ranges.push([bodyStart, Math.min(bodyEnd, size)]);
+    position = bodyEnd;
+  }
+  return ranges;
+};
+
+// Past the fLaC marker and metadata blocks (STREAMINFO, Vorbis comment, pictures, padding)
+const flacRanges = async (handle, size) => {
+  let position = await skipId3(handle) + 4;
+  let last = false;
+
+  while (!last && position + 4 <= size) {
+    const header = await readAt(handle, position, 4);
+    last = (header[0] & 0x80) !== 0;
+    position += 4 + header.readUIntBE(1, 3);
+  }
+  return [[position, await trimTrailingTags(handle, position, size)]];
+};
+
+// Byte ranges holding a file's audio, by container
+const payloadRanges = async (handle, size, format) => {
+  switch (format) {
+    case 'flac':
+      return flacRanges(handle, size);
+    case 'wav':
+      return chunkRanges(handle, size, ['data'], true);
+    case 'aiff':
+      return chunkRanges(handle, size, ['SSND'], false);
+    case 'm4a':
+    case 'alac':
+      return mp4Ranges(handle, size);
+    case 'ogg':
+    case 'opus':
+      return oggRanges(handle, size);
+    case 'dsf': {
+      // DSD chunk: its metadata pointer (an ID3v2 tag at the end of the file, 0 when there is none)
+      const header = await readAt(handle, 0, 28);
+      const metadata = header.length === 28 ? Number(header.readBigUInt64LE(20)) : 0;
+      return [[28, metadata > 28 && metadata < size ? metadata : size]];
+    }
+    default: {
+      // MP3, AAC (ADTS), WavPack and APE: tags sit before or after the frames
+      const start = await skipId3(handle);
+      return [[start, await trimTrailingTags(handle, start, size)]];
+    }
+  }
+};
+
+/**
+ * Content hash for duplicate detection: SHA-256 of the audio payload of a file in format (a format
+ * id), the whole file when it has no recognizable payload (unknown format, damaged container)
+ */
+const hashAudioFile = async (filePath, format) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    let ranges = [];
+    try {
+      ranges = format ? (await payloadRanges(handle, size, format)).filter(([start, end]) => end > start) : [];
+    } catch {
+      ranges = [];
+    }
+    if (ranges.length === 0) ranges = [[0, size]];
+
+    const hash = crypto.createHash('sha256');
+    const buffer = Buffer.alloc(1024 * 1024);
+    for (const [start, end] of ranges) {
+      for (let position = start; position < end;) {
+        const { bytesRead } = await handle.read(buffer, 0, Math.min(buffer.length, end - position), position);
+        if (bytesRead === 0) break;
+        hash.update(buffer.subarray(0, bytesRead));
+        position += bytesRead;
+      }
+    }
+    return hash.digest('hex');
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Format a client says it is sending (content type, else the filename's extension), for naming
+ * objects before any bytes arrive. null when neither names a supported format.
+ */
+const guessAudioFormat = (contentType, filename) => {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  const extension = (filename || '').includes('.') ? filename.split('.').pop().toLowerCase() : '';
+
+  const entries = Object.entries(AUDIO_FORMATS);
+  const byType = entries.find(([, format]) => format.aliases.includes(type));
+  const byExtension = entries.find(([, format]) => format.extensions.includes(extension));
+  return (byType || byExtension || [null])[0];
+};
+
+/**
+ * Final format id once music-metadata has parsed the file (the codec inside an MP4 container)
+ */
+const resolveAudioFormat = (detected, parsedFormat) => {
+  if (detected === 'm4a' && /alac/i.test(parsedFormat.codec || '')) return 'alac';
+  return detected;
+};
+
+module.exports = {
+  AUDIO_FORMATS,
+  MAX_SNIFF_BYTES,
+  unsupportedAudioMessage,
+  unsupportedAudioError,
+  detectAudioFormat,
+  sniffAudioFile,
+  guessAudioFormat,
+  resolveAudioFormat,
+  hashAudioFile
+};
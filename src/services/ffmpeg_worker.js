@@ -0,0 +1,137 @@
+/**
+ * ffmpeg Workers
+ * Shared plumbing for the background workers that run ffmpeg on stored songs
+ * (loudness analysis, waveforms, renditions)
+ *
+ * Workers lease one item at a time (stale leases from a crashed run are picked up again) and
+ * leave items queued on hosts without ffmpeg. ffmpeg reads a temp copy of the song, not a pipe:
+ * MP4/M4A/ALAC files with the moov atom after the audio can only be read by seeking.
+ */
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { getSongKey } = require('../config/storage');
+const { downloadToTemp } = require('./upload_storage');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const WORKER_INTERVAL_MS = 5 * 60 * 1000;
+const LEASE_MINUTES = 30;
+
+// spawn() error when there is no ffmpeg binary on this host
+const isFfmpegMissing = (error) => error.code === 'ENOENT' && error.syscall === `spawn ${FFMPEG_PATH}`;
+
+/**
+ * Run ffmpeg on a local copy of a stored song (removed afterwards). getArgs(inputPath) builds
+ * the command line; onOutput(chunk) receives stdout, which stays paused while a promise it
+ * returns is pending. Resolves with the last stderrBytes of stderr, rejects with its last line.
+ */
+const runFfmpeg = async (song, getArgs, { onOutput = null, stderrBytes = 1024 } = {}) => {
+  const local = await downloadToTemp(getSongKey(song));
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const ffmpeg = spawn(FFMPEG_PATH, getArgs(local.path), {
+        stdio: ['ignore', onOutput ? 'pipe' : 'ignore', 'pipe']
+      });
+
+      let stderr = '';
+      let writing = Promise.resolve();
+
+      const fail = (error) => {
+        ffmpeg.kill();
+        reject(error);
+      };
+
+      if (onOutput) {
+        ffmpeg.stdout.on('data', (chunk) => {
+          ffmpeg.stdout.pause();
+          writing = writing
+            .then(() => onOutput(chunk))
+            .then(() => ffmpeg.stdout.resume());
+          writing.catch(fail);
+        });
+      }
+
+      ffmpeg.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-stderrBytes);
+      });
+
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', (code) => {
+        writing.then(() => {
+          if (code !== 0) {
+            return reject(new Error(stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`));
+          }
+          resolve(stderr);
+        }, reject);
+      });
+    });
+  } finally {
+    await fs.promises.unlink(local.path).catch(() => {});
+  }
+};
+
+/**
+ * Background worker: lease() claims the next item (null when none is left), run(item) processes
+ * it, requeue(item) puts it back when ffmpeg is missing and fail(item, error) records a failure.
+ * label and describe(item) name it in logs. Returns { processPending, queue, start }.
+ */
+const createWorker = ({ label, lease, run, requeue, fail, describe = (item) => item.id }) => {
+  let processing = false;
+
+  // Process leased items until none are left. Returns the number processed.
+  const processPending = async () => {
+    if (processing) return 0;
+    processing = true;
+
+    let processed = 0;
+
+    try {
+      while (true) {
+        const item = await lease();
+        if (!item) break;
+
+        try {
+          await run(item);
+          processed++;
+        } catch (error) {
+          if (isFfmpegMissing(error)) {
+            // No ffmpeg on this host - leave the item queued for one that has it
+            await requeue(item);
+            console.error(`${label} unavailable: ${FFMPEG_PATH} not found`);
+            break;
+          }
+
+          await fail(item, error);
+          console.error(`${label} failed for ${describe(item)}:`, error.message);
+        }
+      }
+    } finally {
+      processing = false;
+    }
+
+    return processed;
+  };
+
+  // Start processing now without waiting for it
+  const queue = () => {
+    processPending().catch(error => console.error(`${label} queue error:`, error.message));
+  };
+
+  // Periodic pass for anything left pending (started once from index.js)
+  const start = () => {
+    queue();
+    const timer = setInterval(queue, WORKER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  };
+
+  return { processPending, queue, start };
+};
+
+module.exports = {
+  FFMPEG_PATH,
+  LEASE_MINUTES,
+  runFfmpeg,
+  createWorker
+};
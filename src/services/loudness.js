@@ -0,0 +1,152 @@
+/**
+ * Loudness Service
+ * EBU R128 integrated loudness + true peak (ffmpeg ebur128 filter) and ReplayGain values
+ *
+ * Uploads are marked loudness_status = 'pending' and analyzed in the background, one song
+ * at a time. Gains follow ReplayGain 2.0 (-18 LUFS reference). ReplayGain tags already in
+ * the file win over analysis for the gain values; loudness and true peak are always measured.
+ */
+
+const { query } = require('../config/database');
+const { LEASE_MINUTES, runFfmpeg, createWorker } = require('./ffmpeg_worker');
+
+const REFERENCE_LUFS = -18;
+
+// dBFS -> linear sample peak (ReplayGain peaks are linear, 1.0 = full scale)
+const toLinear = (db) => (db === null ? null : Math.pow(10, db / 20));
+
+const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * ReplayGain values from music-metadata's common tags (nulls when untagged)
+ */
+const readReplayGainTags = (common) => ({
+  track_gain: common.replaygain_track_gain?.dB ?? null,
+  track_peak: common.replaygain_track_peak?.ratio ?? null,
+  album_gain: common.replaygain_album_gain?.dB ?? null,
+  album_peak: common.replaygain_album_peak?.ratio ?? null
+});
+
+// Parse the ebur128 summary ffmpeg prints on stderr
+const parseSummary = (output) => {
+  const summary = output.slice(output.lastIndexOf('Summary:'));
+  const integrated = summary.match(/I:\s+(-?[\d.]+) LUFS/);
+  const peak = summary.match(/Peak:\s+(-?[\d.]+|-inf) dBFS/);
+
+  if (!integrated) return null;
+
+  return {
+    integrated: parseFloat(integrated[1]),
+    truePeak: peak && peak[1] !== '-inf' ? parseFloat(peak[1]) : null
+  };
+};
+
+/**
+ * Measure a stored song with ffmpeg's ebur128 filter
+ */
+const measureLoudness = async (song) => {
+  const stderr = await runFfmpeg(song, (input) => [
+    '-hide_banner', '-nostats',
+    '-i', input,
+    '-af', 'ebur128=peak=true',
+    '-f', 'null', '-'
+  ], { stderrBytes: 8192 }); // Only the summary at the end matters
+
+  const result = parseSummary(stderr);
+  if (!result) {
+    throw new Error('No ebur128 summary in ffmpeg output');
+  }
+  return result;
+};
+
+/**
+ * Recompute analysis-based album gain once every track of the album is measured
+ * (duration-weighted energy average of the track loudness)
+ */
+const updateAlbumGain = async (albumId) => {
+  if (!albumId) return;
+
+  const result = await query(`
+    SELECT COUNT(*) as total,
+           COUNT(loudness_lufs) as measured,
+           SUM(GREATEST(duration, 1) * POWER(10, loudness_lufs / 10)) / SUM(GREATEST(duration, 1)) as energy,
+           MAX(true_peak) as true_peak
+    FROM songs
+    WHERE album_id = $1
+  `, [albumId]);
+
+  const album = result.rows[0];
+  if (parseInt(album.total) === 0 || album.measured !== album.total || !(album.energy > 0)) return;
+
+  const albumLoudness = 10 * Math.log10(album.energy);
+
+  await query(`
+    UPDATE songs
+    SET album_gain = $1, album_peak = $2
+    WHERE album_id = $3 AND gain_source = 'analysis'
+  `, [round(REFERENCE_LUFS - albumLoudness), round(toLinear(album.true_peak), 6), albumId]);
+};
+
+/**
+ * Analyze one song from R2 and store its loudness values
+ */
+const analyzeSong = async (song) => {
+  const { integrated, truePeak } = await measureLoudness(song);
+
+  // Tag-provided gains are kept; analysis fills the rest
+  const result = await query(`
+    UPDATE songs
+    SET loudness_lufs = $1,
+        true_peak = $2,
+        track_gain = CASE WHEN gain_source = 'tags' THEN track_gain ELSE $3 END,
+        track_peak = CASE WHEN gain_source = 'tags' THEN track_peak ELSE $4 END,
+        gain_source = COALESCE(gain_source, 'analysis'),
+        loudness_status = 'done',
+        loudness_analyzed_at = CURRENT_TIMESTAMP
+    WHERE id = $5
+    RETURNING album_id
+  `, [round(integrated), round(truePeak), round(REFERENCE_LUFS - integrated), round(toLinear(truePeak), 6), song.id]);
+
+  if (result.rows.length > 0) {
+    await updateAlbumGain(result.rows[0].album_id);
+  }
+};
+
+const worker = createWorker({
+  label: 'Loudness analysis',
+  lease: async () => {
+    const leased = await query(`
+      UPDATE songs
+      SET loudness_status = 'analyzing', loudness_analyzed_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM songs
+        WHERE loudness_status = 'pending'
+           OR (loudness_status = 'analyzing' AND loudness_analyzed_at < CURRENT_TIMESTAMP - INTERVAL '${LEASE_MINUTES} minutes')
+        ORDER BY created_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, title, file_url, file_key
+    `);
+    return leased.rows[0] || null;
+  },
+  run: analyzeSong,
+  requeue: (song) => query("UPDATE songs SET loudness_status = 'pending' WHERE id = $1", [song.id]),
+  fail: (song) => query("UPDATE songs SET loudness_status = 'failed' WHERE id = $1", [song.id])
+});
+
+// Analyze pending songs until none are left. Returns the number processed.
+const processPending = worker.processPending;
+
+// Start analysis now without waiting for it (upload path)
+const queueLoudnessAnalysis = worker.queue;
+
+// Periodic pass for anything left pending (started once from index.js)
+const startLoudnessWorker = worker.start;
+
+module.exports = {
+  readReplayGainTags,
+  processPending,
+  queueLoudnessAnalysis,
+  startLoudnessWorker
+};
@@ -0,0 +1,300 @@
+/**
+ * Lyrics Service
+ * Plain and time-synced lyrics per song (song_lyrics), from embedded tags or user LRC files
+ *
+ * Synced lyrics are stored as [{ time, text }] with time in milliseconds, sorted by time.
+ * Sources: ID3v2 SYLT (millisecond timestamps), USLT / Vorbis LYRICS / MP4 ©lyr (plain,
+ * or LRC text which is parsed as synced), and .lrc uploads through the lyrics routes.
+ */
+
+const fs = require('fs');
+const { query } = require('../config/database');
+
+const MAX_LYRICS_LENGTH = 64 * 1024;
+const MAX_SYNCED_LINES = 5000;
+// Larger ID3 tags are read up to here (SYLT sits before most cover art)
+const MAX_TAG_READ = 16 * 1024 * 1024;
+
+const LRC_TIME_TAG = /\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const LRC_LINE = /^\s*\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]/m;
+
+// Whether text is LRC (at least one [mm:ss.xx] line)
+const isLrc = (text) => typeof text === 'string' && LRC_LINE.test(text);
+
+const toMilliseconds = (minutes, seconds) => {
+  return Math.round((parseInt(minutes) * 60 + parseFloat(seconds.replace(':', '.'))) * 1000);
+};
+
+// Synced lines as plain text (one line per entry)
+const toPlain = (synced) => synced.map(line => line.text).join('\n').trim();
+
+/**
+ * Parse LRC text: { plain, synced } (synced is null when there are no timed lines)
+ * Supports repeated time tags per line, [offset:±ms] and strips enhanced <mm:ss.xx> word tags.
+ */
+const parseLrc = (text) => {
+  let offset = 0;
+  const synced = [];
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const offsetTag = rawLine.match(/^\s*\[offset:\s*([+-]?\d+)\]/i);
+    if (offsetTag) {
+      offset = parseInt(offsetTag[1]);
+      continue;
+    }
+
+    const times = [];
+    let rest = rawLine.trim();
+    let match;
+    LRC_TIME_TAG.lastIndex = 0;
+    while ((match = LRC_TIME_TAG.exec(rest)) && match.index === 0) {
+      times.push(toMilliseconds(match[1], match[2]));
+      rest = rest.slice(match[0].length);
+      LRC_TIME_TAG.lastIndex = 0;
+    }
+
+    // ID tags ([ar:], [ti:] ...) and untimed lines are not part of the synced text
+    if (times.length === 0) continue;
+
+    const lineText = rest.replace(/<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g, '').trim();
+    times.forEach(time => synced.push({ time, text: lineText }));
+  }
+
+  if (synced.length === 0) {
+    return { plain: String(text).trim() || null, synced: null };
+  }
+
+  // A positive offset shows lyrics earlier
+  const lines = synced
+    .map(line => ({ time: Math.max(line.time - offset, 0), text: line.text }))
+    .sort((a, b) => a.time - b.time)
+    .slice(0, MAX_SYNCED_LINES);
+
+  return { plain: toPlain(lines) || null, synced: lines };
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Synced lines back to LRC text ([mm:ss.xx] per line)
+ */
+const toLrc = (synced) => synced.map(({ time, text }) => {
+  const minutes = Math.floor(time / 60000);
+  const seconds = Math.floor((time % 60000) / 1000);
+  const hundredths = Math.floor((time % 1000) / 10);
+  return `[${pad(minutes)}:${pad(seconds)}.${pad(hundredths)}]${text}`;
+}).join('\n');
+
+// ID3v2 text in one of its four encodings
+const decodeId3Text = (buffer, encoding) => {
+  if (encoding === 0) return buffer.toString('latin1');
+  if (encoding === 3) return buffer.toString('utf8');
+
+  // UTF-16 with BOM (1) or big-endian without (2)
+  let bigEndian = encoding === 2;
+  let data = buffer;
+  if (encoding === 1 && data.length >= 2 && (data[0] === 0xfe || data[0] === 0xff)) {
+    bigEndian = data[0] === 0xfe;
+    data = data.subarray(2);
+  }
+  if (bigEndian) {
+    data = Buffer.from(data.subarray(0, data.length - (data.length % 2))).swap16();
+  }
+  return data.toString('utf16le');
+};
+
+// End of a null-terminated string (terminator is two bytes for UTF-16)
+const findTerminator = (buffer, offset, encoding) => {
+  const wide = encoding === 1 || encoding === 2;
+  for (let i = offset; i < buffer.length - (wide ? 1 : 0); i += wide ? 2 : 1) {
+    if (buffer[i] === 0 && (!wide || buffer[i + 1] === 0)) return i;
+  }
+  return buffer.length;
+};
+
+const syncsafe = (buffer, offset) => {
+  return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+};
+
+/**
+ * Synced lyrics from the first ID3v2 SYLT frame with millisecond timestamps (null when none).
+ * music-metadata keeps the SYLT text but drops its timestamps, so the frame is read here.
+ */
+const readSylt = (buffer) => {
+  if (!buffer || buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return null;
+
+  const version = buffer[3];
+  const tagFlags = buffer[5];
+  // ID3v2.2 has no SYLT; whole-tag unsynchronisation is too rare to be worth undoing
+  if (version < 3 || version > 4 || tagFlags & 0x80) return null;
+
+  const tagEnd = Math.min(10 + syncsafe(buffer, 6), buffer.length);
+  let offset = 10;
+  if (tagFlags & 0x40) {
+    offset += version === 4 ? syncsafe(buffer, offset) : buffer.readUInt32BE(offset) + 4;
+  }
+
+  while (offset + 10 <= tagEnd) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    if (!/^[A-Z0-9]{4}$/.test(id)) break;
+
+    const size = version === 4 ? syncsafe(buffer, offset + 4) : buffer.readUInt32BE(offset + 4);
+    const formatFlags = buffer[offset + 9];
+    const frame = buffer.subarray(offset + 10, Math.min(offset + 10 + size, tagEnd));
+    offset += 10 + size;
+
+    // Compressed, encrypted or unsynchronised frames are skipped
+    const packed = version === 4 ? formatFlags & 0x0f : formatFlags & 0xc0;
+    if (id !== 'SYLT' || packed || frame.length < 7) continue;
+
+    const encoding = frame[0];
+    const timestampFormat = frame[4];
+    if (timestampFormat !== 2) continue;
+
+    // Skip the content descriptor
+    let position = findTerminator(frame, 6, encoding) + (encoding === 1 || encoding === 2 ? 2 : 1);
+
+    const entries = [];
+    while (position < frame.length) {
+      const end = findTerminator(frame, position, encoding);
+      const text = decodeId3Text(frame.subarray(position, end), encoding);
+      position = end + (encoding === 1 || encoding === 2 ? 2 : 1);
+      if (position + 4 > frame.length) break;
+      entries.push({ time: frame.readUInt32BE(position), text });
+      position += 4;
+    }
+
+    // When some entries start with a newline, the others are syllables of the line before them
+    const bySyllable = entries.some(entry => /^[\r\n]/.test(entry.text));
+    const lines = [];
+    entries.forEach(entry => {
+      if (bySyllable && lines.length > 0 && !/^[\r\n]/.test(entry.text)) {
+        lines[lines.length - 1].text += entry.text;
+      } else {
+        lines.push({ ...entry });
+      }
+    });
+
+    if (lines.length > 0) {
+      return lines
+        .map(line => ({ time: line.time, text: line.text.trim() }))
+        .sort((a, b) => a.time - b.time)
+        .slice(0, MAX_SYNCED_LINES);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * The ID3v2 tag at the start of a file (null when it has none), all readEmbeddedLyrics needs of it
+ */
+const readId3Tag = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(10);
+    const { bytesRead } = await handle.read(header, 0, 10, 0);
+    if (bytesRead < 10 || header.toString('latin1', 0, 3) !== 'ID3') return null;
+
+    const tag = Buffer.alloc(Math.min(10 + syncsafe(header, 6), MAX_TAG_READ));
+    const { bytesRead: tagBytes } = await handle.read(tag, 0, tag.length, 0);
+    return tag.subarray(0, tagBytes);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Embedded lyrics from an uploaded file: { plain, synced, language } or null
+ * (buffer is the file, or at least its ID3v2 tag)
+ */
+const readEmbeddedLyrics = (buffer, parsed) => {
+  // A malformed ID3 tag only costs the synced lyrics
+  let synced = null;
+  try {
+    synced = readSylt(buffer);
+  } catch {
+    synced = null;
+  }
+
+  // ID3 USLT is read natively (common.lyrics mixes in SYLT syllables), otherwise
+  // Vorbis LYRICS / UNSYNCEDLYRICS, MP4 ©lyr, APE Lyrics
+  const id3 = parsed.native?.['ID3v2.4'] || parsed.native?.['ID3v2.3'] || [];
+  const uslt = id3.find(tag => tag.id === 'USLT' && typeof tag.value?.text === 'string' && tag.value.text.trim());
+  const vorbis = (parsed.native?.vorbis || []).filter(tag => tag.id === 'UNSYNCEDLYRICS').map(tag => tag.value);
+  const text = uslt
+    ? uslt.value.text
+    : [...(id3.length > 0 ? [] : parsed.common.lyrics || []), ...vorbis]
+      .find(value => typeof value === 'string' && value.trim().length > 0);
+
+  const language = uslt && /^[a-z]{3}$/i.test(uslt.value.language) && uslt.value.language.toUpperCase() !== 'XXX'
+    ? uslt.value.language.toLowerCase()
+    : null;
+
+  if (synced) {
+    return { plain: text && !isLrc(text) ? text.trim() : toPlain(synced), synced, language };
+  }
+  if (text) {
+    return { ...parseLrc(text.slice(0, MAX_LYRICS_LENGTH)), language };
+  }
+  return null;
+};
+
+/**
+ * Parse lyrics submitted by a user (LRC or plain text). Returns { lyrics } or { error }.
+ */
+const parseUserLyrics = (text) => {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return { error: 'Lyrics text is required' };
+  }
+  if (text.length > MAX_LYRICS_LENGTH) {
+    return { error: `Lyrics must be at most ${MAX_LYRICS_LENGTH / 1024}KB` };
+  }
+  return { lyrics: isLrc(text) ? parseLrc(text) : { plain: text.trim(), synced: null } };
+};
+
+/**
+ * Store lyrics for a song (replaces what was there)
+ */
+const saveLyrics = async (songId, lyrics, source) => {
+  const result = await query(`
+    INSERT INTO song_lyrics (song_id, plain, synced, language, source)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (song_id) DO UPDATE
+    SET plain = $2, synced = $3, language = $4, source = $5, updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [songId, lyrics.plain || null, lyrics.synced ? JSON.stringify(lyrics.synced) : null, lyrics.language || null, source]);
+  return result.rows[0];
+};
+
+/**
+ * Index of the synced line playing at a position (ms), -1 before the first line
+ */
+const getLineIndexAt = (synced, positionMs) => {
+  let low = 0;
+  let high = synced.length - 1;
+  let index = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (synced[mid].time <= positionMs) {
+      index = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return index;
+};
+
+module.exports = {
+  MAX_LYRICS_LENGTH,
+  parseLrc,
+  toLrc,
+  readId3Tag,
+  readEmbeddedLyrics,
+  parseUserLyrics,
+  saveLyrics,
+  getLineIndexAt
+};
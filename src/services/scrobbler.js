@@ -0,0 +1,215 @@
+/**
+ * Scrobbler Service
+ * ListenBrainz-compatible submissions ("now playing" + listens) with a durable retry queue
+ *
+ * Listens are written to scrobble_queue first and delivered by the worker, so nothing is lost
+ * while the remote service is down. "Now playing" is best effort and never queued.
+ */
+
+const { query } = require('../config/database');
+
+// Remote API (any ListenBrainz-compatible server, e.g. a local stand-in for testing)
+const BASE_URL = (process.env.SCROBBLER_BASE_URL || 'https://api.listenbrainz.org').replace(/\/+$/, '');
+const REQUEST_TIMEOUT_MS = 10000;
+const WORKER_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 50;
+const MAX_ATTEMPTS = 20;
+
+class ScrobblerError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+    // 429 and 5xx/network errors are worth retrying, other 4xx will never succeed
+    this.retryable = !status || status === 429 || status >= 500;
+  }
+}
+
+const request = async (method, path, token, body) => {
+  let response;
+  try {
+    response = await fetch(`${BASE_URL}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Token ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (networkError) {
+    throw new ScrobblerError(`Scrobbler unreachable: ${networkError.message}`);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ScrobblerError(data.error || `Scrobbler responded ${response.status}`, response.status);
+  }
+  return data;
+};
+
+// Check a user token, returns the remote username (or null if the token is invalid)
+const validateToken = async (token) => {
+  try {
+    const data = await request('GET', '/1/validate-token', token);
+    return data.valid ? data.user_name : null;
+  } catch (error) {
+    if (error.status === 401 || error.status === 400) return null;
+    throw error;
+  }
+};
+
+// ListenBrainz track_metadata from a songs row
+const toTrackMetadata = (song) => ({
+  artist_name: song.artist || 'Unknown Artist',
+  track_name: song.title,
+  release_name: song.album || undefined,
+  additional_info: {
+    duration_ms: song.duration ? song.duration * 1000 : undefined,
+    tracknumber: song.track_number || undefined,
+    submission_client: 'Moshcast'
+  }
+});
+
+// ListenBrainz rule: a listen counts after half the track or 4 minutes
+const isScrobblable = (song, durationPlayed) => {
+  if (durationPlayed === null || durationPlayed === undefined) return true;
+  const threshold = Math.min(240, (song.duration || 0) / 2);
+  return durationPlayed >= threshold;
+};
+
+// Linked, enabled account for a user (null when scrobbling is off)
+const getAccount = async (userId) => {
+  const result = await query(
+    'SELECT scrobbler_token FROM user_settings WHERE user_id = $1 AND scrobbling_enabled = true AND scrobbler_token IS NOT NULL',
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Send "now playing" (best effort, errors are only logged)
+ */
+const submitNowPlaying = async (userId, song) => {
+  try {
+    const account = await getAccount(userId);
+    if (!account || !song || !song.title) return;
+
+    await request('POST', '/1/submit-listens', account.scrobbler_token, {
+      listen_type: 'playing_now',
+      payload: [{ track_metadata: toTrackMetadata(song) }]
+    });
+  } catch (error) {
+    console.error('Now playing submit error:', error.message);
+  }
+};
+
+/**
+ * Queue listens for delivery: [{ song, listenedAt }]
+ */
+const queueListens = async (userId, listens) => {
+  if (listens.length === 0) return 0;
+
+  const account = await getAccount(userId);
+  if (!account) return 0;
+
+  for (const { song, listenedAt } of listens) {
+    await query(`
+      INSERT INTO scrobble_queue (user_id, payload)
+      VALUES ($1, $2)
+    `, [userId, {
+      listened_at: Math.floor(new Date(listenedAt).getTime() / 1000),
+      track_metadata: toTrackMetadata(song)
+    }]);
+  }
+
+  // Try right away; anything that fails stays queued for the worker
+  processQueue().catch(error => console.error('Scrobble queue error:', error.message));
+
+  return listens.length;
+};
+
+let processing = false;
+
+/**
+ * Deliver due queue entries (one request per user, retries with exponential backoff)
+ */
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    // Lease due entries so overlapping runs/instances don't double-submit
+    const due = await query(`
+      UPDATE scrobble_queue
+      SET next_attempt_at = CURRENT_TIMESTAMP + INTERVAL '5 minutes'
+      WHERE id IN (
+        SELECT id FROM scrobble_queue
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, user_id, payload, attempts
+    `, [BATCH_SIZE]);
+
+    const byUser = new Map();
+    due.rows.forEach(row => {
+      if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+      byUser.get(row.user_id).push(row);
+    });
+
+    for (const [userId, entries] of byUser) {
+      const ids = entries.map(entry => entry.id);
+
+      try {
+        const account = await getAccount(userId);
+        if (!account) {
+          // Unlinked or disabled since queueing
+          await query('DELETE FROM scrobble_queue WHERE id = ANY($1)', [ids]);
+          continue;
+        }
+
+        await request('POST', '/1/submit-listens', account.scrobbler_token, {
+          listen_type: entries.length === 1 ? 'single' : 'import',
+          payload: entries.map(entry => entry.payload)
+        });
+
+        await query('DELETE FROM scrobble_queue WHERE id = ANY($1)', [ids]);
+
+      } catch (error) {
+        const retryable = !(error instanceof ScrobblerError) || error.retryable;
+
+        await query(`
+          UPDATE scrobble_queue
+          SET attempts = attempts + 1,
+              last_error = $2,
+              status = CASE WHEN $3 AND attempts + 1 < $4 THEN 'pending' ELSE 'failed' END,
+              next_attempt_at = CURRENT_TIMESTAMP + LEAST(POWER(2, attempts) * INTERVAL '1 minute', INTERVAL '6 hours')
+          WHERE id = ANY($1)
+        `, [ids, error.message.substring(0, 255), retryable, MAX_ATTEMPTS]);
+
+        console.error(`Scrobble delivery failed for ${userId}:`, error.message);
+      }
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+// Periodic retry loop (started once from index.js)
+const startScrobbleWorker = () => {
+  const timer = setInterval(() => {
+    processQueue().catch(error => console.error('Scrobble queue error:', error.message));
+  }, WORKER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  validateToken,
+  isScrobblable,
+  submitNowPlaying,
+  queueListens,
+  processQueue,
+  startScrobbleWorker
+};
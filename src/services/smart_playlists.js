@@ -0,0 +1,283 @@
+/**
+ * Smart Playlists
+ * Rule-based playlists (type 'smart'), compiled to SQL and evaluated on every read
+ *
+ * Rules: {
+ *   match: 'all' | 'any',
+ *   conditions: [{ field, op, value }],
+ *   sort: <field> | 'random', order: 'asc' | 'desc', limit
+ * }
+ *
+ * e.g. genre is Metal AND year between 1985 and 1995:
+ *   { match: 'all', conditions: [
+ *       { field: 'genre', op: 'is', value: 'Metal' },
+ *       { field: 'year', op: 'between', value: [1985, 1995] }
+ *   ] }
+ */
+
+const { query } = require('../config/database');
+
+const MAX_CONDITIONS = 20;
+const MAX_LIMIT = 1000;
+const MAX_DAYS = 36500; // in_last / not_in_last: 100 years keeps the interval within timestamp range
+
+// Postgres integer ranges (numbers are compared to their column's type, out-of-range values fail the query)
+const INTEGER_MAX = 2147483647;
+const SMALLINT_MAX = 32767;
+
+// Per-song play stats, joined as "plays"
+const PLAYS_JOIN = `LEFT JOIN LATERAL (
+  SELECT COUNT(*) AS play_count, MAX(ph.played_at) AS last_played
+  FROM play_history ph
+  WHERE ph.song_id = s.id
+) plays ON true`;
+
+// Rule fields: SQL expression and value type (numbers are integer columns, max: their type's bound)
+const FIELDS = {
+  title: { expr: 's.title', type: 'text' },
+  artist: { expr: 's.artist', type: 'text' },
+  album: { expr: 's.album', type: 'text' },
+  album_artist: { expr: 's.album_artist', type: 'text' },
+  composer: { expr: 's.composer', type: 'text' },
+  genre: { expr: 's.genre', type: 'text' },
+  format: { expr: 's.format', type: 'text' },
+  year: { expr: 's.year', type: 'number' },
+  duration: { expr: 's.duration', type: 'number' },
+  track_number: { expr: 's.track_number', type: 'number' },
+  rating: { expr: 's.rating', type: 'number', max: SMALLINT_MAX },
+  bpm: { expr: 's.bpm', type: 'number' },
+  play_count: { expr: 'plays.play_count', type: 'number' },
+  loved: { expr: 'COALESCE(s.loved, false)', type: 'boolean' },
+  compilation: { expr: 'COALESCE(s.compilation, false)', type: 'boolean' },
+  tags: { expr: 's.tags', type: 'tags' },
+  created_at: { expr: 's.created_at', type: 'date' },
+  last_played: { expr: 'plays.last_played', type: 'date' }
+};
+
+// Operators per value type (dates: in_last / not_in_last take days, before / after take YYYY-MM-DD dates)
+const OPERATORS = {
+  text: ['is', 'is_not', 'contains', 'not_contains', 'starts_with'],
+  number: ['is', 'is_not', 'gt', 'lt', 'between'],
+  boolean: ['is'],
+  tags: ['contains', 'not_contains'],
+  date: ['in_last', 'not_in_last', 'before', 'after']
+};
+
+// Whole number within an integer column's range (numeric strings accepted), else undefined
+const toInteger = (value, max = INTEGER_MAX) => {
+  if (value === null || value === '' || typeof value === 'boolean') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && Math.abs(number) <= max ? number : undefined;
+};
+
+// ISO date (YYYY-MM-DD) that exists on the calendar, so Postgres parses it the same way
+const isIsoDate = (value) => {
+  const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return year >= 1 && date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Check a condition's value for its field and operator (returns the cleaned value or undefined)
+const normalizeValue = ({ type, max }, op, value) => {
+  if (type === 'text' || type === 'tags') {
+    if (typeof value !== 'string' || value.trim().length === 0) return undefined;
+    return type === 'tags' ? value.trim().toLowerCase() : value.trim();
+  }
+
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? value : undefined;
+  }
+
+  if (type === 'number') {
+    if (op === 'between') {
+      if (!Array.isArray(value) || value.length !== 2) return undefined;
+      const range = value.map(bound => toInteger(bound, max));
+      return range.every(bound => bound !== undefined) && range[0] <= range[1] ? range : undefined;
+    }
+    return toInteger(value, max);
+  }
+
+  // date
+  if (op === 'in_last' || op === 'not_in_last') {
+    const days = toInteger(value, MAX_DAYS);
+    return days > 0 ? days : undefined;
+  }
+  return isIsoDate(value) ? value : undefined;
+};
+
+// What a valid value looks like, for error messages
+const describeValue = ({ type, max = INTEGER_MAX }, op) => {
+  if (type === 'text' || type === 'tags') return 'a non-empty string';
+  if (type === 'boolean') return 'true or false';
+  if (type === 'number') {
+    const integer = `a whole number up to ${max}`;
+    return op === 'between' ? `[min, max], each ${integer}` : integer;
+  }
+  if (op === 'in_last' || op === 'not_in_last') return `a number of days from 1 to ${MAX_DAYS}`;
+  return 'a date as YYYY-MM-DD';
+};
+
+/**
+ * Validate rules from a request body. Returns { rules } (normalized) or { error }.
+ */
+const normalizeRules = (rules) => {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return { error: 'rules object is required for smart playlists' };
+  }
+
+  const match = rules.match || 'all';
+  if (!['all', 'any'].includes(match)) {
+    return { error: 'rules.match must be all or any' };
+  }
+
+  const conditions = rules.conditions || [];
+  if (!Array.isArray(conditions) || conditions.length > MAX_CONDITIONS) {
+    return { error: `rules.conditions must be an array of at most ${MAX_CONDITIONS} conditions` };
+  }
+
+  const normalized = [];
+  for (const condition of conditions) {
+    const field = FIELDS[condition && condition.field];
+    if (!field) {
+      return { error: `Unknown field. Use: ${Object.keys(FIELDS).join(', ')}` };
+    }
+
+    if (!OPERATORS[field.type].includes(condition.op)) {
+      return { error: `Invalid op for ${condition.field}. Use: ${OPERATORS[field.type].join(', ')}` };
+    }
+
+    const value = normalizeValue(field, condition.op, condition.value);
+    if (value === undefined) {
+      return { error: `Invalid value for ${condition.field} ${condition.op}: use ${describeValue(field, condition.op)}` };
+    }
+
+    normalized.push({ field: condition.field, op: condition.op, value });
+  }
+
+  const sort = rules.sort || 'created_at';
+  if (sort !== 'random' && !FIELDS[sort]) {
+    return { error: `Invalid sort. Use: random, ${Object.keys(FIELDS).filter(f => f !== 'tags').join(', ')}` };
+  }
+  if (FIELDS[sort] && FIELDS[sort].type === 'tags') {
+    return { error: 'Cannot sort by tags' };
+  }
+
+  const order = String(rules.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'rules.order must be asc or desc' };
+  }
+
+  let limit = null;
+  if (rules.limit !== undefined && rules.limit !== null) {
+    limit = parseInt(rules.limit);
+    if (!(limit >= 1 && limit <= MAX_LIMIT)) {
+      return { error: `rules.limit must be between 1 and ${MAX_LIMIT}` };
+    }
+  }
+
+  return { rules: { match, conditions: normalized, sort, order, limit } };
+};
+
+// SQL for one condition
+const buildCondition = ({ field, op, value }, param) => {
+  const { expr, type } = FIELDS[field];
+
+  if (type === 'text') {
+    const text = `LOWER(COALESCE(${expr}, ''))`;
+    switch (op) {
+      case 'is': return `${text} = LOWER(${param(value)})`;
+      case 'is_not': return `${text} != LOWER(${param(value)})`;
+      case 'contains': return `POSITION(LOWER(${param(value)}) IN ${text}) > 0`;
+      case 'not_contains': return `POSITION(LOWER(${param(value)}) IN ${text}) = 0`;
+      case 'starts_with': return `starts_with(${text}, LOWER(${param(value)}))`;
+    }
+  }
+
+  if (type === 'number') {
+    switch (op) {
+      case 'is': return `${expr} = ${param(value)}`;
+      case 'is_not': return `${expr} IS DISTINCT FROM ${param(value)}`;
+      case 'gt': return `${expr} > ${param(value)}`;
+      case 'lt': return `${expr} < ${param(value)}`;
+      case 'between': return `${expr} BETWEEN ${param(value[0])} AND ${param(value[1])}`;
+    }
+  }
+
+  if (type === 'boolean') {
+    return `${expr} = ${param(value)}`;
+  }
+
+  if (type === 'tags') {
+    const contains = `COALESCE(${expr}, '{}') @> ARRAY[${param(value)}]::text[]`;
+    return op === 'contains' ? contains : `NOT (${contains})`;
+  }
+
+  // date (never-set values, e.g. unplayed songs, count as "not in the last N days")
+  switch (op) {
+    case 'in_last': return `${expr} >= CURRENT_TIMESTAMP - ${param(value)} * INTERVAL '1 day'`;
+    case 'not_in_last': return `(${expr} IS NULL OR ${expr} < CURRENT_TIMESTAMP - ${param(value)} * INTERVAL '1 day')`;
+    case 'before': return `${expr} < ${param(value)}::timestamp`;
+    case 'after': return `${expr} >= ${param(value)}::timestamp`;
+  }
+};
+
+// Full query for a user's songs matching the rules
+const buildSmartQuery = (userId, rules, columns) => {
+  const params = [userId];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const conditions = rules.conditions.map(condition => buildCondition(condition, param));
+  const where = conditions.length > 0
+    ? `AND (${conditions.join(rules.match === 'any' ? ' OR ' : ' AND ')})`
+    : '';
+
+  const order = rules.order === 'asc' ? 'ASC' : 'DESC';
+  const orderBy = rules.sort === 'random'
+    ? 'RANDOM()'
+    : `${FIELDS[rules.sort].expr} ${order} NULLS LAST, s.id ${order}`;
+
+  return {
+    text: `
+      SELECT ${columns.join(', ')}
+      FROM songs s
+      ${PLAYS_JOIN}
+      WHERE s.user_id = $1 AND s.deleted_at IS NULL
+        ${where}
+      ORDER BY ${orderBy}
+      LIMIT ${param(rules.limit || MAX_LIMIT)}
+    `,
+    params
+  };
+};
+
+/**
+ * Songs currently matching a smart playlist (columns are expressions on songs s)
+ */
+const getSmartPlaylistSongs = async (userId, rules, columns) => {
+  const { text, params } = buildSmartQuery(userId, rules, columns);
+  const result = await query(text, params);
+  return result.rows;
+};
+
+/**
+ * Song count and total duration of a smart playlist
+ */
+const getSmartPlaylistSummary = async (userId, rules) => {
+  const { text, params } = buildSmartQuery(userId, rules, ['s.duration']);
+  const result = await query(`
+    SELECT COUNT(*) as song_count, COALESCE(SUM(duration), 0) as total_duration
+    FROM (${text}) matched
+  `, params);
+  return result.rows[0];
+};
+
+module.exports = {
+  normalizeRules,
+  getSmartPlaylistSongs,
+  getSmartPlaylistSummary
+};
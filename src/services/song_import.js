@@ -0,0 +1,235 @@
+/**
+ * Song Import
+ * Turns an uploaded audio file into a songs row: tags, artwork, album, lyrics and the storage charge
+ *
+ * Shared by every upload path (multipart form, direct upload, tus, jobs, archives). Files are
+ * described by the upload storage engine shape: originalname, mimetype, format (detected format
+ * id, sniffed from the local copy when missing), key, size, contentHash, path (local copy for
+ * metadata parsing) and upload (R2 writer, committed once the quota is charged).
+ */
+
+const fs = require('fs');
+const mm = require('music-metadata');
+const { query } = require('../config/database');
+const { deleteObject } = require('../config/storage');
+const { saveArtwork, getArtworkUrl } = require('./artwork');
+const { resolveAlbumId } = require('./albums');
+const { EXTENDED_TAG_COLUMNS, fitTag, readExtendedTags, getAlbumArtist } = require('./tags');
+const { readReplayGainTags, queueLoudnessAnalysis } = require('./loudness');
+const { queueWaveforms } = require('./waveform');
+const { readId3Tag, readEmbeddedLyrics, saveLyrics } = require('./lyrics');
+const { AUDIO_FORMATS, unsupportedAudioError, sniffAudioFile, resolveAudioFormat } = require('./audio_formats');
+
+const MAX_FILE_SIZE = 200 * 1024 * 1024; // 200MB max per file
+
+const DUPLICATE_POLICIES = ['reject', 'skip', 'keep'];
+
+/**
+ * Identify and parse an uploaded file's temp copy: format from its magic bytes, container checked
+ * by music-metadata, tags (title falls back to the filename, as do all tags when parsing fails).
+ * Throws unsupportedAudioError for files without supported magic bytes, or without an audio stream.
+ */
+const extractMetadata = async (file) => {
+  const detected = file.format || await sniffAudioFile(file.path);
+  if (!detected) {
+    throw unsupportedAudioError(file.originalname);
+  }
+
+  const stream = fs.createReadStream(file.path);
+  let parsed;
+  let parseFailed = false;
+  try {
+    parsed = await mm.parseStream(stream, { mimeType: AUDIO_FORMATS[detected].contentType, size: file.size });
+  } catch (metaError) {
+    // Damaged tags or an odd container: the magic bytes matched, so keep the file under its filename
+    console.error('Metadata extraction error:', metaError.message);
+    parsed = { format: {}, common: {}, native: {} };
+    parseFailed = true;
+  } finally {
+    stream.destroy();
+  }
+
+  // A parser that got through the file without finding an audio stream means the magic bytes were a coincidence
+  if (!parseFailed && !parsed.format.sampleRate && !parsed.format.duration) {
+    throw unsupportedAudioError(file.originalname);
+  }
+
+  return {
+    format: resolveAudioFormat(detected, parsed.format),
+    title: fitTag(parsed.common.title || file.originalname.replace(/\.[^/.]+$/, '')),
+    artist: fitTag(parsed.common.artist) || 'Unknown Artist',
+    album: fitTag(parsed.common.album) || 'Unknown Album',
+    track_number: parsed.common.track?.no || null,
+    disc_number: parsed.common.disk?.no || null,
+    year: parsed.common.year || null,
+    genre: fitTag(parsed.common.genre?.[0], 100),
+    duration: Math.round(parsed.format.duration) || 0,
+    picture: mm.selectCover(parsed.common.picture),
+    ...readExtendedTags(parsed.common),
+    replayGain: readReplayGainTags(parsed.common),
+    lyrics: readEmbeddedLyrics(await readId3Tag(file.path).catch(() => null), parsed),
+  };
+};
+
+// Charge a file to the user's storage; false when it no longer fits (concurrent uploads and
+// other upload reservations included). reserved: bytes already held for this file by its upload session
+const chargeStorage = async (userId, size, reserved = 0) => {
+  const result = await query(`
+    UPDATE users
+    SET storage_used = storage_used + $1, storage_reserved = GREATEST(storage_reserved - $3, 0)
+    WHERE id = $2 AND storage_used + storage_reserved - $3 + $1 <= storage_limit
+    RETURNING id
+  `, [size, userId, reserved]);
+  return result.rows.length > 0;
+};
+
+// Undo chargeStorage (the reservation goes back too, its session still owns it)
+const refundStorage = (userId, size, reserved = 0) => query(
+  'UPDATE users SET storage_used = GREATEST(storage_used - $1, 0), storage_reserved = storage_reserved + $3 WHERE id = $2',
+  [size, userId, reserved]
+);
+
+// Duplicate policy: a requested one (e.g. ?duplicates=) overrides the user's duplicate_policy setting
+const getDuplicatePolicy = async (userId, requested) => {
+  if (DUPLICATE_POLICIES.includes(requested)) {
+    return requested;
+  }
+
+  const result = await query(
+    'SELECT duplicate_policy FROM user_settings WHERE user_id = $1',
+    [userId]
+  );
+  return result.rows[0]?.duplicate_policy || 'skip';
+};
+
+// Existing song with identical audio content (songs in the trash don't count)
+const findDuplicate = async (userId, contentHash) => {
+  const result = await query(
+    'SELECT * FROM songs WHERE user_id = $1 AND content_hash = $2 AND deleted_at IS NULL ORDER BY created_at ASC LIMIT 1',
+    [userId, contentHash]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Commit an uploaded file to R2, charge it to the user and create its songs row.
+ * Options: reserved (bytes already held for the file by its upload session or job),
+ * keepObject (leave the object in R2 when the insert fails, e.g. so a job can retry it),
+ * artworkId (artwork row used when the file has no embedded cover, e.g. the album folder's cover.jpg),
+ * jobFileId (upload_job_files row that gets the song id in the statement inserting the song).
+ * Returns the song, or null when the file no longer fits the user's storage
+ * (throws unsupportedAudioError, before charging anything, when the file isn't audio).
+ */
+const createSong = async (userId, file, { reserved = 0, keepObject = false, artworkId = null, jobFileId = null } = {}) => {
+  const metadata = await extractMetadata(file);
+
+  if (!(await chargeStorage(userId, file.size, reserved))) {
+    return null;
+  }
+
+  try {
+    await file.upload.commit();
+  } catch (storageError) {
+    await refundStorage(userId, file.size, reserved);
+    throw storageError;
+  }
+
+  try {
+    return await insertSong(userId, file, metadata, artworkId, jobFileId);
+  } catch (error) {
+    await refundStorage(userId, file.size, reserved);
+    if (!keepObject) await deleteObject(file.key).catch(() => {});
+    throw error;
+  }
+};
+
+// Songs row (plus artwork, album and lyrics) for a committed upload
+const insertSong = async (userId, file, metadata, fallbackArtworkId, jobFileId) => {
+  const format = AUDIO_FORMATS[metadata.format];
+
+  // Embedded cover art (shared by every track carrying the same image), else the one supplied
+  let artwork = fallbackArtworkId ? { id: fallbackArtworkId } : null;
+  if (metadata.picture) {
+    try {
+      artwork = await saveArtwork(userId, metadata.picture.data);
+    } catch (artError) {
+      console.error('Artwork extraction error:', artError.message);
+    }
+  }
+
+  const albumId = await resolveAlbumId(userId, metadata.album, getAlbumArtist(metadata));
+
+  // ReplayGain tags (when present) take precedence over the loudness analysis queued below
+  const replayGain = metadata.replayGain || {};
+  const gainSource = replayGain.track_gain !== null && replayGain.track_gain !== undefined ? 'tags' : null;
+
+  // Save to database (only the object key is stored; URLs are presigned on read)
+  const extendedValues = EXTENDED_TAG_COLUMNS.map(column => metadata[column] ?? null);
+  const extendedParams = EXTENDED_TAG_COLUMNS.map((column, i) => `$${23 + i}`);
+
+  // Upload jobs record the song on their file atomically with the insert (see upload_jobs.js)
+  const recordOnJobFile = jobFileId
+    ? `, job_file AS (UPDATE upload_job_files SET song_id = song.id FROM song WHERE upload_job_files.id = $${23 + EXTENDED_TAG_COLUMNS.length})`
+    : '';
+
+  const songResult = await query(`
+    WITH song AS (
+      INSERT INTO songs (user_id, title, artist, album, track_number, duration, year, genre, file_key, file_size, format, content_type, content_hash,
+                         artwork_id, artwork_url, album_id, disc_number, track_gain, track_peak, album_gain, album_peak, gain_source,
+                         ${EXTENDED_TAG_COLUMNS.join(', ')}, tags_scanned_at, audio_hashed_at, loudness_status, waveform_status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22,
+              ${extendedParams.join(', ')}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 'pending', 'pending')
+      RETURNING *
+    )${recordOnJobFile}
+    SELECT * FROM song
+  `, [
+    userId,
+    metadata.title,
+    metadata.artist,
+    metadata.album,
+    metadata.track_number,
+    metadata.duration,
+    metadata.year,
+    metadata.genre,
+    file.key,
+    file.size,
+    format.extension,
+    format.contentType,
+    file.contentHash,
+    artwork ? artwork.id : null,
+    artwork ? getArtworkUrl(artwork.id) : null,
+    albumId,
+    metadata.disc_number || null,
+    gainSource ? replayGain.track_gain : null,
+    gainSource ? replayGain.track_peak : null,
+    gainSource ? replayGain.album_gain : null,
+    gainSource ? replayGain.album_peak : null,
+    gainSource,
+    ...extendedValues,
+    ...(jobFileId ? [jobFileId] : [])
+  ]);
+
+  const song = songResult.rows[0];
+
+  // Embedded lyrics (USLT/SYLT, Vorbis LYRICS); a bad tag never fails the upload
+  if (metadata.lyrics) {
+    try {
+      await saveLyrics(song.id, metadata.lyrics, 'embedded');
+    } catch (lyricsError) {
+      console.error('Lyrics extraction error:', lyricsError.message);
+    }
+  }
+
+  queueLoudnessAnalysis();
+  queueWaveforms();
+
+  return song;
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  DUPLICATE_POLICIES,
+  getDuplicatePolicy,
+  findDuplicate,
+  createSong
+};
@@ -0,0 +1,138 @@
+/**
+ * Sync Service
+ * Delta sync for offline clients, read from the sync_changes log (filled by triggers, see migrate.js)
+ *
+ * The log keeps one row per changed entity with the sequence number of its latest change,
+ * so a page holds ids only and the current rows are read here: an entity that still exists
+ * is an upsert, one that was deleted or trashed is a tombstone. Smart playlist contents are
+ * not synced - clients evaluate them from the playlist rules and the synced songs.
+ */
+
+const { query } = require('../config/database');
+const { signSongUrls } = require('../config/storage');
+
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 1000;
+
+// Song columns sent to clients (the GET /api/library fields)
+const SONG_COLUMNS = [
+  'id', 'title', 'artist', 'album', 'album_artist', 'album_id', 'disc_number', 'track_number', 'duration',
+  'year', 'genre', 'composer', 'compilation', 'bpm',
+  'loudness_lufs', 'true_peak', 'track_gain', 'track_peak', 'album_gain', 'album_peak',
+  'file_url', 'file_key', 'file_size', 'format', 'content_type', 'artwork_url', 'rating', 'loved', 'tags', 'created_at'
+];
+
+const PLAYLIST_COLUMNS = ['id', 'name', 'description', 'is_public', 'share_code', 'type', 'rules', 'created_at', 'updated_at'];
+
+/**
+ * Parse a sync token (omitted means a full sync from 0). Returns { since } or { error }.
+ */
+const parseSyncToken = async (token) => {
+  if (token === undefined || token === '') return { since: 0 };
+
+  if (!/^\d{1,18}$/.test(String(token))) {
+    return { error: 'Invalid sync token' };
+  }
+
+  // Tokens always come from this server, anything past the sequence is made up
+  const current = await query('SELECT last_value, is_called FROM sync_change_seq');
+  const last = current.rows[0].is_called ? BigInt(current.rows[0].last_value) : 0n;
+  if (BigInt(token) > last) {
+    return { error: 'Invalid sync token' };
+  }
+
+  return { since: String(token) };
+};
+
+// Split logged ids into live rows and tombstones
+const resolve = (ids, rows) => {
+  const live = new Set(rows.map(row => row.id));
+  return { upserted: rows, deleted: ids.filter(id => !live.has(id)) };
+};
+
+/**
+ * Changes for a user after a token:
+ * { token, has_more, upserted: { songs, playlists, playlist_songs, settings }, deleted: { songs, playlists, playlist_songs } }
+ * A full sync (since 0) leaves out tombstones.
+ */
+const getChanges = async (userId, since, limit = DEFAULT_PAGE_SIZE) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const log = await query(`
+    SELECT entity, entity_id, seq
+    FROM sync_changes
+    WHERE user_id = $1 AND seq > $2
+    ORDER BY seq ASC
+    LIMIT $3
+  `, [userId, since, pageSize + 1]);
+
+  const hasMore = log.rows.length > pageSize;
+  const page = log.rows.slice(0, pageSize);
+  const idsOf = (entity) => page.filter(row => row.entity === entity).map(row => row.entity_id);
+
+  const songIds = idsOf('song');
+  const playlistIds = idsOf('playlist');
+  const entryIds = idsOf('playlist_song');
+
+  const songs = songIds.length > 0
+    ? await query(
+      `SELECT ${SONG_COLUMNS.join(', ')} FROM songs WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NULL`,
+      [songIds, userId]
+    )
+    : { rows: [] };
+
+  const playlists = playlistIds.length > 0
+    ? await query(
+      `SELECT ${PLAYLIST_COLUMNS.join(', ')} FROM playlists WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NULL`,
+      [playlistIds, userId]
+    )
+    : { rows: [] };
+
+  // Entries are only visible while both their playlist and their song are
+  const entries = entryIds.length > 0
+    ? await query(`
+      SELECT ps.id, ps.playlist_id, ps.song_id, ps.position, ps.added_at
+      FROM playlist_songs ps
+      JOIN playlists p ON ps.playlist_id = p.id AND p.deleted_at IS NULL
+      JOIN songs s ON ps.song_id = s.id AND s.deleted_at IS NULL
+      WHERE ps.id = ANY($1::uuid[]) AND p.user_id = $2
+    `, [entryIds, userId])
+    : { rows: [] };
+
+  let settings = null;
+  if (idsOf('settings').length > 0) {
+    const result = await query('SELECT * FROM user_settings WHERE user_id = $1', [userId]);
+    if (result.rows.length > 0) {
+      const { user_id, scrobbler_token, ...rest } = result.rows[0];
+      settings = { ...rest, scrobbler_linked: !!scrobbler_token };
+    }
+  }
+
+  const changes = {
+    songs: resolve(songIds, songs.rows),
+    playlists: resolve(playlistIds, playlists.rows),
+    playlist_songs: resolve(entryIds, entries.rows)
+  };
+  const fullSync = String(since) === '0';
+
+  return {
+    token: String(page.length > 0 ? page[page.length - 1].seq : since),
+    has_more: hasMore,
+    upserted: {
+      songs: await signSongUrls(changes.songs.upserted),
+      playlists: changes.playlists.upserted,
+      playlist_songs: changes.playlist_songs.upserted,
+      settings
+    },
+    deleted: {
+      songs: fullSync ? [] : changes.songs.deleted,
+      playlists: fullSync ? [] : changes.playlists.deleted,
+      playlist_songs: fullSync ? [] : changes.playlist_songs.deleted
+    }
+  };
+};
+
+module.exports = {
+  parseSyncToken,
+  getChanges
+};
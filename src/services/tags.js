@@ -0,0 +1,73 @@
+/**
+ * Tag Mapping
+ * Extended music-metadata tags -> songs columns (shared by upload and the tag backfill job)
+ */
+
+// songs columns filled from extended tags
+const EXTENDED_TAG_COLUMNS = [
+  'album_artist', 'composer', 'compilation', 'bpm',
+  'title_sort', 'artist_sort', 'album_sort', 'album_artist_sort',
+  'musicbrainz_track_id', 'musicbrainz_recording_id', 'musicbrainz_album_id',
+  'musicbrainz_artist_id', 'musicbrainz_album_artist_id'
+];
+
+// Albums without an album artist tag that are flagged as compilations are filed under this name
+const VARIOUS_ARTISTS = 'Various Artists';
+
+// Multi-valued MusicBrainz artist ids: keep the primary one
+const first = (value) => (Array.isArray(value) ? value[0] : value) || null;
+
+/**
+ * Tag text cut to fit its VARCHAR column (lengths count characters, like Postgres does),
+ * so an overlong tag never fails the upload. null for empty values.
+ */
+const fitTag = (value, maxLength = 255) => {
+  if (!value) return null;
+  const chars = Array.from(String(value));
+  return chars.length > maxLength ? chars.slice(0, maxLength).join('') : String(value);
+};
+
+// MusicBrainz ids are UUIDs: anything longer is a broken tag, not worth keeping half of
+const mbid = (value) => (value && String(value).length <= 36 ? String(value) : null);
+
+/**
+ * Extended tag values from music-metadata's common tags
+ */
+const readExtendedTags = (common) => {
+  const bpm = Math.round(common.bpm || 0);
+
+  return {
+    album_artist: fitTag(common.albumartist),
+    composer: fitTag(common.composer?.join(', ')),
+    compilation: !!common.compilation,
+    bpm: bpm >= 1 && bpm <= 999 ? bpm : null,
+    title_sort: fitTag(common.titlesort),
+    artist_sort: fitTag(common.artistsort),
+    album_sort: fitTag(common.albumsort),
+    album_artist_sort: fitTag(common.albumartistsort),
+    musicbrainz_track_id: mbid(common.musicbrainz_trackid),
+    musicbrainz_recording_id: mbid(common.musicbrainz_recordingid),
+    musicbrainz_album_id: mbid(common.musicbrainz_albumid),
+    musicbrainz_artist_id: mbid(first(common.musicbrainz_artistid)),
+    musicbrainz_album_artist_id: mbid(first(common.musicbrainz_albumartistid))
+  };
+};
+
+/**
+ * Artist a song's album is grouped under: album artist tag, then
+ * "Various Artists" for compilations, then the track artist
+ */
+const getAlbumArtist = (song) => {
+  return song.album_artist || (song.compilation ? VARIOUS_ARTISTS : song.artist) || '';
+};
+
+// SQL version of getAlbumArtist for queries on songs
+const ALBUM_ARTIST_SQL = `COALESCE(NULLIF(album_artist, ''), CASE WHEN compilation THEN '${VARIOUS_ARTISTS}' END, artist, '')`;
+
+module.exports = {
+  EXTENDED_TAG_COLUMNS,
+  fitTag,
+  readExtendedTags,
+  getAlbumArtist,
+  ALBUM_ARTIST_SQL
+};
@@ -0,0 +1,212 @@
+/**
+ * Transcoding Service
+ * Lower-bitrate renditions of songs (ffmpeg), cached in R2 next to the original
+ *
+ * Qualities follow user_settings.playback_quality: 'original' is the uploaded file,
+ * 'low' / 'high' are renditions in TRANSCODE_CODEC (opus or aac). Renditions are made
+ * on first request (the original is served meanwhile) or ahead of time with
+ * npm run renditions:build. They are a cache: never counted against storage quota.
+ * Song lists are signed with signPlaybackUrls (ready renditions only, nothing is queued).
+ */
+
+const { query } = require('../config/database');
+const { getSongKey, getSignedFileUrl, signSongUrls, createObjectWriter } = require('../config/storage');
+const { LEASE_MINUTES, runFfmpeg, createWorker } = require('./ffmpeg_worker');
+
+const QUALITIES = ['low', 'high', 'original'];
+
+// Target bitrate per rendition quality (kbps)
+const RENDITION_BITRATES = {
+  low: 96,
+  high: 192
+};
+
+// Output codecs (streamable containers only: ffmpeg writes to a pipe, streamed to R2)
+const CODECS = {
+  opus: { args: ['-c:a', 'libopus', '-vbr', 'on', '-f', 'ogg'], extension: 'opus', contentType: 'audio/ogg' },
+  aac: { args: ['-c:a', 'aac', '-f', 'adts'], extension: 'aac', contentType: 'audio/aac' }
+};
+
+const CODEC = CODECS[process.env.TRANSCODE_CODEC] ? process.env.TRANSCODE_CODEC : 'opus';
+
+const getRenditionKey = (userId, songId, quality) => `${userId}/renditions/${songId}/${quality}.${CODECS[CODEC].extension}`;
+
+/**
+ * Quality to play for a user: per-request override, else their playback_quality setting.
+ * Returns { quality } or { error }.
+ */
+const getPlaybackQuality = async (userId, override) => {
+  if (override !== undefined) {
+    if (!QUALITIES.includes(override)) {
+      return { error: `Invalid quality. Use: ${QUALITIES.join(', ')}` };
+    }
+    return { quality: override };
+  }
+
+  const result = await query('SELECT playback_quality FROM user_settings WHERE user_id = $1', [userId]);
+  const quality = result.rows[0]?.playback_quality;
+  return { quality: QUALITIES.includes(quality) ? quality : 'high' };
+};
+
+// Originals already at or below the target bitrate are served as they are
+const needsRendition = (song, quality) => {
+  const bitrate = RENDITION_BITRATES[quality];
+  if (!bitrate) return false;
+
+  const duration = parseInt(song.duration);
+  const size = parseInt(song.file_size);
+  if (!(duration > 0) || !(size > 0)) return true;
+
+  return (size * 8) / duration / 1000 > bitrate * 1.1;
+};
+
+/**
+ * Object to play for a song at a quality: { key, quality, contentType }.
+ * A missing rendition is queued and the original returned until it is ready.
+ * (song needs id, user_id, duration, file_size, file_url, file_key; content_type when it is streamed)
+ */
+const getPlaybackSource = async (song, quality) => {
+  const original = { key: getSongKey(song), quality: 'original', contentType: song.content_type || null };
+  if (!needsRendition(song, quality)) return original;
+
+  const existing = await query(
+    'SELECT status, file_key FROM song_renditions WHERE song_id = $1 AND quality = $2 AND codec = $3',
+    [song.id, quality, CODEC]
+  );
+
+  if (existing.rows.length > 0) {
+    const rendition = existing.rows[0];
+    return rendition.status === 'ready'
+      ? { key: rendition.file_key, quality, contentType: CODECS[CODEC].contentType }
+      : original;
+  }
+
+  await query(`
+    INSERT INTO song_renditions (song_id, user_id, quality, codec, bitrate)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (song_id, quality, codec) DO NOTHING
+  `, [song.id, song.user_id, quality, CODEC, RENDITION_BITRATES[quality]]);
+  queueTranscoding();
+
+  return original;
+};
+
+/**
+ * signSongUrls for a user's playback: file_url points at the ready rendition for their
+ * playback_quality (the original otherwise) and playback_quality says which one it is.
+ * Missing renditions are not queued here, only when a song is played (getPlaybackSource).
+ */
+const signPlaybackUrls = async (userId, songs) => {
+  const signed = await signSongUrls(songs);
+  const { quality } = await getPlaybackQuality(userId);
+
+  const ready = new Map();
+  if (RENDITION_BITRATES[quality] && songs.length > 0) {
+    const result = await query(`
+      SELECT song_id, file_key FROM song_renditions
+      WHERE song_id = ANY($1::uuid[]) AND quality = $2 AND codec = $3 AND status = 'ready'
+    `, [songs.map(song => song.id), quality, CODEC]);
+    result.rows.forEach(row => ready.set(row.song_id, row.file_key));
+  }
+
+  return Promise.all(signed.map(async (song) => {
+    if (!song.file_url) return song;
+    const key = ready.get(song.id);
+    return key
+      ? { ...song, file_url: await getSignedFileUrl(key), playback_quality: quality }
+      : { ...song, playback_quality: 'original' };
+  }));
+};
+
+// Rendition objects stored for songs (deleted along with them)
+const getRenditionKeys = async (userId, songIds) => {
+  const result = await query(`
+    SELECT file_key FROM song_renditions
+    WHERE user_id = $1 AND song_id = ANY($2::uuid[]) AND file_key IS NOT NULL
+  `, [userId, songIds]);
+  return result.rows.map(row => row.file_key);
+};
+
+/**
+ * Build one rendition, streaming ffmpeg's output to R2 as a multipart upload
+ */
+const buildRendition = async (rendition) => {
+  const key = getRenditionKey(rendition.user_id, rendition.song_id, rendition.quality);
+  const upload = createObjectWriter(key, CODECS[CODEC].contentType);
+
+  try {
+    await runFfmpeg(rendition, (input) => [
+      '-hide_banner', '-nostats', '-loglevel', 'error',
+      '-i', input,
+      '-vn', '-map_metadata', '-1',
+      ...CODECS[CODEC].args,
+      '-b:a', `${rendition.bitrate}k`,
+      'pipe:1'
+    ], { onOutput: (chunk) => upload.write(chunk) });
+
+    if (upload.size === 0) {
+      throw new Error('ffmpeg produced no output');
+    }
+    await upload.commit();
+  } catch (error) {
+    await upload.abort().catch(() => {});
+    throw error;
+  }
+
+  await query(`
+    UPDATE song_renditions
+    SET status = 'ready', file_key = $1, file_size = $2, error = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $3
+  `, [key, upload.size, rendition.id]);
+};
+
+const worker = createWorker({
+  label: 'Transcoding',
+  lease: async () => {
+    const leased = await query(`
+      UPDATE song_renditions r
+      SET status = 'transcoding', updated_at = CURRENT_TIMESTAMP
+      FROM songs s
+      WHERE r.id = (
+        SELECT id FROM song_renditions
+        WHERE status = 'pending'
+           OR (status = 'transcoding' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '${LEASE_MINUTES} minutes')
+        ORDER BY created_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+        AND s.id = r.song_id
+      RETURNING r.id, r.song_id, r.user_id, r.quality, r.bitrate, s.file_url, s.file_key
+    `);
+    return leased.rows[0] || null;
+  },
+  run: buildRendition,
+  requeue: (rendition) => query("UPDATE song_renditions SET status = 'pending' WHERE id = $1", [rendition.id]),
+  fail: (rendition, error) => query(
+    "UPDATE song_renditions SET status = 'failed', error = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+    [error.message.substring(0, 255), rendition.id]
+  ),
+  describe: (rendition) => `${rendition.song_id} (${rendition.quality})`
+});
+
+// Build pending renditions until none are left. Returns the number built.
+const processPending = worker.processPending;
+
+// Start transcoding now without waiting for it (playback path)
+const queueTranscoding = worker.queue;
+
+// Periodic pass for anything left pending (started once from index.js)
+const startTranscodeWorker = worker.start;
+
+module.exports = {
+  QUALITIES,
+  RENDITION_BITRATES,
+  CODEC,
+  getPlaybackQuality,
+  needsRendition,
+  getPlaybackSource,
+  signPlaybackUrls,
+  getRenditionKeys,
+  processPending,
+  startTranscodeWorker
+};
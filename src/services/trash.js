@@ -0,0 +1,167 @@
+/**
+ * Trash Service
+ * Soft deletion for songs and playlists (deleted_at), restore and purge
+ *
+ * Trashed songs keep their playlist memberships, play history and storage charge;
+ * everything is released when the trash is purged or the retention period
+ * (TRASH_RETENTION_DAYS) runs out.
+ */
+
+const { query } = require('../config/database');
+const { getSongKey, deleteObjects } = require('../config/storage');
+const { pruneEmptyAlbums } = require('./albums');
+const { getRenditionKeys } = require('./transcoder');
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Move songs to the trash. Returns the trashed rows.
+ */
+const trashSongs = async (userId, songIds) => {
+  const result = await query(`
+    UPDATE songs SET deleted_at = CURRENT_TIMESTAMP
+    WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NULL
+    RETURNING id, file_size
+  `, [songIds, userId]);
+  return result.rows;
+};
+
+/**
+ * Take songs back out of the trash (playlist memberships were never removed). Returns the restored rows.
+ */
+const restoreSongs = async (userId, songIds) => {
+  const result = await query(`
+    UPDATE songs SET deleted_at = NULL
+    WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NOT NULL
+    RETURNING id
+  `, [songIds, userId]);
+  return result.rows;
+};
+
+/**
+ * Permanently delete songs owned by a user: rows, storage charge and R2 objects (renditions included).
+ * Returns the deleted rows.
+ */
+const purgeSongs = async (userId, songIds) => {
+  const renditionKeys = await getRenditionKeys(userId, songIds);
+
+  const result = await query(
+    'DELETE FROM songs WHERE id = ANY($1::uuid[]) AND user_id = $2 RETURNING id, file_size, file_url, file_key',
+    [songIds, userId]
+  );
+
+  if (result.rows.length === 0) return [];
+
+  // Update user storage (never below zero)
+  const freed = result.rows.reduce((sum, song) => sum + (parseInt(song.file_size) || 0), 0);
+  await query(
+    'UPDATE users SET storage_used = GREATEST(storage_used - $1, 0) WHERE id = $2',
+    [freed, userId]
+  );
+
+  await pruneEmptyAlbums(userId);
+
+  // Delete files from R2 (a failure leaves orphans for the reconcile job)
+  const keys = [...result.rows.map(getSongKey).filter(Boolean), ...renditionKeys];
+  try {
+    const failed = await deleteObjects(keys);
+    failed.forEach(key => console.error('R2 delete error:', key));
+  } catch (storageError) {
+    console.error('R2 delete error:', storageError.message);
+  }
+
+  return result.rows;
+};
+
+/**
+ * Move playlists to the trash. Returns the trashed rows.
+ */
+const trashPlaylists = async (userId, playlistIds) => {
+  const result = await query(`
+    UPDATE playlists SET deleted_at = CURRENT_TIMESTAMP
+    WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NULL
+    RETURNING id
+  `, [playlistIds, userId]);
+  return result.rows;
+};
+
+/**
+ * Take playlists back out of the trash. Returns the restored rows.
+ */
+const restorePlaylists = async (userId, playlistIds) => {
+  const result = await query(`
+    UPDATE playlists SET deleted_at = NULL
+    WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NOT NULL
+    RETURNING id
+  `, [playlistIds, userId]);
+  return result.rows;
+};
+
+/**
+ * Permanently delete playlists (their playlist_songs rows go with them). Returns the deleted rows.
+ */
+const purgePlaylists = async (userId, playlistIds) => {
+  const result = await query(
+    'DELETE FROM playlists WHERE id = ANY($1::uuid[]) AND user_id = $2 RETURNING id',
+    [playlistIds, userId]
+  );
+  return result.rows;
+};
+
+let purging = false;
+
+/**
+ * Permanently delete everything trashed longer than the retention period. Returns counts.
+ */
+const purgeExpired = async () => {
+  if (purging) return { songs: 0, playlists: 0 };
+  purging = true;
+
+  const purged = { songs: 0, playlists: 0 };
+
+  try {
+    const expiredSongs = await query(`
+      SELECT user_id, ARRAY_AGG(id) as ids
+      FROM songs
+      WHERE deleted_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'
+      GROUP BY user_id
+    `, [TRASH_RETENTION_DAYS]);
+
+    for (const { user_id, ids } of expiredSongs.rows) {
+      purged.songs += (await purgeSongs(user_id, ids)).length;
+    }
+
+    const expiredPlaylists = await query(
+      "DELETE FROM playlists WHERE deleted_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'",
+      [TRASH_RETENTION_DAYS]
+    );
+    purged.playlists = expiredPlaylists.rowCount;
+  } finally {
+    purging = false;
+  }
+
+  return purged;
+};
+
+// Hourly purge of expired trash (started once from index.js)
+const startTrashPurgeWorker = () => {
+  const run = () => {
+    purgeExpired().catch(error => console.error('Trash purge error:', error.message));
+  };
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  trashSongs,
+  restoreSongs,
+  purgeSongs,
+  trashPlaylists,
+  restorePlaylists,
+  purgePlaylists,
+  startTrashPurgeWorker
+};
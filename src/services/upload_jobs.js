@@ -0,0 +1,440 @@
+/**
+ * Upload Jobs
+ * Uploads received by the request and turned into songs by a background worker
+ *
+ * POST /api/upload/jobs only stores the files (committed to R2 right away, their bytes held
+ * in users.storage_reserved) and answers with a job. The worker then creates the songs one
+ * file at a time and pushes 'upload:progress' to the uploader's sockets (room uploads:<userId>,
+ * joined with 'uploads:subscribe'). Failed files keep their object and reservation, so a retry
+ * needs no new upload; they are discarded with their job after UPLOAD_JOB_RETENTION_DAYS.
+ *
+ * A file's song id is recorded in the statement that inserts the song, and an object a song
+ * points at is never deleted here, so a worker that crashes mid-file can't lose or duplicate it.
+ *
+ * POST /api/upload, /batch and /archive still create their songs within the request (their clients
+ * expect the songs in the response); jobs are the path for large batches.
+ */
+
+const fs = require('fs');
+const { query } = require('../config/database');
+const { deleteObject } = require('../config/storage');
+const { findDuplicate, createSong } = require('./song_import');
+const { downloadToTemp } = require('./upload_storage');
+const { reserveStorage, releaseStorage } = require('./upload_sessions');
+
+const UPLOAD_JOB_RETENTION_DAYS = parseInt(process.env.UPLOAD_JOB_RETENTION_DAYS) || 7;
+const WORKER_INTERVAL_MS = 5 * 60 * 1000;
+const LEASE_MINUTES = 30;
+
+// Temp copies left by the request, used instead of downloading the object again (this instance only)
+const localCopies = new Map();
+
+// Socket.IO server for progress events (set by startUploadJobWorker)
+let io = null;
+
+const FILE_COLUMNS = 'id, position, filename, file_size, status, error, song_id, duplicate_of, attempts, finished_at';
+
+const notify = (userId, payload) => {
+  if (io) io.to(`uploads:${userId}`).emit('upload:progress', payload);
+};
+
+// Files per status for a job
+const countFiles = async (jobId) => {
+  const result = await query(
+    'SELECT status, COUNT(*) AS count FROM upload_job_files WHERE job_id = $1 GROUP BY status',
+    [jobId]
+  );
+
+  const counts = { queued: 0, processing: 0, done: 0, skipped: 0, failed: 0 };
+  result.rows.forEach(row => { counts[row.status] = parseInt(row.count); });
+  return counts;
+};
+
+// Derive the job status from its files: processing while any are open, then done or failed
+const refreshJobStatus = async (jobId) => {
+  const result = await query(`
+    UPDATE upload_jobs j
+    SET status = CASE WHEN c.open > 0 THEN 'processing' WHEN c.failed > 0 THEN 'failed' ELSE 'done' END,
+        finished_at = CASE WHEN c.open > 0 THEN NULL ELSE CURRENT_TIMESTAMP END,
+        updated_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT COUNT(*) FILTER (WHERE status IN ('queued', 'processing')) AS open,
+             COUNT(*) FILTER (WHERE status = 'failed') AS failed
+      FROM upload_job_files WHERE job_id = $1
+    ) c
+    WHERE j.id = $1
+    RETURNING j.status
+  `, [jobId]);
+  return result.rows[0]?.status;
+};
+
+/**
+ * Store received files (upload storage engine files) as a queued job.
+ * Takes over the files' temp copies. Returns { job } or { error } when they don't fit the quota.
+ */
+const createUploadJob = async (userId, files, duplicatePolicy) => {
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+
+  if (!(await reserveStorage(userId, total))) {
+    return { error: 'Storage limit exceeded' };
+  }
+
+  const committed = [];
+  let inserted;
+
+  try {
+    for (const file of files) {
+      await file.upload.commit();
+      committed.push(file.key);
+    }
+
+    // The job and its files in one statement, so a failure leaves no job behind for the worker
+    inserted = await query(`
+      WITH job AS (
+        INSERT INTO upload_jobs (user_id, duplicate_policy) VALUES ($1, $2) RETURNING id
+      ), job_files AS (
+        INSERT INTO upload_job_files (job_id, user_id, position, filename, content_type, file_key, file_size, content_hash)
+        SELECT job.id, $1, f.position - 1, f.filename, f.content_type, f.file_key, f.file_size, f.content_hash
+        FROM job
+        CROSS JOIN unnest($3::varchar[], $4::varchar[], $5::varchar[], $6::bigint[], $7::varchar[])
+          WITH ORDINALITY AS f(filename, content_type, file_key, file_size, content_hash, position)
+        RETURNING id, position
+      )
+      SELECT job.id AS job_id, job_files.id, job_files.position
+      FROM job LEFT JOIN job_files ON true
+      ORDER BY job_files.position
+    `, [
+      userId,
+      duplicatePolicy,
+      files.map(file => file.originalname.substring(0, 255)),
+      files.map(file => file.mimetype),
+      files.map(file => file.key),
+      files.map(file => file.size),
+      files.map(file => file.contentHash)
+    ]);
+
+  } catch (error) {
+    await releaseStorage(userId, total);
+    await Promise.all(committed.map(key => deleteObject(key).catch(() => {})));
+    throw error;
+  }
+
+  for (const row of inserted.rows) {
+    if (!row.id) continue;
+    const file = files[row.position];
+    localCopies.set(row.id, file.path);
+    file.path = null;
+  }
+
+  queueUploadJobs();
+  return { job: await getUploadJob(userId, inserted.rows[0].job_id) };
+};
+
+/**
+ * A job with its per-file results (null when it doesn't exist or isn't the user's)
+ */
+const getUploadJob = async (userId, jobId) => {
+  const jobResult = await query(
+    'SELECT id, status, duplicate_policy, created_at, updated_at, finished_at FROM upload_jobs WHERE id = $1 AND user_id = $2',
+    [jobId, userId]
+  );
+  if (jobResult.rows.length === 0) return null;
+
+  const files = await query(
+    `SELECT ${FILE_COLUMNS} FROM upload_job_files WHERE job_id = $1 ORDER BY position ASC`,
+    [jobId]
+  );
+
+  return {
+    ...jobResult.rows[0],
+    total: files.rows.length,
+    counts: await countFiles(jobId),
+    files: files.rows
+  };
+};
+
+// Recent jobs (without their files)
+const listUploadJobs = async (userId, limit = 20) => {
+  const result = await query(`
+    SELECT j.id, j.status, j.created_at, j.updated_at, j.finished_at,
+           COUNT(f.id) AS total,
+           COUNT(f.id) FILTER (WHERE f.status = 'done') AS done,
+           COUNT(f.id) FILTER (WHERE f.status = 'skipped') AS skipped,
+           COUNT(f.id) FILTER (WHERE f.status = 'failed') AS failed
+    FROM upload_jobs j
+    LEFT JOIN upload_job_files f ON f.job_id = j.id
+    WHERE j.user_id = $1
+    GROUP BY j.id
+    ORDER BY j.created_at DESC
+    LIMIT $2
+  `, [userId, limit]);
+
+  return result.rows.map(row => ({
+    ...row,
+    total: parseInt(row.total),
+    done: parseInt(row.done),
+    skipped: parseInt(row.skipped),
+    failed: parseInt(row.failed)
+  }));
+};
+
+/**
+ * Queue a job's failed files again (all of them, or fileIds). Returns { job } or { error }.
+ */
+const retryUploadJob = async (userId, jobId, fileIds = null) => {
+  const result = await query(`
+    UPDATE upload_job_files f
+    SET status = 'queued', error = NULL, finished_at = NULL
+    FROM upload_jobs j
+    WHERE f.job_id = j.id AND j.id = $1 AND j.user_id = $2 AND f.status = 'failed'
+      AND ($3::uuid[] IS NULL OR f.id = ANY($3::uuid[]))
+    RETURNING f.id
+  `, [jobId, userId, fileIds]);
+
+  if (result.rows.length === 0) {
+    return { error: 'No failed files to retry' };
+  }
+
+  await query(
+    "UPDATE upload_jobs SET status = 'queued', finished_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [jobId]
+  );
+
+  queueUploadJobs();
+  return { job: await getUploadJob(userId, jobId), retried: result.rows.length };
+};
+
+// Delete a file's stored object, unless a song points at it
+const deleteFileObject = async (file) => {
+  const song = await query('SELECT id FROM songs WHERE file_key = $1 LIMIT 1', [file.file_key]);
+  if (song.rows.length > 0) return;
+
+  await deleteObject(file.file_key).catch(error => console.error('R2 delete error:', error.message));
+};
+
+// Release what failed files still hold (reservation, stored object)
+const discardFailedFiles = async (jobId) => {
+  const failed = await query(
+    "SELECT id, user_id, file_key, file_size FROM upload_job_files WHERE job_id = $1 AND status = 'failed'",
+    [jobId]
+  );
+
+  for (const file of failed.rows) {
+    await releaseStorage(file.user_id, file.file_size);
+    await deleteFileObject(file);
+  }
+};
+
+/**
+ * Delete a finished job, discarding its failed files. Returns { deleted } or { error }.
+ */
+const deleteUploadJob = async (userId, jobId) => {
+  const job = await query(
+    'SELECT status FROM upload_jobs WHERE id = $1 AND user_id = $2',
+    [jobId, userId]
+  );
+
+  if (job.rows.length === 0) return { error: 'Upload job not found', status: 404 };
+  if (!['done', 'failed'].includes(job.rows[0].status)) {
+    return { error: 'Upload job is still running', status: 409 };
+  }
+
+  await discardFailedFiles(jobId);
+  await query('DELETE FROM upload_jobs WHERE id = $1', [jobId]);
+  return { deleted: true };
+};
+
+/**
+ * Create the song for one leased file. Returns the columns to store: status, error, song_id, duplicate_of.
+ */
+const processFile = async (file, policy) => {
+  let localPath = localCopies.get(file.id);
+  localCopies.delete(file.id);
+
+  const size = parseInt(file.file_size);
+
+  try {
+    // An earlier attempt created the song, then crashed before finishing the file
+    const existing = await query(
+      'SELECT id FROM songs WHERE user_id = $1 AND file_key = $2 LIMIT 1',
+      [file.user_id, file.file_key]
+    );
+    if (file.song_id || existing.rows.length > 0) {
+      return { status: 'done', song_id: file.song_id || existing.rows[0].id };
+    }
+
+    if (!localPath || !fs.existsSync(localPath)) {
+      localPath = (await downloadToTemp(file.file_key)).path;
+    }
+
+    if (policy !== 'keep') {
+      const duplicate = await findDuplicate(file.user_id, file.content_hash);
+
+      if (duplicate) {
+        await releaseStorage(file.user_id, size);
+        await deleteFileObject(file);
+        return {
+          status: 'skipped',
+          error: policy === 'reject' ? 'Duplicate of a song already in your library' : null,
+          duplicate_of: duplicate.id
+        };
+      }
+    }
+
+    const song = await createSong(file.user_id, {
+      originalname: file.filename,
+      mimetype: file.content_type,
+      key: file.file_key,
+      size,
+      contentHash: file.content_hash,
+      path: localPath,
+      // Committed when the job was created
+      upload: { commit: async () => {}, abort: async () => {} }
+    }, { reserved: size, keepObject: true, jobFileId: file.id });
+
+    if (!song) {
+      return { status: 'failed', error: 'Storage limit exceeded' };
+    }
+    return { status: 'done', song_id: song.id };
+
+  } finally {
+    if (localPath) await fs.promises.unlink(localPath).catch(() => {});
+  }
+};
+
+// Temp copies of files that are no longer queued (processed by another instance, or discarded)
+const sweepLocalCopies = async () => {
+  if (localCopies.size === 0) return 0;
+
+  const queued = await query(
+    "SELECT id FROM upload_job_files WHERE id = ANY($1::uuid[]) AND status = 'queued'",
+    [[...localCopies.keys()]]
+  );
+  const keep = new Set(queued.rows.map(row => row.id));
+
+  let swept = 0;
+  for (const [fileId, localPath] of localCopies) {
+    if (keep.has(fileId)) continue;
+    localCopies.delete(fileId);
+    await fs.promises.unlink(localPath).catch(() => {});
+    swept++;
+  }
+  return swept;
+};
+
+let processing = false;
+
+/**
+ * Process queued files until none are left. Returns the number processed.
+ */
+const processPending = async () => {
+  if (processing) return 0;
+  processing = true;
+
+  let processed = 0;
+
+  try {
+    while (true) {
+      // Lease one file (stale leases from a crashed run are picked up again)
+      const leased = await query(`
+        UPDATE upload_job_files
+        SET status = 'processing', started_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+        WHERE id = (
+          SELECT f.id FROM upload_job_files f
+          JOIN upload_jobs j ON f.job_id = j.id
+          WHERE f.status = 'queued'
+             OR (f.status = 'processing' AND f.started_at < CURRENT_TIMESTAMP - INTERVAL '${LEASE_MINUTES} minutes')
+          ORDER BY j.created_at ASC, f.position ASC
+          LIMIT 1
+          FOR UPDATE OF f SKIP LOCKED
+        )
+        RETURNING *
+      `);
+
+      if (leased.rows.length === 0) break;
+      const file = leased.rows[0];
+
+      const job = await query('SELECT duplicate_policy FROM upload_jobs WHERE id = $1', [file.job_id]);
+      const started = await refreshJobStatus(file.job_id);
+      notify(file.user_id, {
+        job_id: file.job_id,
+        status: started,
+        counts: await countFiles(file.job_id),
+        file: { id: file.id, filename: file.filename, status: 'processing' }
+      });
+
+      let outcome;
+      try {
+        outcome = await processFile(file, job.rows[0].duplicate_policy);
+      } catch (error) {
+        console.error(`Upload job file ${file.id} failed:`, error.message);
+        outcome = { status: 'failed', error: error.message };
+      }
+
+      const updated = await query(`
+        UPDATE upload_job_files
+        SET status = $1, error = $2, song_id = COALESCE($3, song_id), duplicate_of = $4, finished_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+        RETURNING ${FILE_COLUMNS}
+      `, [outcome.status, outcome.error ? outcome.error.substring(0, 255) : null, outcome.song_id || null, outcome.duplicate_of || null, file.id]);
+      processed++;
+
+      notify(file.user_id, {
+        job_id: file.job_id,
+        status: await refreshJobStatus(file.job_id),
+        counts: await countFiles(file.job_id),
+        file: updated.rows[0]
+      });
+    }
+  } finally {
+    processing = false;
+  }
+
+  return processed;
+};
+
+// Finished jobs past the retention period go, with whatever their failed files still hold
+const purgeExpiredJobs = async () => {
+  const expired = await query(`
+    SELECT id FROM upload_jobs
+    WHERE status IN ('done', 'failed') AND finished_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'
+  `, [UPLOAD_JOB_RETENTION_DAYS]);
+
+  for (const job of expired.rows) {
+    await discardFailedFiles(job.id);
+    await query('DELETE FROM upload_jobs WHERE id = $1', [job.id]);
+  }
+  return expired.rows.length;
+};
+
+// Start processing now without waiting for it (upload path)
+const queueUploadJobs = () => {
+  processPending().catch(error => console.error('Upload job queue error:', error.message));
+};
+
+// Periodic pass for queued files, expired jobs and stale temp copies (started once from index.js with the Socket.IO server)
+const startUploadJobWorker = (socketServer) => {
+  io = socketServer;
+
+  const run = () => {
+    queueUploadJobs();
+    purgeExpiredJobs().catch(error => console.error('Upload job purge error:', error.message));
+    sweepLocalCopies().catch(error => console.error('Upload job sweep error:', error.message));
+  };
+  run();
+  const timer = setInterval(run, WORKER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  UPLOAD_JOB_RETENTION_DAYS,
+  createUploadJob,
+  getUploadJob,
+  listUploadJobs,
+  retryUploadJob,
+  deleteUploadJob,
+  processPending,
+  queueUploadJobs,
+  startUploadJobWorker
+};
@@ -0,0 +1,584 @@
+/**
+ * Upload Sessions
+ * Direct-to-R2 uploads: POST /api/upload/init reserves quota and hands out presigned URLs,
+ * the client uploads straight to the bucket, POST /api/upload/complete finalizes the song
+ *
+ * Resumable uploads (tus, see routes/tus.js) are sessions with protocol 'tus': every PATCH stores
+ * its bytes in R2 as they arrive, as parts of the session's multipart upload plus a tail object
+ * for the bytes past the last full part. upload_offset counts what is stored, so any instance can
+ * take the next PATCH; receiving_at is the lock one holds while it appends. The multipart upload
+ * is completed once the last byte arrives. Their expires_at moves forward with every PATCH.
+ *
+ * Reserved bytes sit in users.storage_reserved until the session is completed (turned into
+ * storage_used), aborted, failed or expired. Sessions left open past their expiry are
+ * expired by the worker, which releases the reservation and drops whatever was uploaded.
+ */
+
+const fs = require('fs');
+const {
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { query } = require('../config/database');
+const { r2Client, BUCKET, PART_SIZE, getSignedUploadUrl, deleteObject } = require('../config/storage');
+const { downloadToTemp } = require('./upload_storage');
+const { AUDIO_FORMATS, unsupportedAudioError, sniffAudioFile, hashAudioFile } = require('./audio_formats');
+
+// Seconds a session (and its presigned URLs) stays open
+const UPLOAD_SESSION_TTL = parseInt(process.env.UPLOAD_SESSION_TTL) || 3600;
+// Seconds a resumable upload may sit idle between PATCH requests
+const TUS_UPLOAD_TTL = parseInt(process.env.TUS_UPLOAD_TTL) || 86400;
+// Larger files get one presigned URL per part
+const MULTIPART_THRESHOLD = 4 * PART_SIZE;
+const WORKER_INTERVAL_MS = 5 * 60 * 1000;
+const COMPLETING_LEASE_MINUTES = 30;
+// A PATCH lock left by a crashed instance is taken over after this (longer than a request may run)
+const TUS_LOCK_MINUTES = 10;
+
+// Hold bytes for an upload; false when they don't fit next to what is stored and reserved
+const reserveStorage = async (userId, size) => {
+  const result = await query(`
+    UPDATE users SET storage_reserved = storage_reserved + $1
+    WHERE id = $2 AND storage_used + storage_reserved + $1 <= storage_limit
+    RETURNING id
+  `, [size, userId]);
+  return result.rows.length > 0;
+};
+
+const releaseStorage = (userId, size) => query(
+  'UPDATE users SET storage_reserved = GREATEST(storage_reserved - $1, 0) WHERE id = $2',
+  [size, userId]
+);
+
+// Object holding a resumable upload's bytes past its last full part
+const getTusTailKey = (session) => `${session.user_id}/tus/${session.id}.tail`;
+
+// Whatever the client sent for a session (partial multipart upload, the object itself, tus bytes)
+const dropUploadedObject = async (session) => {
+  try {
+    if (session.protocol === 'tus') {
+      await deleteObject(getTusTailKey(session));
+    }
+    if (session.multipart_upload_id) {
+      await r2Client.send(new AbortMultipartUploadCommand({
+        Bucket: BUCKET,
+        Key: session.file_key,
+        UploadId: session.multipart_upload_id
+      })).catch(() => {});
+    }
+    await deleteObject(session.file_key);
+  } catch (storageError) {
+    console.error('R2 delete error:', storageError.message);
+  }
+};
+
+/**
+ * Open a session: reserve the quota and presign the upload.
+ * Returns { session, url } (single PUT), { session, parts } (multipart) or { error }.
+ */
+const createUploadSession = async (userId, { key, filename, contentType, size }) => {
+  if (!(await reserveStorage(userId, size))) {
+    return { error: 'Storage limit exceeded' };
+  }
+
+  try {
+    let uploadId = null;
+    if (size > MULTIPART_THRESHOLD) {
+      const created = await r2Client.send(new CreateMultipartUploadCommand({
+        Bucket: BUCKET,
+        Key: key,
+        ContentType: contentType
+      }));
+      uploadId = created.UploadId;
+    }
+
+    const result = await query(`
+      INSERT INTO upload_sessions (user_id, file_key, filename, content_type, size, multipart_upload_id, part_size, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + $8 * INTERVAL '1 second')
+      RETURNING *
+    `, [userId, key, filename, contentType, size, uploadId, uploadId ? PART_SIZE : null, UPLOAD_SESSION_TTL]);
+    const session = result.rows[0];
+
+    if (!uploadId) {
+      const url = await getSignedUploadUrl({ key, contentType, size }, UPLOAD_SESSION_TTL);
+      return { session, url };
+    }
+
+    const partCount = Math.ceil(size / PART_SIZE);
+    const parts = await Promise.all(Array.from({ length: partCount }, async (_, i) => ({
+      part_number: i + 1,
+      size: Math.min(PART_SIZE, size - i * PART_SIZE),
+      url: await getSignedUploadUrl({
+        key,
+        uploadId,
+        partNumber: i + 1,
+        size: Math.min(PART_SIZE, size - i * PART_SIZE)
+      }, UPLOAD_SESSION_TTL)
+    })));
+    return { session, parts };
+
+  } catch (error) {
+    await releaseStorage(userId, size);
+    throw error;
+  }
+};
+
+/**
+ * Open a resumable upload: reserve the quota and start the multipart upload its bytes go to.
+ * Returns { session } or { error }.
+ */
+const createTusSession = async (userId, { key, filename, contentType, size, duplicatePolicy }) => {
+  if (!(await reserveStorage(userId, size))) {
+    return { error: 'Storage limit exceeded' };
+  }
+
+  try {
+    const created = await r2Client.send(new CreateMultipartUploadCommand({
+      Bucket: BUCKET,
+      Key: key,
+      ContentType: contentType
+    }));
+
+    const result = await query(`
+      INSERT INTO upload_sessions (user_id, protocol, file_key, filename, content_type, size, duplicate_policy,
+                                   multipart_upload_id, part_size, expires_at)
+      VALUES ($1, 'tus', $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP + $9 * INTERVAL '1 second')
+      RETURNING *
+    `, [userId, key, filename, contentType, size, duplicatePolicy || null, created.UploadId, PART_SIZE, TUS_UPLOAD_TTL]);
+    return { session: result.rows[0] };
+
+  } catch (error) {
+    await releaseStorage(userId, size);
+    throw error;
+  }
+};
+
+/**
+ * Take the PATCH lock of an open resumable upload, returns the locked session
+ * (null when another request holds it, or the upload is no longer open)
+ */
+const lockTusSession = async (session) => {
+  const result = await query(`
+    UPDATE upload_sessions SET receiving_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'pending'
+      AND (receiving_at IS NULL OR receiving_at < CURRENT_TIMESTAMP - INTERVAL '${TUS_LOCK_MINUTES} minutes')
+    RETURNING *
+  `, [session.id]);
+  return result.rows[0] || null;
+};
+
+const unlockTusSession = (session) => query(
+  'UPDATE upload_sessions SET receiving_at = NULL WHERE id = $1',
+  [session.id]
+);
+
+// Raised for PATCH bodies that go past Upload-Length, and for clients that leave mid-PATCH
+const tusOverrunError = () => {
+  const error = new Error('Upload exceeds Upload-Length');
+  error.code = 'TUS_OVERRUN';
+  return error;
+};
+
+const tusAbortedError = () => {
+  const error = new Error('Upload aborted');
+  error.code = 'TUS_ABORTED';
+  return error;
+};
+
+// The stored bytes past the last full part (empty when the offset sits on a part boundary)
+const readTusTail = async (session, length) => {
+  if (length === 0) return Buffer.alloc(0);
+
+  const object = await r2Client.send(new GetObjectCommand({
+    Bucket: BUCKET,
+    Key: getTusTailKey(session),
+    Range: `bytes=0-${length - 1}`
+  }));
+  const chunks = [];
+  for await (const chunk of object.Body) chunks.push(chunk);
+  return Buffer.concat(chunks).subarray(0, length);
+};
+
+/**
+ * Append a PATCH body to a resumable upload, never past its length (session: locked by
+ * lockTusSession). Full parts go to R2 as they fill up, the rest to the tail object, and
+ * upload_offset only moves past bytes R2 has: whatever was stored before an error or
+ * disconnect is kept. Returns { offset, expires_at, error } (error.code TUS_OVERRUN / TUS_ABORTED
+ * when the body went past Upload-Length / the client left).
+ */
+const appendTusChunk = async (session, stream) => {
+  const size = parseInt(session.size);
+  const startOffset = parseInt(session.upload_offset);
+  let parts = Math.floor(startOffset / PART_SIZE);
+  let pending = [await readTusTail(session, startOffset - parts * PART_SIZE)];
+  let pendingSize = pending[0].length;
+  let error = null;
+
+  const saveOffset = async (offset) => {
+    const result = await query(`
+      UPDATE upload_sessions
+      SET upload_offset = $1, receiving_at = CURRENT_TIMESTAMP,
+          expires_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 second', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING expires_at
+    `, [offset, TUS_UPLOAD_TTL, session.id]);
+    return result.rows[0]?.expires_at;
+  };
+
+  const sendPart = async (body) => {
+    await r2Client.send(new UploadPartCommand({
+      Bucket: BUCKET,
+      Key: session.file_key,
+      UploadId: session.multipart_upload_id,
+      PartNumber: parts + 1,
+      Body: body
+    }));
+    parts++;
+  };
+
+  const write = async (chunk) => {
+    if (parts * PART_SIZE + pendingSize + chunk.length > size) throw tusOverrunError();
+
+    pending.push(chunk);
+    pendingSize += chunk.length;
+
+    while (pendingSize >= PART_SIZE) {
+      const buffered = Buffer.concat(pending);
+      pending = [buffered.subarray(PART_SIZE)];
+      pendingSize = buffered.length - PART_SIZE;
+      await sendPart(buffered.subarray(0, PART_SIZE));
+      await saveOffset(parts * PART_SIZE);
+    }
+  };
+
+  // One chunk at a time (paused meanwhile). The request is never destroyed here, so the
+  // route can still answer a body that went too far.
+  await new Promise((resolve) => {
+    let writing = Promise.resolve();
+    let settled = false;
+
+    const settle = (streamError) => {
+      if (settled) return;
+      settled = true;
+      stream.removeListener('data', onData);
+      writing.then(() => {
+        if (streamError && !error) error = streamError;
+        resolve();
+      });
+    };
+
+    const onData = (chunk) => {
+      stream.pause();
+      writing = writing.then(() => write(chunk)).then(() => stream.resume(), (writeError) => {
+        error = writeError;
+        settle();
+      });
+    };
+
+    stream.on('data', onData);
+    stream.on('end', () => settle());
+    stream.on('error', () => settle(tusAbortedError()));
+    stream.on('close', () => {
+      if (!stream.complete) settle(tusAbortedError());
+    });
+  });
+
+  // Store what is left: the last part once everything is in, the tail otherwise
+  const complete = parts * PART_SIZE + pendingSize === size;
+  const body = Buffer.concat(pending);
+
+  try {
+    if (complete && body.length > 0) {
+      await sendPart(body);
+    } else if (!complete && body.length > 0 && parts * PART_SIZE + body.length > startOffset) {
+      await r2Client.send(new PutObjectCommand({ Bucket: BUCKET, Key: getTusTailKey(session), Body: body }));
+    }
+  } catch (storageError) {
+    error = error || storageError;
+    return { offset: parts * PART_SIZE, expires_at: await saveOffset(parts * PART_SIZE), error };
+  }
+
+  const offset = complete ? size : parts * PART_SIZE + body.length;
+  return { offset, expires_at: await saveOffset(offset), error };
+};
+
+/**
+ * Name and type an uploaded object after the format its bytes turned out to be: the key and
+ * content type came from what the client declared. Moves the session's file_key along.
+ */
+const retypeUploadedObject = async (session, format) => {
+  const { extension, contentType } = AUDIO_FORMATS[format];
+  const key = session.file_key.replace(/(\.[^./]+)?$/, `.${extension}`);
+  if (key === session.file_key && contentType === session.content_type) return;
+
+  await r2Client.send(new CopyObjectCommand({
+    Bucket: BUCKET,
+    Key: key,
+    CopySource: `${BUCKET}/${session.file_key}`,
+    ContentType: contentType,
+    MetadataDirective: 'REPLACE'
+  }));
+  await query(
+    'UPDATE upload_sessions SET file_key = $1, content_type = $2 WHERE id = $3',
+    [key, contentType, session.id]
+  );
+
+  if (key !== session.file_key) {
+    await deleteObject(session.file_key).catch(() => {});
+  }
+  session.file_key = key;
+  session.content_type = contentType;
+};
+
+/**
+ * Assemble a fully received resumable upload in R2 and copy it to a temp file, named and typed
+ * after the format its bytes turn out to be (throws unsupportedAudioError when not audio).
+ * Returns a file shaped like an upload storage engine file (for createSong).
+ */
+const finishTusUpload = async (session) => {
+  const parts = await listUploadedParts(session);
+  await r2Client.send(new CompleteMultipartUploadCommand({
+    Bucket: BUCKET,
+    Key: session.file_key,
+    UploadId: session.multipart_upload_id,
+    MultipartUpload: { Parts: parts.sort((a, b) => a.PartNumber - b.PartNumber) }
+  }));
+  await deleteObject(getTusTailKey(session)).catch(() => {});
+
+  const local = await downloadToTemp(session.file_key);
+
+  try {
+    if (local.size !== parseInt(session.size)) {
+      throw new Error(`Stored ${local.size} bytes, expected ${session.size}`);
+    }
+
+    const format = await sniffAudioFile(local.path);
+    if (!format) {
+      throw unsupportedAudioError(session.filename);
+    }
+    await retypeUploadedObject(session, format);
+
+    return {
+      originalname: session.filename,
+      mimetype: AUDIO_FORMATS[format].contentType,
+      format,
+      key: session.file_key,
+      size: local.size,
+      contentHash: await hashAudioFile(local.path, format),
+      path: local.path,
+      // Already in R2: nothing to commit, and the session owns the object
+      upload: { commit: async () => {}, abort: async () => {} }
+    };
+  } catch (error) {
+    await fs.promises.unlink(local.path).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Take an open session for completion (null when it doesn't exist, expired or is already being completed)
+ */
+const claimUploadSession = async (userId, sessionId, protocol = 'presigned') => {
+  const result = await query(`
+    UPDATE upload_sessions SET status = 'completing', updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND user_id = $2 AND protocol = $3 AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP
+    RETURNING *
+  `, [sessionId, userId, protocol]);
+  return result.rows[0] || null;
+};
+
+// Hand a claimed session back to the client (e.g. parts still missing)
+const reopenUploadSession = (session) => query(
+  "UPDATE upload_sessions SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND status = 'completing'",
+  [session.id]
+);
+
+// The song was created (its charge already replaced the reservation)
+const completeUploadSession = (session, songId) => query(
+  "UPDATE upload_sessions SET status = 'completed', song_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+  [songId, session.id]
+);
+
+/**
+ * Close a session without a new song (failed, aborted): release the quota and drop the upload.
+ * songId: the existing song a skipped duplicate matched. Returns false when the session was no longer open.
+ */
+const closeUploadSession = async (session, status, error = null, songId = null) => {
+  const result = await query(`
+    UPDATE upload_sessions SET status = $1, error = $2, song_id = $3, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $4 AND status IN ('pending', 'completing')
+    RETURNING id
+  `, [status, error ? error.substring(0, 255) : null, songId, session.id]);
+
+  if (result.rows.length === 0) return false;
+
+  await releaseStorage(session.user_id, session.size);
+  await dropUploadedObject(session);
+  return true;
+};
+
+// Parts R2 has for a multipart upload
+const listUploadedParts = async (session) => {
+  const parts = [];
+  let PartNumberMarker;
+
+  do {
+    const page = await r2Client.send(new ListPartsCommand({
+      Bucket: BUCKET,
+      Key: session.file_key,
+      UploadId: session.multipart_upload_id,
+      PartNumberMarker
+    }));
+    (page.Parts || []).forEach(part => parts.push({ PartNumber: part.PartNumber, ETag: part.ETag }));
+    PartNumberMarker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+  } while (PartNumberMarker);
+
+  return parts;
+};
+
+/**
+ * Check the client's upload and copy it to a temp file for metadata parsing; the object is
+ * renamed and retyped after the format its bytes turn out to be (see retypeUploadedObject).
+ * Returns { file } shaped like an upload storage engine file (for createSong),
+ * { error, retry: true } when the client can still finish uploading, or { error }.
+ */
+const finishUpload = async (session) => {
+  if (session.multipart_upload_id) {
+    const parts = await listUploadedParts(session);
+    const expected = Math.ceil(session.size / session.part_size);
+    if (parts.length < expected) {
+      return { error: `Upload is incomplete (${parts.length} of ${expected} parts)`, retry: true };
+    }
+
+    await r2Client.send(new CompleteMultipartUploadCommand({
+      Bucket: BUCKET,
+      Key: session.file_key,
+      UploadId: session.multipart_upload_id,
+      MultipartUpload: { Parts: parts.sort((a, b) => a.PartNumber - b.PartNumber) }
+    }));
+  }
+
+  let head;
+  try {
+    head = await r2Client.send(new HeadObjectCommand({ Bucket: BUCKET, Key: session.file_key }));
+  } catch (headError) {
+    if (headError.$metadata?.httpStatusCode === 404) {
+      return { error: 'Uploaded file not found', retry: true };
+    }
+    throw headError;
+  }
+
+  if (head.ContentLength !== parseInt(session.size)) {
+    return { error: `Uploaded ${head.ContentLength} bytes, expected ${session.size}` };
+  }
+
+  const local = await downloadToTemp(session.file_key);
+
+  try {
+    // Not audio: left to createSong, which rejects it
+    const format = await sniffAudioFile(local.path);
+    if (format) await retypeUploadedObject(session, format);
+
+    return {
+      file: {
+        originalname: session.filename,
+        mimetype: format ? AUDIO_FORMATS[format].contentType : session.content_type,
+        format: format || undefined,
+        key: session.file_key,
+        size: head.ContentLength,
+        contentHash: await hashAudioFile(local.path, format),
+        path: local.path,
+        // Already in R2: nothing to commit, and the session owns the object
+        upload: { commit: async () => {}, abort: async () => {} }
+      }
+    };
+  } catch (error) {
+    await fs.promises.unlink(local.path).catch(() => {});
+    throw error;
+  }
+};
+
+let expiring = false;
+
+/**
+ * Expire sessions past their TTL (and completions that died halfway). Returns the number expired.
+ */
+const expireUploadSessions = async () => {
+  if (expiring) return 0;
+  expiring = true;
+
+  try {
+    // A completion that got as far as the songs row only missed its last update
+    await query(`
+      UPDATE upload_sessions us
+      SET status = 'completed', song_id = s.id, updated_at = CURRENT_TIMESTAMP
+      FROM songs s
+      WHERE us.status = 'completing'
+        AND us.updated_at < CURRENT_TIMESTAMP - INTERVAL '${COMPLETING_LEASE_MINUTES} minutes'
+        AND s.user_id = us.user_id AND s.file_key = us.file_key
+    `);
+
+    const expired = await query(`
+      UPDATE upload_sessions
+      SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+      WHERE (status = 'pending' AND expires_at < CURRENT_TIMESTAMP)
+         OR (status = 'completing' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '${COMPLETING_LEASE_MINUTES} minutes')
+      RETURNING *
+    `);
+
+    for (const session of expired.rows) {
+      await releaseStorage(session.user_id, session.size);
+      await dropUploadedObject(session);
+    }
+
+    // Closed sessions are kept a day for clients retrying /complete
+    await query(`
+      DELETE FROM upload_sessions
+      WHERE status NOT IN ('pending', 'completing') AND updated_at < CURRENT_TIMESTAMP - INTERVAL '1 day'
+    `);
+
+    return expired.rows.length;
+  } finally {
+    expiring = false;
+  }
+};
+
+// Periodic expiry pass (started once from index.js)
+const startUploadSessionWorker = () => {
+  const run = () => {
+    expireUploadSessions().catch(error => console.error('Upload session expiry error:', error.message));
+  };
+  run();
+  const timer = setInterval(run, WORKER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  UPLOAD_SESSION_TTL,
+  TUS_UPLOAD_TTL,
+  TUS_LOCK_MINUTES,
+  reserveStorage,
+  releaseStorage,
+  createUploadSession,
+  createTusSession,
+  getTusTailKey,
+  lockTusSession,
+  unlockTusSession,
+  appendTusChunk,
+  finishTusUpload,
+  claimUploadSession,
+  reopenUploadSession,
+  completeUploadSession,
+  closeUploadSession,
+  finishUpload,
+  expireUploadSessions,
+  startUploadSessionWorker
+};
@@ -0,0 +1,198 @@
+/**
+ * Upload Storage
+ * multer storage engine that streams uploaded files to R2 as they arrive
+ *
+ * Every chunk is written to an uncommitted R2 object (see createObjectWriter) and copied to a
+ * temp file for metadata parsing and the content hash (hashAudioFile), so memory use stays flat
+ * whatever the upload size. The route commits the object once quota and duplicate checks pass;
+ * discardUpload() drops it (and the temp file) otherwise.
+ *
+ * The format comes from the file's first bytes, not the client's content type: they are held
+ * back until detectAudioFormat() can tell, then name the object and set its content type.
+ * Anything else fails the request with unsupportedAudioError.
+ *
+ * req.file / req.files entries get: key, size, contentHash, format, mimetype (detected),
+ * path (temp file), upload (writer).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { r2Client, BUCKET, createObjectWriter } = require('../config/storage');
+const { AUDIO_FORMATS, MAX_SNIFF_BYTES, unsupportedAudioError, detectAudioFormat, hashAudioFile } = require('./audio_formats');
+
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || os.tmpdir();
+
+// Raised while streaming when a request goes over the bytes it may still store
+const storageLimitError = () => {
+  const error = new Error('Storage limit exceeded');
+  error.code = 'STORAGE_LIMIT';
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Drop an upload that was never committed: abort the R2 object, remove the temp file
+ */
+const discardUpload = async (file) => {
+  if (!file) return;
+
+  try {
+    await file.upload?.abort();
+  } catch (abortError) {
+    console.error('R2 abort error:', abortError.message);
+  }
+
+  if (file.path) {
+    await fs.promises.unlink(file.path).catch(() => {});
+  }
+};
+
+/**
+ * Copy a stored object to a temp file so metadata parsing never holds it in memory.
+ * Returns { path, size }; the caller removes the file.
+ */
+const downloadToTemp = async (key) => {
+  const object = await r2Client.send(new GetObjectCommand({ Bucket: BUCKET, Key: key }));
+  const tempPath = path.join(UPLOAD_TMP_DIR, `upload-${uuidv4()}`);
+  let size = 0;
+
+  try {
+    await pipeline(
+      object.Body,
+      async function* (source) {
+        for await (const chunk of source) {
+          size += chunk.length;
+          yield chunk;
+        }
+      },
+      fs.createWriteStream(tempPath)
+    );
+  } catch (downloadError) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw downloadError;
+  }
+
+  return { path: tempPath, size };
+};
+
+/**
+ * Storage engine for multer. getKey(req, file, format) names the R2 object (format: the detected
+ * AUDIO_FORMATS entry); req.uploadBudget (bytes, optional) fails the whole request as soon as
+ * its files go over it.
+ */
+const createUploadStorage = (getKey) => ({
+  _handleFile: (req, file, cb) => {
+    const tempPath = path.join(UPLOAD_TMP_DIR, `upload-${uuidv4()}`);
+    const temp = fs.createWriteStream(tempPath);
+    let finished = false;
+
+    // Chunks held until the format is known (the writer is created then)
+    let upload = null;
+    let format = null;
+    const head = [];
+    let headSize = 0;
+    let sniffedAt = 0;
+
+    // A client that disconnects mid-file never ends the file stream
+    const onClose = () => {
+      if (!finished && !req.complete) file.stream.destroy(new Error('Upload aborted'));
+    };
+    req.on('close', onClose);
+
+    const writeChunk = async (chunk) => {
+      if (req.uploadBudget !== undefined) {
+        req.uploadBudget -= chunk.length;
+        if (req.uploadBudget < 0) throw storageLimitError();
+      }
+
+      if (!temp.write(chunk)) await once(temp, 'drain');
+
+      if (upload) {
+        await upload.write(chunk);
+      } else {
+        head.push(chunk);
+        headSize += chunk.length;
+        await startUpload(false);
+      }
+    };
+
+    // Look at the held chunks again once they have doubled (long ID3 tags), until the format shows
+    const startUpload = async (complete) => {
+      if (!complete && headSize < sniffedAt * 2) return;
+      sniffedAt = headSize;
+
+      format = detectAudioFormat(Buffer.concat(head), complete);
+      if (format === undefined && headSize < MAX_SNIFF_BYTES) return;
+      if (!format) throw unsupportedAudioError(file.originalname);
+
+      const { contentType } = AUDIO_FORMATS[format];
+      upload = createObjectWriter(getKey(req, file, AUDIO_FORMATS[format]), contentType);
+      for (const chunk of head.splice(0)) {
+        await upload.write(chunk);
+      }
+    };
+
+    // One chunk at a time (paused meanwhile); a failed write leaves the stream paused
+    // rather than destroyed, so multer reports our error and drains the request itself
+    const receive = () => new Promise((resolve, reject) => {
+      let writing = Promise.resolve();
+
+      file.stream.on('data', (chunk) => {
+        file.stream.pause();
+        writing = writeChunk(chunk).then(() => file.stream.resume(), reject);
+      });
+      file.stream.on('end', () => {
+        writing
+          .then(() => upload || startUpload(true))
+          .then(() => {
+            temp.end();
+            return once(temp, 'finish');
+          })
+          .then(resolve, reject);
+      });
+      file.stream.on('error', reject);
+    });
+
+    receive()
+      .then(() => hashAudioFile(tempPath, format))
+      .then((contentHash) => {
+        cb(null, {
+          key: upload.key,
+          size: upload.size,
+          contentHash,
+          format,
+          mimetype: AUDIO_FORMATS[format].contentType,
+          path: tempPath,
+          upload
+        });
+      })
+      .catch(async (error) => {
+        // Wait for the temp file to close so it can't reappear after it is removed
+        temp.destroy();
+        if (!temp.closed) await once(temp, 'close');
+        await discardUpload({ upload, path: tempPath });
+        cb(error);
+      })
+      .finally(() => {
+        finished = true;
+        req.removeListener('close', onClose);
+      });
+  },
+
+  _removeFile: (req, file, cb) => {
+    discardUpload(file).then(() => cb(null), cb);
+  }
+});
+
+module.exports = {
+  UPLOAD_TMP_DIR,
+  storageLimitError,
+  discardUpload,
+  downloadToTemp,
+  createUploadStorage
+};
@@ -0,0 +1,202 @@
+/**
+ * Waveform Service
+ * Min/max peaks for seek bar waveforms, decoded with ffmpeg after upload
+ *
+ * Audio is decoded to mono 8 kHz PCM and reduced to WAVEFORM_RESOLUTIONS points per song.
+ * Each point is a (min, max) pair of signed 8-bit values, stored as BYTEA in song_waveforms
+ * (the data layout of BBC audiowaveform, so peaks.js and similar players read it directly).
+ */
+
+const { query } = require('../config/database');
+const { LEASE_MINUTES, runFfmpeg, createWorker } = require('./ffmpeg_worker');
+
+// Points per song for each resolution
+const WAVEFORM_RESOLUTIONS = {
+  low: 200,
+  high: 1000
+};
+
+const SAMPLE_RATE = 8000;
+// Samples per block of the intermediate pass (100 blocks per second)
+const BLOCK_SAMPLES = 80;
+
+/**
+ * Decode a stored song and return per-block peaks: { mins, maxs, samples }
+ */
+const decodePeaks = async (song) => {
+  const mins = [];
+  const maxs = [];
+  let samples = 0;
+  let blockMin = 0;
+  let blockMax = 0;
+  let blockCount = 0;
+  let carry = null;
+
+  const readSamples = (chunk) => {
+    // 16-bit samples can straddle chunk boundaries
+    const data = carry ? Buffer.concat([carry, chunk]) : chunk;
+    const usable = data.length - (data.length % 2);
+    carry = usable < data.length ? data.subarray(usable) : null;
+
+    for (let offset = 0; offset < usable; offset += 2) {
+      const sample = data.readInt16LE(offset);
+      if (blockCount === 0 || sample < blockMin) blockMin = sample;
+      if (blockCount === 0 || sample > blockMax) blockMax = sample;
+
+      if (++blockCount === BLOCK_SAMPLES) {
+        mins.push(blockMin);
+        maxs.push(blockMax);
+        blockCount = 0;
+      }
+    }
+    samples += usable / 2;
+  };
+
+  await runFfmpeg(song, (input) => [
+    '-hide_banner', '-nostats', '-loglevel', 'error',
+    '-i', input,
+    '-vn', '-ac', '1', '-ar', String(SAMPLE_RATE),
+    '-f', 's16le', 'pipe:1'
+  ], { onOutput: readSamples });
+
+  if (blockCount > 0) {
+    mins.push(blockMin);
+    maxs.push(blockMax);
+  }
+  if (mins.length === 0) {
+    throw new Error('ffmpeg decoded no audio');
+  }
+  return { mins, maxs, samples };
+};
+
+// 16-bit sample -> signed 8-bit
+const toInt8 = (sample) => Math.max(-128, Math.min(127, Math.round(sample / 256)));
+
+/**
+ * Reduce block peaks to at most `points` (min, max) pairs: { data, length, samplesPerPixel }
+ */
+const reducePeaks = ({ mins, maxs, samples }, points) => {
+  const length = Math.min(points, mins.length);
+  const data = Buffer.alloc(length * 2);
+
+  for (let i = 0; i < length; i++) {
+    const start = Math.floor((i * mins.length) / length);
+    const end = Math.max(Math.floor(((i + 1) * mins.length) / length), start + 1);
+
+    let min = mins[start];
+    let max = maxs[start];
+    for (let block = start + 1; block < end; block++) {
+      if (mins[block] < min) min = mins[block];
+      if (maxs[block] > max) max = maxs[block];
+    }
+
+    data.writeInt8(toInt8(min), i * 2);
+    data.writeInt8(toInt8(max), i * 2 + 1);
+  }
+
+  return { data, length, samplesPerPixel: Math.max(Math.round(samples / length), 1) };
+};
+
+/**
+ * Generate and store every resolution for one song
+ */
+const generateWaveform = async (song) => {
+  const peaks = await decodePeaks(song);
+
+  for (const [resolution, points] of Object.entries(WAVEFORM_RESOLUTIONS)) {
+    const { data, length, samplesPerPixel } = reducePeaks(peaks, points);
+
+    await query(`
+      INSERT INTO song_waveforms (song_id, resolution, length, samples_per_pixel, sample_rate, data)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (song_id, resolution) DO UPDATE
+      SET length = $3, samples_per_pixel = $4, sample_rate = $5, data = $6, created_at = CURRENT_TIMESTAMP
+    `, [song.id, resolution, length, samplesPerPixel, SAMPLE_RATE, data]);
+  }
+
+  await query(`
+    UPDATE songs SET waveform_status = 'done', waveform_generated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [song.id]);
+};
+
+/**
+ * Stored waveform for a song at a resolution (null until generated)
+ */
+const getWaveform = async (songId, resolution) => {
+  const result = await query(`
+    SELECT length, samples_per_pixel, sample_rate, data
+    FROM song_waveforms
+    WHERE song_id = $1 AND resolution = $2
+  `, [songId, resolution]);
+  return result.rows[0] || null;
+};
+
+/**
+ * audiowaveform JSON: { version, channels, sample_rate, samples_per_pixel, bits, length, data: [min, max, ...] }
+ */
+const toWaveformJson = (waveform) => ({
+  version: 2,
+  channels: 1,
+  sample_rate: waveform.sample_rate,
+  samples_per_pixel: waveform.samples_per_pixel,
+  bits: 8,
+  length: waveform.length,
+  data: Array.from(new Int8Array(waveform.data.buffer, waveform.data.byteOffset, waveform.data.length))
+});
+
+/**
+ * audiowaveform binary (.dat, version 1): 20-byte little-endian header
+ * (version, flags = 1 for 8-bit, sample rate, samples per pixel, length) followed by the data
+ */
+const toWaveformBinary = (waveform) => {
+  const header = Buffer.alloc(20);
+  header.writeInt32LE(1, 0);
+  header.writeUInt32LE(1, 4);
+  header.writeInt32LE(waveform.sample_rate, 8);
+  header.writeInt32LE(waveform.samples_per_pixel, 12);
+  header.writeUInt32LE(waveform.length, 16);
+  return Buffer.concat([header, waveform.data]);
+};
+
+const worker = createWorker({
+  label: 'Waveform generation',
+  lease: async () => {
+    const leased = await query(`
+      UPDATE songs
+      SET waveform_status = 'generating', waveform_generated_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM songs
+        WHERE waveform_status = 'pending'
+           OR (waveform_status = 'generating' AND waveform_generated_at < CURRENT_TIMESTAMP - INTERVAL '${LEASE_MINUTES} minutes')
+        ORDER BY created_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, title, file_url, file_key
+    `);
+    return leased.rows[0] || null;
+  },
+  run: generateWaveform,
+  requeue: (song) => query("UPDATE songs SET waveform_status = 'pending' WHERE id = $1", [song.id]),
+  fail: (song) => query("UPDATE songs SET waveform_status = 'failed' WHERE id = $1", [song.id])
+});
+
+// Generate waveforms for pending songs until none are left. Returns the number processed.
+const processPending = worker.processPending;
+
+// Start generation now without waiting for it (upload path)
+const queueWaveforms = worker.queue;
+
+// Periodic pass for anything left pending (started once from index.js)
+const startWaveformWorker = worker.start;
+
+module.exports = {
+  WAVEFORM_RESOLUTIONS,
+  getWaveform,
+  toWaveformJson,
+  toWaveformBinary,
+  processPending,
+  queueWaveforms,
+  startWaveformWorker
+};